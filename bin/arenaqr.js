@@ -0,0 +1,507 @@
+#!/usr/bin/env node
+import { parseArgs } from "node:util";
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+import {
+  getArenaBlockData,
+  getArenaChannelBlocks,
+  getArenaBlockContent,
+  resolveArenaQrData,
+} from "../src/arenaProcessor.js";
+import {
+  checkCardQRCode,
+  createEscPosFromCanvas,
+  generateCardCanvas,
+  generateContentSVG,
+  generateMonochromePNG,
+  getTruncatedFields,
+} from "../src/imageProcessor.js";
+import { resolveContentOptions } from "../src/contentOptions.js";
+import {
+  TYPOGRAPHY_PRESETS,
+  loadCardFonts,
+  registerFontFile,
+} from "../src/fonts.js";
+import { dataURLToBytes } from "../src/pdfWriter.js";
+import { canonicalChannelUrl, parseArenaUrl } from "../src/arenaUrl.js";
+import { DITHER_METHODS } from "../src/dither.js";
+import { RECEIPT_DPI, RECEIPT_PAPERS } from "../src/escposWriter.js";
+import { setRenderPlatform } from "../src/platform.js";
+import { createNodePlatform } from "../src/nodePlatform.js";
+
+/**
+ * @typedef {import('../src/arenaProcessor').ArenaBlock} ArenaBlock
+ * @typedef {import('../src/arenaProcessor').ArenaApiOptions} ArenaApiOptions
+ * @typedef {import('../src/arenaProcessor').ArenaQrTarget} ArenaQrTarget
+ * @typedef {import('../src/contentOptions').ContentOptionsOverrides} ContentOptionsOverrides
+ * @typedef {import('../src/imageProcessor').ContentOptions} ContentOptions
+ * @typedef {import('../src/escposWriter').ReceiptOptions} ReceiptOptions
+ * @typedef {"jpg"|"png"|"svg"|"escpos"} OutputFormat
+ */
+
+const USAGE = `Usage:
+  arenaqr render <block-url-or-id> [-o card.jpg] [options]
+  arenaqr channel <channel-url-or-slug> [--out dir/] [options]
+
+Options:
+  -o, --output <file>    Output file for render, or - for standard output
+                         (default: arena-qr-<id>.<format>)
+      --out <dir>        Output directory for channel (default: current directory)
+  -f, --format <format>  jpg, png, svg or escpos (.bin, for receipt printers)
+                         (default: from the output file, else jpg)
+      --template <name>  Card layout: default, portrait, sticker, label, index
+                         or receipt
+      --size <size>      Card size: screen, 3.5x2in, 5x3in, 6x4in, A6, or a
+                         receipt roll, 58mm or 80mm
+      --dpi <dpi>        Output resolution for physical card sizes
+      --double-sided     Content on the front, details and QR code on the back
+                         (the back is written next to the front as <name>-back)
+      --fit <mode>       How image blocks fit: auto, contain, cover or fill
+      --focal-point <x,y>
+                         Part of the image cover keeps, as fractions from the
+                         top left (default: 0.5,0.5, the middle)
+      --gif-frame <n>    Frame of animated GIFs to print, from 0
+      --image-placeholder
+                         Draw a placeholder for images that don't load
+      --monochrome       Pure black and white, for laser and thermal printers
+                         (PNG output is written as a 1-bit PNG)
+      --dither <method>  How monochrome cards reduce images to black and white:
+                         ${Object.keys(DITHER_METHODS).join(", ")}
+      --paper <width>    Receipt roll for escpos: ${Object.keys(RECEIPT_PAPERS).join(" or ")} (default: 58mm)
+      --printer-qr       Print escpos QR codes with the printer's own QR command
+                         (needs the QR code along the bottom, as in --template receipt)
+      --no-cut           Don't cut the paper after each escpos card
+      --options <file>   JSON file of card settings to override
+      --typography <name>
+                         Typography preset: ${Object.keys(TYPOGRAPHY_PRESETS).join(", ")}
+      --font <file>      Font file (TTF, OTF or WOFF2) to make available to
+                         the font settings, named after the file; repeatable
+      --qr <target>      Where QR codes point: block, source, channel, or a URL
+                         template such as "https://example.com/r?id={id}"
+      --api-base <url>   Are.na API base URL (default: https://api.are.na/v2)
+      --token <token>    Are.na personal access token, for private content
+                         (default: the ARENA_ACCESS_TOKEN environment variable)
+      --skip-failed      Keep going when a channel block fails
+      --skip-qr-check    Write cards even if their QR code doesn't read back
+  -h, --help             Show this help`;
+
+const FORMAT_TYPES = {
+  jpg: "image/jpeg",
+  png: "image/png",
+};
+
+/** @type {Record<OutputFormat, string>} */
+const FILE_EXTENSIONS = {
+  jpg: "jpg",
+  png: "png",
+  svg: "svg",
+  escpos: "bin",
+};
+
+/**
+ * Works out the output format from the --format flag or a file name.
+ * @param {string|undefined} format - The --format flag
+ * @param {string} [file] - The output file name
+ * @returns {OutputFormat} The format to write
+ * @throws {Error} If the format is not supported
+ */
+function resolveFormat(format, file) {
+  const name = (
+    format ||
+    (file ? path.extname(file).slice(1) : "") ||
+    "jpg"
+  ).toLowerCase();
+  const normalized = name === "jpeg" ? "jpg" : name === "bin" ? "escpos" : name;
+  if (
+    normalized !== "jpg" &&
+    normalized !== "png" &&
+    normalized !== "svg" &&
+    normalized !== "escpos"
+  ) {
+    throw new Error(
+      `Unsupported format "${name}". Use jpg, png, svg or escpos.`,
+    );
+  }
+  return normalized;
+}
+
+/**
+ * Sets card settings up for a receipt printer: the roll's width at the
+ * printer's resolution, in black and white, on one side.
+ * @param {ContentOptionsOverrides} options - Card settings
+ * @param {ReceiptOptions["paper"]} paper - The roll
+ * @returns {ContentOptionsOverrides} The settings for the printer
+ */
+function toReceiptOptions(options, paper) {
+  return {
+    ...options,
+    cardSize: paper,
+    dpi: RECEIPT_DPI,
+    monochrome: true,
+    doubleSided: false,
+  };
+}
+
+/**
+ * Works out the QR target from the --qr flag.
+ * @param {string|undefined} value - The --qr flag
+ * @param {string} [channelUrl] - The channel the blocks came from, if any
+ * @returns {ArenaQrTarget} Where QR codes should point
+ * @throws {Error} If the target is not supported
+ */
+function resolveQrTarget(value = "block", channelUrl) {
+  if (value.includes("{")) {
+    return { type: "custom", template: value };
+  }
+  if (value !== "block" && value !== "source" && value !== "channel") {
+    throw new Error(
+      `Unsupported QR target "${value}". Use block, source, channel or a URL template.`,
+    );
+  }
+  return { type: value, channelUrl };
+}
+
+/**
+ * Renders a block's card in the given format. The card's QR code is read
+ * back first, so cards that don't scan aren't written.
+ * @param {ArenaBlock} block - The block to render
+ * @param {OutputFormat} format - The output format
+ * @param {ContentOptionsOverrides} options - Card settings
+ * @param {ArenaQrTarget} qrTarget - Where the QR code points
+ * @param {boolean} checkQrCode - Whether to check that the QR code scans
+ * @param {ReceiptOptions} receiptOptions - Receipt printer settings, for escpos
+ * @returns {Promise<Uint8Array|string>} The file contents
+ * @throws {Error} If rendering fails or the QR code doesn't scan
+ */
+async function renderBlock(
+  block,
+  format,
+  options,
+  qrTarget,
+  checkQrCode,
+  receiptOptions,
+) {
+  const content = getArenaBlockContent(block);
+  const qrData = resolveArenaQrData(block, qrTarget);
+
+  const truncated = getTruncatedFields(content, qrData, options);
+  if (truncated.length > 0) {
+    console.error(
+      `Warning: block ${block.id}: some text was cut to fit: ${truncated.join(", ")}`,
+    );
+  }
+
+  // SVG cards are checked through the same layout rendered as a raster.
+  // Receipt cards are rendered at the printer's resolution, so they're
+  // checked as printed, unless the printer draws the QR code itself.
+  const canvas = await generateCardCanvas(content, qrData, options);
+  if (
+    checkQrCode &&
+    !(format === "escpos" && receiptOptions.qrCode === "native")
+  ) {
+    const check = checkCardQRCode(canvas, qrData, options);
+    if (!check.scannable) {
+      throw new Error(
+        `Block ${block.id}: QR code doesn't scan: ${check.problem}. Use --skip-qr-check to write it anyway.`,
+      );
+    }
+  }
+
+  if (format === "svg") {
+    return await generateContentSVG(content, qrData, options);
+  }
+  if (format === "escpos") {
+    return createEscPosFromCanvas(
+      canvas,
+      qrData,
+      options,
+      receiptOptions,
+      false,
+    );
+  }
+  if (format === "png" && resolveContentOptions(options).monochrome) {
+    return await generateMonochromePNG(content, qrData, options);
+  }
+  return dataURLToBytes(canvas.toDataURL(FORMAT_TYPES[format], 0.9));
+}
+
+/**
+ * Renders a block's card and writes it. Double-sided cards are written as
+ * two files, the back with "-back" added to the name.
+ * @param {string} file - The output file, or "-" for standard output
+ * @param {ArenaBlock} block - The block to render
+ * @param {OutputFormat} format - The output format
+ * @param {ContentOptionsOverrides} options - Card settings
+ * @param {ArenaQrTarget} qrTarget - Where the QR code points
+ * @param {boolean} checkQrCode - Whether to check that the QR code scans
+ * @param {ReceiptOptions} receiptOptions - Receipt printer settings, for escpos
+ * @returns {Promise<string[]>} The files written
+ * @throws {Error} If rendering fails or the QR code doesn't scan
+ */
+async function writeCard(
+  file,
+  block,
+  format,
+  options,
+  qrTarget,
+  checkQrCode,
+  receiptOptions,
+) {
+  if (!resolveContentOptions(options).doubleSided) {
+    const card = await renderBlock(
+      block,
+      format,
+      options,
+      qrTarget,
+      checkQrCode,
+      receiptOptions,
+    );
+    if (file === "-") {
+      process.stdout.write(card);
+    } else {
+      await writeFile(file, card);
+    }
+    return [file];
+  }
+  if (file === "-") {
+    throw new Error("Double-sided cards are two files; pass --output a file");
+  }
+
+  // Render both faces before writing, so a back that doesn't scan leaves no lone front
+  const { dir, name, ext } = path.parse(file);
+  const backFile = path.join(dir, `${name}-back${ext}`);
+  const back = await renderBlock(
+    block,
+    format,
+    { ...options, face: "back" },
+    qrTarget,
+    checkQrCode,
+    receiptOptions,
+  );
+  const front = await renderBlock(
+    block,
+    format,
+    { ...options, face: "front" },
+    qrTarget,
+    false,
+    receiptOptions,
+  );
+  await writeFile(file, front);
+  await writeFile(backFile, back);
+  return [file, backFile];
+}
+
+/**
+ * Turns a channel slug into a channel URL; URLs are passed through.
+ * @param {string} input - A channel URL or slug
+ * @returns {string} A channel URL
+ */
+function toChannelUrl(input) {
+  return input.includes("are.na") ? input : canonicalChannelUrl(input);
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      output: { type: "string", short: "o" },
+      out: { type: "string" },
+      format: { type: "string", short: "f" },
+      template: { type: "string" },
+      size: { type: "string" },
+      dpi: { type: "string" },
+      options: { type: "string" },
+      fit: { type: "string" },
+      "focal-point": { type: "string" },
+      "gif-frame": { type: "string" },
+      "image-placeholder": { type: "boolean" },
+      monochrome: { type: "boolean" },
+      dither: { type: "string" },
+      paper: { type: "string" },
+      "printer-qr": { type: "boolean" },
+      "no-cut": { type: "boolean" },
+      typography: { type: "string" },
+      font: { type: "string", multiple: true },
+      qr: { type: "string" },
+      "api-base": { type: "string" },
+      token: { type: "string" },
+      "skip-failed": { type: "boolean" },
+      "skip-qr-check": { type: "boolean" },
+      "double-sided": { type: "boolean" },
+      help: { type: "boolean", short: "h" },
+    },
+  });
+
+  const [command, target] = positionals;
+  if (values.help || !command) {
+    console.log(USAGE);
+    return;
+  }
+  if (!target) {
+    throw new Error(`Missing argument for "${command}".\n\n${USAGE}`);
+  }
+
+  /** @type {ContentOptionsOverrides} */
+  let options = values.options
+    ? JSON.parse(await readFile(values.options, "utf8"))
+    : {};
+  if (values.typography) {
+    const preset = TYPOGRAPHY_PRESETS[values.typography];
+    if (!preset) {
+      throw new Error(
+        `Unknown typography preset "${values.typography}". Use ${Object.keys(TYPOGRAPHY_PRESETS).join(", ")}.`,
+      );
+    }
+    // Settings from --options win over the preset
+    options = { ...preset.options, ...options };
+  }
+  if (values.template) {
+    options.template = values.template;
+  }
+  if (values.size) {
+    options.cardSize = values.size;
+  }
+  if (values.dpi) {
+    options.dpi = Number(values.dpi);
+  }
+  if (values["double-sided"]) {
+    options.doubleSided = true;
+  }
+  if (values.fit) {
+    options.imageFit = /** @type {ContentOptions["imageFit"]} */ (values.fit);
+  }
+  if (values["focal-point"]) {
+    const [x, y] = values["focal-point"].split(",").map(Number);
+    options.focalPoint = { x, y };
+  }
+  if (values["gif-frame"]) {
+    options.gifFrame = Number(values["gif-frame"]);
+  }
+  if (values["image-placeholder"]) {
+    options.imagePlaceholder = true;
+  }
+  if (values.monochrome) {
+    options.monochrome = true;
+  }
+  if (values.dither) {
+    options.ditherMethod = /** @type {ContentOptions["ditherMethod"]} */ (
+      values.dither
+    );
+  }
+
+  /** @type {ArenaApiOptions} */
+  const api = {
+    apiBaseUrl: values["api-base"],
+    accessToken: values.token || process.env.ARENA_ACCESS_TOKEN,
+  };
+
+  const checkQrCode = !values["skip-qr-check"];
+  const paper = /** @type {ReceiptOptions["paper"]} */ (values.paper || "58mm");
+  if (!RECEIPT_PAPERS[paper]) {
+    throw new Error(
+      `Unknown paper "${paper}". Use ${Object.keys(RECEIPT_PAPERS).join(" or ")}.`,
+    );
+  }
+  /** @type {ReceiptOptions} */
+  const receiptOptions = {
+    paper,
+    qrCode: values["printer-qr"] ? "native" : "raster",
+    cut: !values["no-cut"],
+  };
+
+  setRenderPlatform(await createNodePlatform());
+  for (const file of values.font || []) {
+    const data = await readFile(file);
+    const family = await registerFontFile(
+      data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength),
+      path.basename(file),
+    );
+    console.error(`Loaded font "${family}" from ${file}`);
+  }
+  // Text is measured for truncation warnings before each card is drawn
+  await loadCardFonts(resolveContentOptions(options));
+
+  if (command === "render") {
+    const format = resolveFormat(values.format, values.output);
+    const urlInfo = parseArenaUrl(target);
+    const qrTarget = resolveQrTarget(
+      values.qr,
+      urlInfo?.type === "block" && urlInfo.channelSlug
+        ? canonicalChannelUrl(urlInfo.channelSlug, urlInfo.userSlug)
+        : undefined,
+    );
+    const block = await getArenaBlockData(target, api);
+    const file =
+      values.output || `arena-qr-${block.id}.${FILE_EXTENSIONS[format]}`;
+    const files = await writeCard(
+      file,
+      block,
+      format,
+      format === "escpos" ? toReceiptOptions(options, paper) : options,
+      qrTarget,
+      checkQrCode,
+      receiptOptions,
+    );
+    // Standard output holds the card itself
+    if (file !== "-") {
+      files.forEach((written) => console.log(written));
+    }
+  } else if (command === "channel") {
+    const format = resolveFormat(values.format);
+    const outDir = values.out || ".";
+    const channelUrl = toChannelUrl(target);
+    const qrTarget = resolveQrTarget(
+      values.qr,
+      parseArenaUrl(channelUrl)?.canonicalUrl,
+    );
+    await mkdir(outDir, { recursive: true });
+
+    const blocks = await getArenaChannelBlocks(
+      channelUrl,
+      (completed, total) => {
+        console.error(`Fetching channel... ${completed}/${total}`);
+      },
+      api,
+    );
+
+    let failures = 0;
+    for (const [index, block] of blocks.entries()) {
+      const file = path.join(
+        outDir,
+        `arena-qr-${block.id}.${FILE_EXTENSIONS[format]}`,
+      );
+      try {
+        const files = await writeCard(
+          file,
+          block,
+          format,
+          format === "escpos" ? toReceiptOptions(options, paper) : options,
+          qrTarget,
+          checkQrCode,
+          receiptOptions,
+        );
+        files.forEach((written) => console.log(written));
+      } catch (error) {
+        if (!values["skip-failed"]) {
+          throw error;
+        }
+        failures++;
+        console.error(
+          `Skipped block ${block.id}: ${error instanceof Error ? error.message : "Unknown error"}`,
+        );
+      }
+      console.error(`Generating cards... ${index + 1}/${blocks.length}`);
+    }
+
+    if (failures > 0) {
+      console.error(`Skipped ${failures} block(s)`);
+    }
+  } else {
+    throw new Error(`Unknown command "${command}".\n\n${USAGE}`);
+  }
+}
+
+main().catch((error) => {
+  console.error(error instanceof Error ? error.message : error);
+  process.exitCode = 1;
+});
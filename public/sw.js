@@ -0,0 +1,141 @@
+/**
+ * Service worker that keeps the app available offline. It precaches the app
+ * shell and, in builds, the files in precache.json (written by
+ * vite.config.js). Built scripts and styles have content-hashed names, so
+ * they're served from the cache first; other same-origin requests go to the
+ * network first and fall back to the last cached copy. Are.na data and
+ * images are cached separately, in IndexedDB (src/cache.js).
+ */
+
+/**
+ * @typedef {Object} ShellFetchEvent
+ * @property {Request} request - The request being made
+ * @property {(response: Promise<Response>) => void} respondWith - Provides the response
+ */
+
+/**
+ * @typedef {Object} ShellLifecycleEvent
+ * @property {(promise: Promise<any>) => void} waitUntil - Extends the event until the promise settles
+ */
+
+const CACHE_NAME = "arenaqr-shell-v2";
+const SHELL_FILES = [
+  "/",
+  "/index.html",
+  "/arena.png",
+  "/arena-qr.gif",
+  "/manifest.webmanifest",
+];
+const PRECACHE_LIST = "/precache.json";
+const HASHED_ASSETS = "/assets/"; // Where Vite writes the built files
+
+/** @type {any} The service worker global scope */
+const worker = self;
+
+worker.addEventListener(
+  "install",
+  (/** @type {ShellLifecycleEvent} */ event) => {
+    event.waitUntil(
+      caches
+        .open(CACHE_NAME)
+        .then(precache)
+        .then(() => worker.skipWaiting()),
+    );
+  },
+);
+
+worker.addEventListener(
+  "activate",
+  (/** @type {ShellLifecycleEvent} */ event) => {
+    event.waitUntil(
+      caches
+        .keys()
+        .then((names) =>
+          Promise.all(
+            names
+              .filter((name) => name !== CACHE_NAME)
+              .map((name) => caches.delete(name)),
+          ),
+        )
+        .then(() => worker.clients.claim()),
+    );
+  },
+);
+
+worker.addEventListener("fetch", (/** @type {ShellFetchEvent} */ event) => {
+  const { request } = event;
+  if (
+    request.method !== "GET" ||
+    new URL(request.url).origin !== worker.location.origin
+  ) {
+    return;
+  }
+  event.respondWith(
+    new URL(request.url).pathname.startsWith(HASHED_ASSETS)
+      ? cacheFirst(request)
+      : networkFirst(request),
+  );
+});
+
+/**
+ * Caches the app shell and the files of the build.
+ * @param {Cache} cache - The shell cache
+ * @returns {Promise<void>}
+ */
+async function precache(cache) {
+  await cache.addAll(SHELL_FILES);
+
+  // The dev server has no precache list, and may answer with the page
+  /** @type {string[]} */
+  let files;
+  try {
+    const response = await fetch(PRECACHE_LIST);
+    files = response.ok ? await response.json() : [];
+  } catch (error) {
+    files = [];
+  }
+  await cache.addAll(files);
+}
+
+/**
+ * Answers a request from the cache, fetching and caching it on a miss.
+ * @param {Request} request - The request to answer
+ * @returns {Promise<Response>} The response
+ */
+async function cacheFirst(request) {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request);
+  if (cached) {
+    return cached;
+  }
+  const response = await fetch(request);
+  if (response.ok) {
+    await cache.put(request, response.clone());
+  }
+  return response;
+}
+
+/**
+ * Fetches a request from the network, caching the response, and falls back
+ * to the cache when offline. Page loads fall back to the cached app shell.
+ * @param {Request} request - The request to answer
+ * @returns {Promise<Response>} The response
+ */
+async function networkFirst(request) {
+  const cache = await caches.open(CACHE_NAME);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      await cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached =
+      (await cache.match(request)) ||
+      (request.mode === "navigate" ? await cache.match("/") : undefined);
+    if (cached) {
+      return cached;
+    }
+    throw error;
+  }
+}
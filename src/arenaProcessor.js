@@ -1,4 +1,17 @@
-import { generateContentWithQR } from "./imageProcessor.js";
+import {
+  generateContentWithQR,
+  generateCardCanvas,
+  generateCardFaces,
+  checkCardQRCode,
+  generateContentSVG,
+  generateMonochromePNG,
+  generateEscPos,
+  getTruncatedFields,
+  getImageFrameCount,
+} from "./imageProcessor.js";
+import { parseArenaUrl, canonicalBlockUrl } from "./arenaUrl.js";
+import { cachedFetch } from "./cache.js";
+import { resolveContentOptions } from "./contentOptions.js";
 
 /**
  * @typedef {Object} ArenaImage
@@ -11,15 +24,23 @@ import { generateContentWithQR } from "./imageProcessor.js";
 /**
  * @typedef {Object} ArenaAttachment
  * @property {string} url
+ * @property {string} [file_name]
+ * @property {number} [file_size]
+ * @property {string} [file_size_display]
+ * @property {string} [extension]
+ * @property {string} [content_type]
  */
 
 /**
  * @typedef {Object} ArenaSource
  * @property {string} [url]
+ * @property {Object} [provider]
+ * @property {string} [provider.name]
  */
 
 /**
  * @typedef {Object} ArenaBlock
+ * @property {number} [id]
  * @property {ArenaImage} [image]
  * @property {ArenaAttachment} [attachment]
  * @property {ArenaSource} [source]
@@ -38,35 +59,138 @@ import { generateContentWithQR } from "./imageProcessor.js";
  * @property {string} username
  */
 
+/**
+ * @typedef {Object} ArenaChannel
+ * @property {string} slug
+ * @property {string} [title]
+ * @property {number} [length] - Total number of items in the channel
+ */
+
+/**
+ * @typedef {Object} ArenaApiOptions
+ * @property {string} [apiBaseUrl] - Base URL of the Are.na API, e.g. to point at a local mock
+ * @property {string} [accessToken] - Personal access token, for blocks and channels that aren't public
+ * @property {boolean} [refresh] - Fetch again even if a fresh response is cached
+ */
+
+/**
+ * Where a card's QR code points.
+ * @typedef {Object} ArenaQrTarget
+ * @property {"block"|"source"|"channel"|"custom"} type - The block's Are.na page, the block's original source, a channel, or a custom URL
+ * @property {string} [channelUrl] - The channel's URL, for "channel"
+ * @property {string} [template] - URL template for "custom", e.g. `https://example.com/r?id={id}`
+ */
+
+/**
+ * @callback ProgressCallback
+ * @param {number} completed - Number of items processed so far
+ * @param {number} total - Total number of items to process
+ * @returns {void}
+ */
+
+/**
+ * @typedef {Object} ArenaqrCard
+ * @property {ArenaBlock} block - The block the card was generated from
+ * @property {string} qrData - The data encoded in the card's QR code
+ * @property {string} dataURL - Data URL of the generated card image (the front, for double-sided cards)
+ * @property {string} [backDataURL] - Data URL of the back, for double-sided cards
+ * @property {TruncatedField[]} truncated - Text that was cut to fit on the card
+ * @property {QRCodeCheck} qrCheck - Whether the card's QR code reads back as qrData
+ */
+
+/**
+ * @typedef {Object} ArenaqrCardFailure
+ * @property {ArenaBlock} block - The block that failed to render
+ * @property {string} message - Why the block failed
+ */
+
+/**
+ * @typedef {Object} ChannelCardsResult
+ * @property {ArenaqrCard[]} cards - Successfully generated cards, in channel order
+ * @property {ArenaqrCardFailure[]} failures - Blocks that were skipped because they failed
+ */
+
+const API_BASE_URL = "https://api.are.na/v2";
+const CHANNEL_PAGE_SIZE = 50;
+
 /**
  * @typedef {import('./imageProcessor').ImageContent} ImageContent
  * @typedef {import('./imageProcessor').TextContent} TextContent
+ * @typedef {import('./imageProcessor').Content} Content
+ * @typedef {import('./imageProcessor').TruncatedField} TruncatedField
+ * @typedef {import('./imageProcessor').QRCodeCheck} QRCodeCheck
  * @typedef {import('./imageProcessor').ContentOptions} ContentOptions
+ * @typedef {import('./contentOptions').ContentOptionsOverrides} ContentOptionsOverrides
+ * @typedef {import('./escposWriter').ReceiptOptions} ReceiptOptions
+ */
+
+/**
+ * Fetches JSON from the Are.na API. Responses are cached, and a cached
+ * response is used when the API can't be reached.
+ * @param {string} path - API path, relative to the API base URL
+ * @param {ArenaApiOptions} api - API connection options
+ * @returns {Promise<any>} The parsed JSON response
+ * @throws {Error} If the request fails and nothing is cached
  */
+async function fetchArenaJson(path, api) {
+  const baseUrl = (api.apiBaseUrl || API_BASE_URL).replace(/\/+$/, "");
+  const url = `${baseUrl}${path}`;
+  const token = api.accessToken?.trim();
+
+  return await cachedFetch(
+    "api",
+    url,
+    async () => {
+      const response = await fetch(url, {
+        headers: token ? { Authorization: `Bearer ${token}` } : {},
+      });
+      if (!response.ok) {
+        throw new Error(getHttpErrorMessage(response.status, Boolean(token)));
+      }
+      return await response.json();
+    },
+    api.refresh,
+  );
+}
+
+/**
+ * Explains a failed API response, pointing at the access token when the
+ * content is private or the token is wrong.
+ * @param {number} status - The HTTP status code
+ * @param {boolean} hasToken - Whether an access token was sent
+ * @returns {string} The error message
+ */
+function getHttpErrorMessage(status, hasToken) {
+  if (status === 401) {
+    return hasToken
+      ? "Are.na rejected the access token (401). Check that it was copied correctly and hasn't been revoked."
+      : "This content is private (401). Add an Are.na personal access token to see it.";
+  }
+  if (status === 403) {
+    return hasToken
+      ? "The access token doesn't have access to this content (403). Use a token from an account that can see it."
+      : "This content is private (403). Add an Are.na personal access token to see it.";
+  }
+  return `HTTP error! status: ${status}`;
+}
 
 /**
  * Fetches data for an Arena block from the API based on the provided URL.
  * @param {string} url - The URL of the Arena block to fetch.
+ * @param {ArenaApiOptions} [api] - API connection options
  * @returns {Promise<ArenaBlock>} The block data from the Arena API.
  * @throws {Error} If the URL is invalid or the request fails.
  */
-export async function getArenaBlockData(url) {
+export async function getArenaBlockData(url, api = {}) {
   try {
     // Extract block ID from URL
-    const blockIdMatch =
-      url.match(/are\.na\/.*\/.*\/([0-9]+)/) ||
-      url.match(/are\.na\/block\/([0-9]+)/);
+    const urlInfo = parseArenaUrl(url);
 
-    if (!blockIdMatch || !blockIdMatch[1]) {
+    if (!urlInfo || urlInfo.type !== "block") {
       throw new Error("Invalid Are.na URL. Please provide a valid block URL.");
     }
 
-    const blockId = blockIdMatch[1];
-    const response = await fetch(`https://api.are.na/v2/blocks/${blockId}`);
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-    return await response.json();
+    return await fetchArenaJson(`/blocks/${urlInfo.blockId}`, api);
   } catch (error) {
     if (error instanceof Error) {
       throw new Error(
@@ -78,77 +202,314 @@ export async function getArenaBlockData(url) {
 }
 
 /**
- * Processes an Arena block to extract content and generate a QR code.
- * @param {ArenaBlock} blockData - The Arena block data from the API.
- * @param {string} qrData - The data to embed in the QR code
- * @returns {Promise<string>} Data URL of the generated content with QR code.
- * @throws {Error} If processing fails or no valid content is found in the block.
+ * Fetches every block in an Arena channel, following the paginated contents endpoint.
+ * Nested channels are left out since they have no content of their own to print.
+ * @param {string} url - The URL of the Arena channel to fetch.
+ * @param {ProgressCallback} [onProgress] - Called after each page with the number of items fetched
+ * @param {ArenaApiOptions} [api] - API connection options
+ * @returns {Promise<ArenaBlock[]>} The channel's blocks, in channel order.
+ * @throws {Error} If the URL is invalid or a request fails.
  */
-export async function createArenaqrImageDataURL(blockData, qrData) {
+export async function getArenaChannelBlocks(url, onProgress, api = {}) {
   try {
-    // Get QR code data (URL or title from the block)
+    const urlInfo = parseArenaUrl(url);
 
-    // Determine block type and prepare content
-    const blockClass = blockData.class || "";
+    if (!urlInfo || urlInfo.type !== "channel") {
+      throw new Error(
+        "Invalid Are.na URL. Please provide a valid channel URL.",
+      );
+    }
 
-    /** @type {ImageContent|TextContent} */
-    let content;
+    const slug = encodeURIComponent(urlInfo.channelSlug);
 
-    // Process based on block class/type
-    if (blockClass === "Text" && blockData.content) {
-      // Text block
-      /** @type {TextContent} */
-      content = {
-        type: "text",
-        text: blockData.content,
-      };
-    } else if (blockData.image) {
-      // Image block
-      /** @type {ImageContent} */
-      content = {
-        type: "image",
-        imageUrl: blockData.image.original.url,
-      };
+    /** @type {ArenaChannel} */
+    const channel = await fetchArenaJson(`/channels/${slug}?per=1`, api);
+    const total = channel.length || 0;
+
+    /** @type {ArenaBlock[]} */
+    const blocks = [];
+    let fetched = 0;
+
+    for (let page = 1; ; page++) {
+      const data = await fetchArenaJson(
+        `/channels/${slug}/contents?page=${page}&per=${CHANNEL_PAGE_SIZE}`,
+        api,
+      );
+      /** @type {ArenaBlock[]} */
+      const contents = data.contents || [];
 
-      // Use display URL if available
-      if (blockData.image.display?.url) {
-        content.displayUrl = blockData.image.display.url;
+      for (const item of contents) {
+        if (item.class !== "Channel") {
+          blocks.push(item);
+        }
+      }
+
+      fetched += contents.length;
+      onProgress?.(fetched, Math.max(total, fetched));
+
+      if (contents.length < CHANNEL_PAGE_SIZE) {
+        break;
       }
-    } else if (blockData.attachment?.url) {
-      // Attachment block (file/document)
-      /** @type {ImageContent} */
-      content = {
-        type: "image",
-        imageUrl: blockData.attachment.url,
-      };
-    } else {
-      throw new Error("No valid content found in this Are.na block");
     }
 
-    // Set title if available
-    if (blockData.title) {
-      content.title = blockData.title;
-    } else if (blockData.generated_title) {
-      content.title = blockData.generated_title;
+    return blocks;
+  } catch (error) {
+    if (error instanceof Error) {
+      throw new Error(
+        "Failed to fetch Are.na channel: " + (error.message || "Unknown error"),
+      );
     }
+    throw new Error("Failed to fetch Are.na channel");
+  }
+}
+
+/**
+ * Builds the URL a card's QR code should point to for a block.
+ * @param {ArenaBlock} blockData - The Arena block data from the API.
+ * @returns {string} The block's Are.na URL
+ */
+export function getArenaBlockUrl(blockData) {
+  return canonicalBlockUrl(String(blockData.id));
+}
 
-    // Set description if available
-    if (blockData.description) {
-      content.description = blockData.description;
+/**
+ * Gets the image URLs of a block that has an image, for the content types
+ * where the image is optional.
+ * @param {ArenaBlock} blockData - The Arena block data from the API.
+ * @returns {{imageUrl?: string, displayUrl?: string}} The image URLs, if any
+ */
+function getBlockImageUrls(blockData) {
+  if (!blockData.image) {
+    return {};
+  }
+  return {
+    imageUrl: blockData.image.original.url,
+    displayUrl: blockData.image.display?.url,
+  };
+}
+
+/**
+ * Reads a file name from the end of a URL's path.
+ * @param {string} url - The file's URL
+ * @returns {string} The file name, or "" if the URL can't be read
+ */
+function getUrlFileName(url) {
+  try {
+    return decodeURIComponent(new URL(url).pathname.split("/").pop() || "");
+  } catch (error) {
+    return "";
+  }
+}
+
+/**
+ * Formats a size in bytes for display, e.g. 1.2 MB.
+ * @param {number} bytes - The size in bytes
+ * @returns {string} The formatted size
+ */
+function formatFileSize(bytes) {
+  const units = ["B", "KB", "MB", "GB"];
+  let size = bytes;
+  let unit = 0;
+  while (size >= 1024 && unit < units.length - 1) {
+    size /= 1024;
+    unit++;
+  }
+  return `${unit === 0 ? size : size.toFixed(1)} ${units[unit]}`;
+}
+
+/**
+ * Works out the data to encode in a block's QR code. Blocks without a
+ * source, and "channel" targets without a channel, fall back to the block's
+ * Are.na page.
+ * @param {ArenaBlock} blockData - The Arena block data from the API.
+ * @param {ArenaQrTarget} target - Where the QR code should point
+ * @returns {string} The data to encode
+ * @throws {Error} If a custom template is missing or uses an unknown field
+ */
+export function resolveArenaQrData(blockData, target) {
+  switch (target.type) {
+    case "source":
+      return (
+        blockData.source?.url ||
+        blockData.source_url ||
+        getArenaBlockUrl(blockData)
+      );
+    case "channel":
+      return target.channelUrl || getArenaBlockUrl(blockData);
+    case "custom":
+      if (!target.template?.trim()) {
+        throw new Error("A custom QR code target needs a URL template");
+      }
+      return fillQrTemplate(target.template.trim(), blockData);
+    default:
+      return getArenaBlockUrl(blockData);
+  }
+}
+
+/**
+ * Fills a QR URL template from block fields. `{id}` becomes the block ID,
+ * `{user.slug}` the owner's slug, and so on; values are URL-encoded.
+ * @param {string} template - The template, e.g. `https://example.com/r?id={id}`
+ * @param {ArenaBlock} blockData - The Arena block data from the API.
+ * @returns {string} The filled-in template
+ * @throws {Error} If the template uses a field the block doesn't have
+ */
+export function fillQrTemplate(template, blockData) {
+  return template.replace(/\{([a-z_][\w.]*)\}/gi, (placeholder, path) => {
+    /** @type {unknown} */
+    const value = path
+      .split(".")
+      .reduce(
+        (/** @type {any} */ object, /** @type {string} */ key) => object?.[key],
+        blockData,
+      );
+    if (typeof value !== "string" && typeof value !== "number") {
+      throw new Error(`The block has no "${path}" for ${placeholder}`);
     }
+    return encodeURIComponent(String(value));
+  });
+}
+
+/**
+ * Extracts the renderable content and metadata from an Arena block.
+ * @param {ArenaBlock} blockData - The Arena block data from the API.
+ * @returns {Content} The content to render
+ * @throws {Error} If no valid content is found in the block.
+ */
+export function getArenaBlockContent(blockData) {
+  // Determine block type and prepare content
+  const blockClass = blockData.class || "";
+  const sourceUrl = blockData.source?.url || blockData.source_url;
+
+  /** @type {Content} */
+  let content;
 
-    // Set creation date if available
-    if (blockData.created_at) {
-      content.created_at = blockData.created_at;
+  // Process based on block class/type
+  if (blockClass === "Text" && blockData.content) {
+    // Text block
+    /** @type {TextContent} */
+    content = {
+      type: "text",
+      text: blockData.content,
+    };
+  } else if (blockClass === "Link" && sourceUrl) {
+    // Link block, with its screenshot as the thumbnail when there is one
+    content = { type: "link", sourceUrl, ...getBlockImageUrls(blockData) };
+  } else if (blockClass === "Media") {
+    // Media block (video or audio embed)
+    content = { type: "media", ...getBlockImageUrls(blockData) };
+    if (blockData.source?.provider?.name) {
+      content.providerName = blockData.source.provider.name;
     }
+    if (sourceUrl) {
+      content.sourceUrl = sourceUrl;
+    }
+  } else if (blockData.attachment?.url) {
+    // Attachment (file/document), with a preview image when there is one
+    const { attachment } = blockData;
+    content = {
+      type: "attachment",
+      fileName:
+        attachment.file_name || getUrlFileName(attachment.url) || "Attachment",
+      ...getBlockImageUrls(blockData),
+    };
+    const extension =
+      attachment.extension || content.fileName.match(/\.([^.]+)$/)?.[1];
+    if (extension) {
+      content.extension = extension;
+    }
+    if (attachment.file_size_display) {
+      content.fileSize = attachment.file_size_display;
+    } else if (attachment.file_size) {
+      content.fileSize = formatFileSize(attachment.file_size);
+    }
+  } else if (blockData.image) {
+    // Image block
+    /** @type {ImageContent} */
+    content = {
+      type: "image",
+      imageUrl: blockData.image.original.url,
+    };
 
-    // Set username if available
-    if (blockData.user) {
-      content.username = blockData.user.username;
+    // Use display URL if available
+    if (blockData.image.display?.url) {
+      content.displayUrl = blockData.image.display.url;
     }
+  } else {
+    throw new Error("No valid content found in this Are.na block");
+  }
+
+  // Set title if available
+  if (blockData.title) {
+    content.title = blockData.title;
+  } else if (blockData.generated_title) {
+    content.title = blockData.generated_title;
+  }
+
+  // Set description if available
+  if (blockData.description) {
+    content.description = blockData.description;
+  }
+
+  // Set creation date if available
+  if (blockData.created_at) {
+    content.created_at = blockData.created_at;
+  }
+
+  // Set username if available
+  if (blockData.user) {
+    content.username = blockData.user.username;
+  }
+
+  return content;
+}
+
+/**
+ * Processes an Arena block to extract content and generate a QR code.
+ * @param {ArenaBlock} blockData - The Arena block data from the API.
+ * @param {string|ArenaQrTarget} qrData - The data to embed in the QR code, or where it should point
+ * @param {ContentOptionsOverrides} [options] - Overrides for the default render settings
+ * @returns {Promise<string>} Data URL of the generated content with QR code.
+ * @throws {Error} If processing fails or no valid content is found in the block.
+ */
+export async function createArenaqrImageDataURL(blockData, qrData, options) {
+  try {
+    const content = getArenaBlockContent(blockData);
 
     // Generate combined content with QR code
-    return await generateContentWithQR(content, qrData);
+    return await generateContentWithQR(
+      content,
+      typeof qrData === "string"
+        ? qrData
+        : resolveArenaQrData(blockData, qrData),
+      options,
+    );
+  } catch (error) {
+    if (error instanceof Error) {
+      throw new Error(`Failed to process Are.na block: ${error.message}`);
+    }
+    throw new Error("Failed to process Are.na block: Unknown error");
+  }
+}
+
+/**
+ * Processes an Arena block into a vector SVG card.
+ * @param {ArenaBlock} blockData - The Arena block data from the API.
+ * @param {string|ArenaQrTarget} qrData - The data to embed in the QR code, or where it should point
+ * @param {ContentOptionsOverrides} [options] - Overrides for the default render settings
+ * @returns {Promise<string>} The SVG markup of the card.
+ * @throws {Error} If processing fails or no valid content is found in the block.
+ */
+export async function createArenaqrSVG(blockData, qrData, options) {
+  try {
+    const content = getArenaBlockContent(blockData);
+    return await generateContentSVG(
+      content,
+      typeof qrData === "string"
+        ? qrData
+        : resolveArenaQrData(blockData, qrData),
+      options,
+    );
   } catch (error) {
     if (error instanceof Error) {
       throw new Error(`Failed to process Are.na block: ${error.message}`);
@@ -156,3 +517,175 @@ export async function createArenaqrImageDataURL(blockData, qrData) {
     throw new Error("Failed to process Are.na block: Unknown error");
   }
 }
+
+/**
+ * Processes an Arena block into a monochrome card, as a 1-bit PNG.
+ * @param {ArenaBlock} blockData - The Arena block data from the API.
+ * @param {string|ArenaQrTarget} qrData - The data to embed in the QR code, or where it should point
+ * @param {ContentOptionsOverrides} [options] - Overrides for the default render settings
+ * @returns {Promise<Uint8Array>} The PNG file.
+ * @throws {Error} If processing fails or no valid content is found in the block.
+ */
+export async function createArenaqrMonochromePNG(blockData, qrData, options) {
+  try {
+    const content = getArenaBlockContent(blockData);
+    return await generateMonochromePNG(
+      content,
+      typeof qrData === "string"
+        ? qrData
+        : resolveArenaQrData(blockData, qrData),
+      options,
+    );
+  } catch (error) {
+    if (error instanceof Error) {
+      throw new Error(`Failed to process Are.na block: ${error.message}`);
+    }
+    throw new Error("Failed to process Are.na block: Unknown error");
+  }
+}
+
+/**
+ * Processes an Arena block into an ESC/POS print job for a receipt printer.
+ * @param {ArenaBlock} blockData - The Arena block data from the API.
+ * @param {string|ArenaQrTarget} qrData - The data to embed in the QR code, or where it should point
+ * @param {ContentOptionsOverrides} [options] - Overrides for the default render settings
+ * @param {Partial<ReceiptOptions>} [receiptOptions] - The roll width, QR code and cut
+ * @returns {Promise<Uint8Array>} The ESC/POS byte stream.
+ * @throws {Error} If processing fails or no valid content is found in the block.
+ */
+export async function createArenaqrEscPos(
+  blockData,
+  qrData,
+  options,
+  receiptOptions,
+) {
+  try {
+    const content = getArenaBlockContent(blockData);
+    return await generateEscPos(
+      content,
+      typeof qrData === "string"
+        ? qrData
+        : resolveArenaQrData(blockData, qrData),
+      options,
+      receiptOptions,
+    );
+  } catch (error) {
+    if (error instanceof Error) {
+      throw new Error(`Failed to process Are.na block: ${error.message}`);
+    }
+    throw new Error("Failed to process Are.na block: Unknown error");
+  }
+}
+
+/**
+ * Finds which parts of a block's text get cut to fit on its card.
+ * @param {ArenaBlock} blockData - The Arena block data from the API.
+ * @param {string} qrData - The data embedded in the QR code
+ * @param {ContentOptionsOverrides} [options] - Overrides for the default render settings
+ * @returns {TruncatedField[]} The fields that are cut, if any
+ * @throws {Error} If no valid content is found in the block, or the options are invalid.
+ */
+export function getArenaqrTruncatedFields(blockData, qrData, options) {
+  return getTruncatedFields(getArenaBlockContent(blockData), qrData, options);
+}
+
+/**
+ * Counts the frames of a block's image, for picking a frame of an animated GIF.
+ * @param {ArenaBlock} blockData - The Arena block data from the API.
+ * @returns {Promise<number>} The number of frames: 1 for still images, 0 for blocks without an image
+ * @throws {Error} If no valid content is found in the block.
+ */
+export async function getArenaqrFrameCount(blockData) {
+  return await getImageFrameCount(getArenaBlockContent(blockData));
+}
+
+/**
+ * Renders a block's card and reads its QR code back, so a card whose code
+ * doesn't scan can be held back from download. Double-sided cards get both
+ * faces.
+ * @param {ArenaBlock} blockData - The Arena block data from the API.
+ * @param {string|ArenaQrTarget} qrData - The data to embed in the QR code, or where it should point
+ * @param {ContentOptionsOverrides} [options] - Overrides for the default render settings
+ * @returns {Promise<ArenaqrCard>} The card
+ * @throws {Error} If processing fails or no valid content is found in the block.
+ */
+export async function createArenaqrCard(blockData, qrData, options) {
+  try {
+    const content = getArenaBlockContent(blockData);
+    const data =
+      typeof qrData === "string"
+        ? qrData
+        : resolveArenaQrData(blockData, qrData);
+
+    if (resolveContentOptions(options).doubleSided) {
+      const { front, back } = await generateCardFaces(content, data, options);
+      return {
+        block: blockData,
+        qrData: data,
+        dataURL: front.toDataURL("image/jpeg", 0.9),
+        backDataURL: back.toDataURL("image/jpeg", 0.9),
+        truncated: [
+          ...getTruncatedFields(content, data, { ...options, face: "front" }),
+          ...getTruncatedFields(content, data, { ...options, face: "back" }),
+        ],
+        qrCheck: checkCardQRCode(back, data, { ...options, face: "back" }),
+      };
+    }
+
+    const canvas = await generateCardCanvas(content, data, options);
+    return {
+      block: blockData,
+      qrData: data,
+      dataURL: canvas.toDataURL("image/jpeg", 0.9),
+      truncated: getTruncatedFields(content, data, options),
+      qrCheck: checkCardQRCode(canvas, data, options),
+    };
+  } catch (error) {
+    if (error instanceof Error) {
+      throw new Error(`Failed to process Are.na block: ${error.message}`);
+    }
+    throw new Error("Failed to process Are.na block: Unknown error");
+  }
+}
+
+/**
+ * Generates cards for a list of Arena blocks, one after another.
+ * @param {ArenaBlock[]} blocks - The blocks to render, e.g. from getArenaChannelBlocks
+ * @param {Object} [options]
+ * @param {boolean} [options.skipFailed=false] - Keep going when a block fails instead of throwing
+ * @param {ProgressCallback} [options.onProgress] - Called after each block is processed
+ * @param {ContentOptionsOverrides} [options.contentOptions] - Overrides for the default render settings
+ * @param {ArenaQrTarget} [options.qrTarget] - Where the QR codes should point (default: each block's page)
+ * @returns {Promise<ChannelCardsResult>} The generated cards and any skipped blocks
+ * @throws {Error} If a block fails and skipFailed is not set
+ */
+export async function createArenaqrImageDataURLs(blocks, options = {}) {
+  const {
+    skipFailed = false,
+    onProgress,
+    contentOptions,
+    qrTarget = { type: "block" },
+  } = options;
+
+  /** @type {ChannelCardsResult} */
+  const result = { cards: [], failures: [] };
+
+  for (const [index, block] of blocks.entries()) {
+    try {
+      result.cards.push(
+        await createArenaqrCard(block, qrTarget, contentOptions),
+      );
+    } catch (error) {
+      if (!skipFailed) {
+        throw error;
+      }
+      result.failures.push({
+        block,
+        message: error instanceof Error ? error.message : "Unknown error",
+      });
+    }
+    onProgress?.(index + 1, blocks.length);
+  }
+
+  return result;
+}
@@ -0,0 +1,272 @@
+/**
+ * Parses the many shapes of Are.na links people paste: block and channel
+ * pages, blocks opened inside a channel, user profiles, API URLs and bare
+ * block IDs. Every result carries a canonical URL, so QR codes point at the
+ * same address whatever was pasted.
+ */
+
+/**
+ * @typedef {Object} ArenaBlockUrl
+ * @property {"block"} type - A single block
+ * @property {string} blockId - Block ID
+ * @property {string} [channelSlug] - The channel the block was opened in, if any
+ * @property {string} [userSlug] - The owner of that channel, if known
+ * @property {string} canonicalUrl - The block's own page
+ */
+
+/**
+ * @typedef {Object} ArenaChannelUrl
+ * @property {"channel"} type - A channel
+ * @property {string} channelSlug - Channel slug
+ * @property {string} [userSlug] - The channel owner, if known
+ * @property {string} canonicalUrl - The channel's page
+ */
+
+/**
+ * @typedef {Object} ArenaUserUrl
+ * @property {"user"} type - A user profile
+ * @property {string} userSlug - User slug
+ * @property {string} canonicalUrl - The user's profile page
+ */
+
+/**
+ * @typedef {ArenaBlockUrl|ArenaChannelUrl|ArenaUserUrl} ArenaUrlInfo
+ */
+
+const SITE_URL = "https://www.are.na";
+
+/** First path segments of are.na pages that aren't user profiles */
+const RESERVED_PATHS = new Set([
+  "about",
+  "block",
+  "blocks",
+  "blog",
+  "channel",
+  "channels",
+  "explore",
+  "feed",
+  "forgot",
+  "notifications",
+  "pricing",
+  "search",
+  "settings",
+  "sign_in",
+  "sign_up",
+  "tools",
+]);
+
+/** Tabs of a user profile, which take the place of a channel slug */
+const PROFILE_TABS = new Set([
+  "all",
+  "blocks",
+  "channels",
+  "followers",
+  "following",
+  "groups",
+  "index",
+  "table",
+]);
+
+const ID_PATTERN = /^[0-9]+$/;
+const SLUG_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+
+/**
+ * @param {string} blockId - Block ID
+ * @returns {string} The block's canonical Are.na URL
+ */
+export function canonicalBlockUrl(blockId) {
+  return `${SITE_URL}/block/${blockId}`;
+}
+
+/**
+ * @param {string} channelSlug - Channel slug
+ * @param {string} [userSlug] - The channel owner, if known
+ * @returns {string} The channel's canonical Are.na URL
+ */
+export function canonicalChannelUrl(channelSlug, userSlug) {
+  return userSlug
+    ? `${SITE_URL}/${userSlug}/${channelSlug}`
+    : `${SITE_URL}/channel/${channelSlug}`;
+}
+
+/**
+ * @param {string} userSlug - User slug
+ * @returns {string} The user's canonical Are.na URL
+ */
+export function canonicalUserUrl(userSlug) {
+  return `${SITE_URL}/${userSlug}`;
+}
+
+/**
+ * Works out what an Are.na URL or block ID points to.
+ * Query strings, fragments, trailing slashes, a missing scheme and a
+ * missing "www." are all accepted.
+ * @param {string} input - The URL or ID to parse
+ * @returns {ArenaUrlInfo|null} What the input points to, or null if it isn't an Are.na URL
+ */
+export function parseArenaUrl(input) {
+  const text = input.trim();
+  if (ID_PATTERN.test(text)) {
+    return blockResult(text);
+  }
+
+  let url;
+  try {
+    url = new URL(
+      /^[a-z][a-z0-9+.-]*:\/\//i.test(text) ? text : `https://${text}`,
+    );
+  } catch (error) {
+    return null;
+  }
+  if (!/^(.+\.)?are\.na$/i.test(url.hostname)) {
+    return null;
+  }
+
+  let segments;
+  try {
+    segments = url.pathname
+      .split("/")
+      .filter(Boolean)
+      .map((segment) => decodeURIComponent(segment));
+  } catch (error) {
+    return null;
+  }
+
+  // API URLs: api.are.na/v2/blocks/123, api.are.na/v3/channels/slug/contents, ...
+  if (/^api\./i.test(url.hostname) || /^v[0-9]+$/.test(segments[0] || "")) {
+    return parseApiPath(
+      /^v[0-9]+$/.test(segments[0] || "") ? segments.slice(1) : segments,
+    );
+  }
+  return parseSitePath(segments);
+}
+
+/**
+ * @param {string[]} segments - API path segments, after the version
+ * @returns {ArenaUrlInfo|null} What the path points to
+ */
+function parseApiPath(segments) {
+  const [resource, key] = segments;
+  if (resource === "blocks" && ID_PATTERN.test(key || "")) {
+    return blockResult(key);
+  }
+  if (resource === "channels" && isSlug(key)) {
+    return channelResult(key);
+  }
+  if (resource === "users" && isSlug(key)) {
+    return userResult(key);
+  }
+  return null;
+}
+
+/**
+ * @param {string[]} segments - Path segments of an are.na page
+ * @returns {ArenaUrlInfo|null} What the path points to
+ */
+function parseSitePath(segments) {
+  const [first, second, third, fourth] = segments;
+
+  // are.na/block/123
+  if (
+    (first === "block" || first === "blocks") &&
+    ID_PATTERN.test(second || "")
+  ) {
+    return segments.length === 2 ? blockResult(second) : null;
+  }
+
+  // are.na/channel/slug
+  if (first === "channel" || first === "channels") {
+    return segments.length === 2 && isSlug(second)
+      ? channelResult(second)
+      : null;
+  }
+
+  if (!isSlug(first) || RESERVED_PATHS.has(first)) {
+    return null;
+  }
+
+  // are.na/user
+  if (segments.length === 1) {
+    return userResult(first);
+  }
+
+  // are.na/user/channels, are.na/user/index, ...
+  if (segments.length === 2 && PROFILE_TABS.has(second)) {
+    return userResult(first);
+  }
+
+  if (!isSlug(second)) {
+    return null;
+  }
+
+  // are.na/user/channel
+  if (segments.length === 2) {
+    return ID_PATTERN.test(second) ? null : channelResult(second, first);
+  }
+
+  // Blocks opened inside a channel: are.na/user/channel/block/123 or
+  // are.na/user/channel/123
+  if (
+    segments.length === 4 &&
+    (third === "block" || third === "blocks") &&
+    ID_PATTERN.test(fourth)
+  ) {
+    return blockResult(fourth, second, first);
+  }
+  if (segments.length === 3 && ID_PATTERN.test(third)) {
+    return blockResult(third, second, first);
+  }
+
+  return null;
+}
+
+/**
+ * @param {string|undefined} value - A path segment
+ * @returns {value is string} Whether the segment is a valid slug
+ */
+function isSlug(value) {
+  return value !== undefined && SLUG_PATTERN.test(value);
+}
+
+/**
+ * @param {string} blockId - Block ID
+ * @param {string} [channelSlug] - The channel it was opened in
+ * @param {string} [userSlug] - The owner of that channel
+ * @returns {ArenaBlockUrl} The parsed block URL
+ */
+function blockResult(blockId, channelSlug, userSlug) {
+  // Leading zeros would make the same block look like a different one
+  const id = blockId.replace(/^0+(?=[0-9])/, "");
+  return {
+    type: "block",
+    blockId: id,
+    ...(channelSlug && { channelSlug }),
+    ...(userSlug && { userSlug }),
+    canonicalUrl: canonicalBlockUrl(id),
+  };
+}
+
+/**
+ * @param {string} channelSlug - Channel slug
+ * @param {string} [userSlug] - The channel owner, if known
+ * @returns {ArenaChannelUrl} The parsed channel URL
+ */
+function channelResult(channelSlug, userSlug) {
+  const slug = channelSlug.toLowerCase();
+  const user = userSlug?.toLowerCase();
+  return {
+    type: "channel",
+    channelSlug: slug,
+    ...(user && { userSlug: user }),
+    canonicalUrl: canonicalChannelUrl(slug, user),
+  };
+}
+
+/**
+ * @param {string} userSlug - User slug
+ * @returns {ArenaUserUrl} The parsed user URL
+ */
+function userResult(userSlug) {
+  const slug = userSlug.toLowerCase();
+  return { type: "user", userSlug: slug, canonicalUrl: canonicalUserUrl(slug) };
+}
@@ -0,0 +1,185 @@
+/**
+ * Bidirectional text for card layouts, after the Unicode bidi algorithm
+ * (UAX #9) without explicit embeddings: enough to order Arabic and Hebrew
+ * alongside Latin text and numbers when a line is drawn in several pieces.
+ * Each piece is drawn in its own direction, so the renderer only has to
+ * handle text that runs one way.
+ */
+
+/**
+ * @typedef {"ltr"|"rtl"} TextDirection
+ */
+
+/**
+ * @typedef {"L"|"R"|"EN"|"ES"|"CS"|"ET"|"NSM"|"WS"|"ON"} BidiClass
+ */
+
+const RTL_LETTER =
+  /[\p{Script=Hebrew}\p{Script=Arabic}\p{Script=Syriac}\p{Script=Thaana}\p{Script=Nko}\p{Script=Samaritan}\p{Script=Mandaic}\p{Script=Adlam}\u200f]/u;
+const LTR_LETTER = /[\p{L}\u200e]/u;
+
+/**
+ * @param {string} char - A code point
+ * @returns {BidiClass} Its bidi class, simplified
+ */
+function getBidiClass(char) {
+  if (RTL_LETTER.test(char)) {
+    return "R";
+  }
+  if (LTR_LETTER.test(char)) {
+    return "L";
+  }
+  if (/\p{Nd}/u.test(char)) {
+    return "EN";
+  }
+  if (/\p{M}/u.test(char)) {
+    return "NSM";
+  }
+  if (char === "+" || char === "-") {
+    return "ES";
+  }
+  if (/[,.:/\u00a0]/.test(char)) {
+    return "CS";
+  }
+  if (/[#$%°\u2030-\u2034\p{Sc}]/u.test(char)) {
+    return "ET";
+  }
+  return /\s/.test(char) ? "WS" : "ON";
+}
+
+/**
+ * Works out a paragraph's direction from its first strong character, so a
+ * Hebrew title reads right to left even if it starts with a number.
+ * @param {string} text - The paragraph
+ * @returns {TextDirection} Its direction ("ltr" if it has no letters)
+ */
+export function getBaseDirection(text) {
+  for (const char of text) {
+    const type = getBidiClass(char);
+    if (type === "L") {
+      return "ltr";
+    }
+    if (type === "R") {
+      return "rtl";
+    }
+  }
+  return "ltr";
+}
+
+/**
+ * Resolves the embedding level of each character of a line: even levels run
+ * left to right, odd levels right to left. Whitespace at the end of the line
+ * takes the paragraph's level.
+ * @param {string} text - The line
+ * @param {TextDirection} direction - The paragraph's direction
+ * @returns {number[]} The level of each UTF-16 code unit
+ */
+export function resolveLevels(text, direction) {
+  const chars = [...text];
+  const base = direction === "rtl" ? "R" : "L";
+  const types = chars.map(getBidiClass);
+
+  // Marks take the class of the character they're attached to
+  types.forEach((type, i) => {
+    if (type === "NSM") {
+      types[i] = i > 0 ? types[i - 1] : base;
+    }
+  });
+
+  // Separators inside numbers and currency and percent signs next to them
+  // are part of the number
+  types.forEach((type, i) => {
+    if (
+      (type === "CS" || type === "ES") &&
+      types[i - 1] === "EN" &&
+      types[i + 1] === "EN"
+    ) {
+      types[i] = "EN";
+    }
+  });
+  for (let i = 0; i < types.length; i++) {
+    if (types[i] !== "ET") {
+      continue;
+    }
+    let end = i;
+    while (types[end] === "ET") {
+      end++;
+    }
+    if (types[i - 1] === "EN" || types[end] === "EN") {
+      types.fill("EN", i, end);
+    }
+    i = end;
+  }
+
+  // Numbers after left-to-right text are left-to-right text
+  let strong = base;
+  types.forEach((type, i) => {
+    if (type === "L" || type === "R") {
+      strong = type;
+    } else if (type === "EN" && strong === "L") {
+      types[i] = "L";
+    }
+  });
+
+  // Neutrals between two runs of the same direction take that direction,
+  // and the paragraph's otherwise; numbers count as right to left here
+  for (let i = 0; i < types.length; i++) {
+    if (types[i] === "L" || types[i] === "R" || types[i] === "EN") {
+      continue;
+    }
+    let end = i;
+    while (end < types.length && !["L", "R", "EN"].includes(types[end])) {
+      end++;
+    }
+    const before = i > 0 ? (types[i - 1] === "L" ? "L" : "R") : base;
+    const after = end < types.length ? (types[end] === "L" ? "L" : "R") : base;
+    types.fill(before === after ? before : base, i, end);
+    i = end - 1;
+  }
+
+  const baseLevel = direction === "rtl" ? 1 : 0;
+  const levels = types.map((type) => {
+    if (baseLevel === 0) {
+      return type === "R" ? 1 : type === "EN" ? 2 : 0;
+    }
+    return type === "R" ? 1 : 2;
+  });
+  for (let i = chars.length - 1; i >= 0 && /\s/.test(chars[i]); i--) {
+    levels[i] = baseLevel;
+  }
+
+  // Spread the levels over UTF-16 code units, for slicing the text
+  return chars.flatMap((char, i) => Array(char.length).fill(levels[i]));
+}
+
+/**
+ * Puts a line's runs in the order they're drawn, left to right, by reversing
+ * each stretch of runs at or above each right-to-left level.
+ * @template {{level: number}} T
+ * @param {T[]} runs - The runs in reading order, each at one level
+ * @returns {T[]} The runs in visual order
+ */
+export function reorderRuns(runs) {
+  const ordered = [...runs];
+  const levels = runs.map((run) => run.level);
+  const highest = Math.max(0, ...levels);
+  const lowestOdd = Math.min(
+    ...levels.filter((level) => level % 2 === 1),
+    highest + 1,
+  );
+
+  for (let level = highest; level >= lowestOdd; level--) {
+    for (let i = 0; i < ordered.length; i++) {
+      if (ordered[i].level < level) {
+        continue;
+      }
+      let end = i;
+      while (end < ordered.length && ordered[end].level >= level) {
+        end++;
+      }
+      ordered.splice(i, end - i, ...ordered.slice(i, end).reverse());
+      i = end;
+    }
+  }
+  return ordered;
+}
@@ -0,0 +1,203 @@
+import { parseArenaUrl } from "./arenaUrl.js";
+import { getArenaBlockData, createArenaqrCard } from "./arenaProcessor.js";
+
+/**
+ * @typedef {import('./arenaProcessor').ArenaApiOptions} ArenaApiOptions
+ * @typedef {import('./arenaProcessor').ArenaQrTarget} ArenaQrTarget
+ * @typedef {import('./arenaProcessor').ArenaqrCard} ArenaqrCard
+ * @typedef {import('./contentOptions').ContentOptionsOverrides} ContentOptionsOverrides
+ */
+
+/**
+ * @typedef {"pending"|"working"|"done"|"failed"} BulkStatus
+ */
+
+/**
+ * One block in a bulk run.
+ * @typedef {Object} BulkItem
+ * @property {string} input - The entry as it was given
+ * @property {string} url - The block's canonical URL
+ * @property {BulkStatus} status - Where it is in the queue
+ * @property {string} [error] - Why it failed
+ * @property {ArenaqrCard} [card] - The card, once it's done
+ */
+
+/**
+ * An entry that can't be queued.
+ * @typedef {Object} RejectedEntry
+ * @property {string} input - The entry as it was given
+ * @property {string} reason - Why it was rejected
+ */
+
+/**
+ * Text to read blocks from.
+ * @typedef {Object} BulkSource
+ * @property {string} text - The text: one entry per line, or CSV
+ * @property {boolean} [csv] - Whether the text is CSV
+ */
+
+/**
+ * @typedef {Object} BulkInput
+ * @property {BulkItem[]} items - The blocks to render, in input order, without duplicates
+ * @property {RejectedEntry[]} rejected - Entries that aren't block links
+ * @property {number} duplicates - How many entries repeated an earlier block
+ */
+
+/**
+ * @typedef {Object} BulkOptions
+ * @property {number} [concurrency=3] - Most blocks processed at once
+ * @property {ArenaApiOptions} [api] - API connection options
+ * @property {ArenaQrTarget} [qrTarget] - Where the QR codes should point (default: each block's page)
+ * @property {ContentOptionsOverrides} [contentOptions] - Overrides for the default render settings
+ * @property {(item: BulkItem) => void} [onUpdate] - Called whenever an item's status changes
+ */
+
+const DEFAULT_CONCURRENCY = 3;
+
+/**
+ * Reads a list of blocks from pasted text, dropped links or .txt/.csv
+ * files: one entry per line, or per cell for CSV (a header row is skipped).
+ * Entries are validated and repeats of the same block are dropped, across
+ * all the sources.
+ * @param {BulkSource[]} sources - The texts to read
+ * @returns {BulkInput} The blocks to render and the entries that were left out
+ */
+export function parseBulkInput(sources) {
+  /** @type {BulkInput} */
+  const result = { items: [], rejected: [], duplicates: 0 };
+  const seen = new Set();
+
+  for (const { text, csv = false } of sources) {
+    // Lines starting with # are comments in dragged link lists (text/uri-list)
+    const rows = text
+      .split(/\r?\n/)
+      .map((line) => line.trim())
+      .filter((line) => line && !line.startsWith("#"));
+    rows.forEach((row, index) => addRow(row, csv, csv && index === 0));
+  }
+  return result;
+
+  /**
+   * Validates a row's entries and queues its blocks.
+   * @param {string} row - The row
+   * @param {boolean} csv - Whether it's a CSV row
+   * @param {boolean} header - Whether it may be a header, which is skipped
+   */
+  function addRow(row, csv, header) {
+    const cells = csv ? splitCsvRow(row) : [row];
+    const entries = cells
+      .map((cell) => ({ input: cell, info: parseArenaUrl(cell) }))
+      .filter((entry) => entry.input);
+    const links = entries.filter((entry) => entry.info);
+
+    if (links.length === 0) {
+      // The first row of a CSV file is usually its header
+      if (!header) {
+        result.rejected.push({
+          input: row,
+          reason: "isn't an Are.na link or block ID",
+        });
+      }
+      return;
+    }
+
+    for (const { input, info } of links) {
+      if (info?.type !== "block") {
+        result.rejected.push({
+          input,
+          reason:
+            info?.type === "channel"
+              ? "is a channel; generate it on its own"
+              : "isn't a block",
+        });
+      } else if (seen.has(info.canonicalUrl)) {
+        result.duplicates++;
+      } else {
+        seen.add(info.canonicalUrl);
+        result.items.push({ input, url: info.canonicalUrl, status: "pending" });
+      }
+    }
+  }
+}
+
+/**
+ * Splits a CSV row into its cells, unquoting quoted cells.
+ * Commas, semicolons and tabs all separate cells.
+ * @param {string} row - The row
+ * @returns {string[]} The cells
+ */
+function splitCsvRow(row) {
+  /** @type {string[]} */
+  const cells = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < row.length; i++) {
+    const char = row[i];
+    if (quoted) {
+      if (char === '"' && row[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === "," || char === ";" || char === "\t") {
+      cells.push(cell.trim());
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+/**
+ * Fetches and renders the queued blocks, a few at a time. Items are updated
+ * in place; a failed block is marked with its reason and the rest carry on.
+ * @param {BulkItem[]} items - The queue, e.g. from parseBulkInput
+ * @param {BulkOptions} [options]
+ * @returns {Promise<void>} Resolves when every item is done or failed
+ */
+export async function processBulkItems(items, options = {}) {
+  const {
+    concurrency = DEFAULT_CONCURRENCY,
+    api = {},
+    qrTarget = { type: "block" },
+    contentOptions,
+    onUpdate,
+  } = options;
+
+  const queue = items.filter((item) => item.status === "pending");
+
+  /**
+   * Takes items off the queue until it's empty.
+   * @returns {Promise<void>}
+   */
+  const work = async () => {
+    for (let item = queue.shift(); item; item = queue.shift()) {
+      item.status = "working";
+      onUpdate?.(item);
+      try {
+        const block = await getArenaBlockData(item.url, api);
+        item.card = await createArenaqrCard(block, qrTarget, contentOptions);
+        item.status = "done";
+      } catch (error) {
+        item.status = "failed";
+        item.error = error instanceof Error ? error.message : "Unknown error";
+      }
+      onUpdate?.(item);
+    }
+  };
+
+  await Promise.all(
+    Array.from(
+      { length: Math.max(1, Math.min(concurrency, queue.length)) },
+      work,
+    ),
+  );
+}
@@ -0,0 +1,195 @@
+/**
+ * An IndexedDB cache for Are.na API responses and image bytes, so blocks
+ * that were fetched once can be rendered again without a network.
+ * Where IndexedDB isn't available (e.g. the Node CLI) nothing is cached.
+ */
+
+/**
+ * @typedef {"api"|"images"} CacheStore
+ */
+
+/**
+ * @typedef {Object} CacheEntry
+ * @property {any} value - The cached value
+ * @property {number} storedAt - When it was stored, in ms since the epoch
+ */
+
+const DB_NAME = "arenaqr-cache";
+const DB_VERSION = 1;
+/** @type {CacheStore[]} */
+const STORES = ["api", "images"];
+
+/** How long cached entries are used without checking the network, in ms */
+export const MAX_AGE = {
+  api: 60 * 60 * 1000, // Blocks change (titles, descriptions), so check hourly
+  images: 30 * 24 * 60 * 60 * 1000, // Image URLs point at fixed files
+};
+
+/** @type {Promise<IDBDatabase>|undefined} */
+let dbPromise;
+
+/**
+ * @returns {boolean} Whether this environment has IndexedDB
+ */
+export function isCacheAvailable() {
+  return typeof indexedDB !== "undefined";
+}
+
+/**
+ * Opens the cache database, creating its stores on first use.
+ * @returns {Promise<IDBDatabase>} The database
+ */
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        for (const store of STORES) {
+          if (!request.result.objectStoreNames.contains(store)) {
+            request.result.createObjectStore(store);
+          }
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = undefined;
+        reject(new Error("Failed to open the cache"));
+      };
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * Runs one request against a cache store.
+ * @template T
+ * @param {CacheStore} store - The store to use
+ * @param {IDBTransactionMode} mode - Transaction mode
+ * @param {(objectStore: IDBObjectStore) => IDBRequest<T>} operation - The request to make
+ * @returns {Promise<T>} The request's result
+ */
+async function runRequest(store, mode, operation) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const request = operation(db.transaction(store, mode).objectStore(store));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () =>
+      reject(new Error(request.error?.message || "Cache request failed"));
+  });
+}
+
+/**
+ * Reads an entry from the cache.
+ * @param {CacheStore} store - The store to read from
+ * @param {string} key - The entry's key
+ * @returns {Promise<CacheEntry|undefined>} The entry, if there is one
+ */
+export async function readCache(store, key) {
+  if (!isCacheAvailable()) {
+    return undefined;
+  }
+  return await runRequest(store, "readonly", (objectStore) =>
+    objectStore.get(key),
+  );
+}
+
+/**
+ * Writes an entry to the cache.
+ * @param {CacheStore} store - The store to write to
+ * @param {string} key - The entry's key
+ * @param {any} value - The value to store; must be structured-cloneable
+ * @returns {Promise<void>}
+ */
+export async function writeCache(store, key, value) {
+  if (!isCacheAvailable()) {
+    return;
+  }
+  /** @type {CacheEntry} */
+  const entry = { value, storedAt: Date.now() };
+  await runRequest(store, "readwrite", (objectStore) =>
+    objectStore.put(entry, key),
+  );
+}
+
+/**
+ * Empties every cache store.
+ * @returns {Promise<void>}
+ */
+export async function clearCache() {
+  if (!isCacheAvailable()) {
+    return;
+  }
+  for (const store of STORES) {
+    await runRequest(store, "readwrite", (objectStore) => objectStore.clear());
+  }
+}
+
+/**
+ * @param {unknown} error - Why a load failed
+ * @returns {boolean} Whether the network couldn't be reached, as opposed to the server refusing the request
+ */
+function isNetworkError(error) {
+  return (
+    error instanceof TypeError ||
+    (typeof navigator !== "undefined" && navigator.onLine === false)
+  );
+}
+
+/**
+ * Loads a value through the cache. Fresh entries are used as they are;
+ * stale or missing ones are loaded again, and a stale entry is still used if
+ * the network can't be reached. When the server refuses the request (e.g.
+ * the block was deleted or the token revoked), the stale entry is dropped
+ * and the error thrown. Cache failures never stop the load.
+ * @template T
+ * @param {CacheStore} store - The store to use
+ * @param {string} key - The entry's key
+ * @param {() => Promise<T>} load - Loads the value from the network
+ * @param {boolean} [refresh=false] - Load again even if the entry is fresh
+ * @returns {Promise<T>} The value
+ */
+export async function cachedFetch(store, key, load, refresh = false) {
+  /** @type {CacheEntry|undefined} */
+  const entry = await readCache(store, key).catch(() => undefined);
+  if (entry && !refresh && Date.now() - entry.storedAt < MAX_AGE[store]) {
+    return entry.value;
+  }
+
+  try {
+    const value = await load();
+    await writeCache(store, key, value).catch(() => {});
+    return value;
+  } catch (error) {
+    if (entry && isNetworkError(error)) {
+      return entry.value;
+    }
+    if (entry) {
+      await runRequest(store, "readwrite", (objectStore) =>
+        objectStore.delete(key),
+      ).catch(() => {});
+    }
+    throw error;
+  }
+}
+
+/**
+ * Fetches an image's bytes through the cache.
+ * @param {string} url - The image URL
+ * @param {boolean} [refresh=false] - Fetch again even if the cached copy is fresh
+ * @returns {Promise<Blob>} The image data
+ * @throws {Error} If the image can't be fetched and isn't cached
+ */
+export async function fetchImageBlob(url, refresh = false) {
+  return await cachedFetch(
+    "images",
+    url,
+    async () => {
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+      return await response.blob();
+    },
+    refresh,
+  );
+}
@@ -0,0 +1,396 @@
+import { TEMPLATES } from "./templates.js";
+import { FONT_WEIGHTS } from "./fonts.js";
+import { DITHER_METHODS } from "./dither.js";
+
+/**
+ * @typedef {import('./imageProcessor').ContentOptions} ContentOptions
+ * @typedef {import('./templates').CardTemplate} CardTemplate
+ */
+
+/**
+ * Partial ContentOptions, where nested objects may also be partial.
+ * @typedef {{[K in keyof ContentOptions]?: ContentOptions[K] extends object ? Partial<ContentOptions[K]> : ContentOptions[K]}} ContentOptionsOverrides
+ */
+
+/**
+ * @typedef {Object} CardSize
+ * @property {string} label - Name shown in the UI
+ * @property {number} width - Card width
+ * @property {number} height - Card height
+ * @property {"in"|"mm"} unit - Unit of width and height
+ * @property {boolean} [roll] - Whether it's the printed width of a receipt roll: cards of any template keep the width, and are as long as their shape needs
+ */
+
+/**
+ * @typedef {Object} CardMetrics
+ * @property {number} pixelWidth - Width of the rendered image in pixels
+ * @property {number} pixelHeight - Height of the rendered image in pixels
+ * @property {number} scale - Output pixels per layout unit
+ * @property {number|null} widthMm - Physical card width, or null for screen cards
+ * @property {number|null} heightMm - Physical card height, or null for screen cards
+ */
+
+/**
+ * Physical card sizes, landscape except for receipt rolls. "screen" (not
+ * listed) keeps the template's pixel size.
+ */
+/** @type {Record<string, CardSize>} */
+export const CARD_SIZES = {
+  "3.5x2in": {
+    label: "3.5 × 2 in (business card)",
+    width: 3.5,
+    height: 2,
+    unit: "in",
+  },
+  "5x3in": { label: "5 × 3 in (index card)", width: 5, height: 3, unit: "in" },
+  "6x4in": { label: "6 × 4 in (postcard)", width: 6, height: 4, unit: "in" },
+  A6: { label: "A6 (148 × 105 mm)", width: 148, height: 105, unit: "mm" },
+  // The printable width of receipt printers' rolls, which print 384 and 576 dots at 203 dpi
+  "58mm": {
+    label: "58 mm receipt roll (48 mm printed)",
+    width: 48,
+    height: 90,
+    unit: "mm",
+    roll: true,
+  },
+  "80mm": {
+    label: "80 mm receipt roll (72 mm printed)",
+    width: 72,
+    height: 135,
+    unit: "mm",
+    roll: true,
+  },
+};
+
+const MIN_DPI = 72;
+const MAX_THRESHOLD = 255;
+const MAX_DPI = 1200;
+const MM_PER_INCH = 25.4;
+
+/** @type {ContentOptions} */
+export const DEFAULT_CONTENT_OPTIONS = {
+  template: "default",
+  doubleSided: false,
+  face: "front",
+  cardSize: "screen",
+  dpi: 300,
+  canvasWidth: 800,
+  canvasHeight: 500,
+  contentWidth: 600, // 75% of the canvas width
+  metadataWidth: 200, // 25% of the canvas width
+  frameWidth: 1,
+  frameColor: "#e7e7e5", // Arena's light gray color
+  borderColor: "#000",
+  containerBorderColor: "#e7e7e5", // Light gray for content container border
+  containerPadding: 2, // Padding inside the container border
+  padding: 16,
+  titleFontSize: 18,
+  descriptionFontSize: 14,
+  dateAddedFontSize: 12,
+  authorFontSize: 12,
+  titleMaxLines: 4,
+  descriptionMaxLines: 6,
+  titleFontFamily: "Arial, sans-serif",
+  metadataFontFamily: "Arial, sans-serif",
+  titleFontWeight: "bold",
+  metadataFontWeight: "normal",
+  lineHeight: 1.2,
+  textLineHeight: 1.35,
+  titleColor: "#333",
+  metadataColor: "#666",
+  qrCodeMargin: 1,
+  qrCodeColor: {
+    dark: "#000000",
+    light: "#ffffff",
+  },
+  qrCodeSize: 150, // Fixed QR code size
+  qrErrorCorrection: "M",
+  qrModuleShape: "square",
+  qrFinderShape: "square",
+  qrLogo: "none",
+  qrCaption: true,
+  logoHeight: 17,
+  imageFit: "auto",
+  focalPoint: {
+    x: 0.5,
+    y: 0.5,
+  },
+  gifFrame: 0,
+  imagePlaceholder: false,
+  monochrome: false,
+  ditherMethod: "floyd-steinberg",
+  monochromeThreshold: 128,
+  spaceBetween: 15,
+  backgroundColor: "#fff",
+};
+
+// Hex, rgb()/rgba()/hsl()/hsla() or a named color
+const COLOR_PATTERN =
+  /^(#[0-9a-f]{3,4}|#[0-9a-f]{6}|#[0-9a-f]{8}|(rgb|hsl)a?\([^)]*\)|[a-z]+)$/i;
+
+/** Colors monochrome cards use instead of the color settings */
+/** @type {Partial<ContentOptions>} */
+const MONOCHROME_COLORS = {
+  frameColor: "#000",
+  borderColor: "#000",
+  containerBorderColor: "#000",
+  titleColor: "#000",
+  metadataColor: "#000",
+  qrCodeColor: { dark: "#000", light: "#fff" },
+  backgroundColor: "#fff",
+};
+
+/**
+ * Option names whose values are colors, as dotted paths.
+ * Other string options are choices (CHOICE_OPTIONS), the QR code logo or a
+ * font family.
+ */
+const COLOR_OPTIONS = new Set([
+  "frameColor",
+  "borderColor",
+  "containerBorderColor",
+  "titleColor",
+  "metadataColor",
+  "qrCodeColor.dark",
+  "qrCodeColor.light",
+  "backgroundColor",
+]);
+
+/** String options that take one of a fixed set of values */
+/** @type {Record<string, string[]>} */
+const CHOICE_OPTIONS = {
+  template: Object.keys(TEMPLATES),
+  face: ["front", "back"],
+  qrErrorCorrection: ["L", "M", "Q", "H"],
+  qrModuleShape: ["square", "dots", "rounded"],
+  qrFinderShape: ["square", "rounded", "circle"],
+  imageFit: ["auto", "contain", "cover", "fill"],
+  ditherMethod: Object.keys(DITHER_METHODS),
+  titleFontWeight: FONT_WEIGHTS.map(([value]) => value),
+  metadataFontWeight: FONT_WEIGHTS.map(([value]) => value),
+};
+
+// QR code logos: none, the Are.na mark, or an image URL
+const QR_LOGO_PATTERN =
+  /^(none|arena|https?:\/\/\S+|data:image\/\S+|file:\S+|\/\S*)$/;
+
+/** Numeric options that must be greater than zero, rather than just not negative */
+const POSITIVE_OPTIONS = new Set([
+  "dpi",
+  "canvasWidth",
+  "canvasHeight",
+  "contentWidth",
+  "metadataWidth",
+  "titleFontSize",
+  "descriptionFontSize",
+  "dateAddedFontSize",
+  "authorFontSize",
+  "lineHeight",
+  "textLineHeight",
+  "titleMaxLines",
+  "qrCodeSize",
+  "logoHeight",
+]);
+
+/**
+ * Deep-merges option overrides onto a set of defaults, checking each
+ * override against the type of the default it replaces.
+ * @param {Record<string, any>} defaults - The values to start from
+ * @param {Record<string, any>} overrides - The values to merge in
+ * @param {string} prefix - Dotted path of the objects, for error messages
+ * @param {string[]} errors - Collects validation problems
+ * @returns {Record<string, any>} The merged object
+ */
+function mergeOptions(defaults, overrides, prefix, errors) {
+  /** @type {Record<string, any>} */
+  const merged = { ...defaults };
+
+  for (const [key, value] of Object.entries(overrides)) {
+    const path = prefix + key;
+    if (value === undefined) {
+      continue;
+    }
+    if (!(key in defaults)) {
+      errors.push(`Unknown option "${path}"`);
+      continue;
+    }
+
+    const fallback = defaults[key];
+    if (typeof fallback === "object") {
+      if (typeof value !== "object" || value === null || Array.isArray(value)) {
+        errors.push(`"${path}" must be an object`);
+      } else {
+        merged[key] = mergeOptions(fallback, value, `${path}.`, errors);
+      }
+    } else if (typeof fallback === "boolean") {
+      if (typeof value !== "boolean") {
+        errors.push(`"${path}" must be true or false`);
+      } else {
+        merged[key] = value;
+      }
+    } else if (typeof fallback === "number") {
+      if (typeof value !== "number" || !Number.isFinite(value)) {
+        errors.push(`"${path}" must be a number`);
+      } else if (POSITIVE_OPTIONS.has(path) ? value <= 0 : value < 0) {
+        errors.push(
+          `"${path}" must be ${POSITIVE_OPTIONS.has(path) ? "greater than 0" : "0 or more"}`,
+        );
+      } else {
+        merged[key] = value;
+      }
+    } else if (typeof value !== "string" || value.trim() === "") {
+      errors.push(`"${path}" must be a non-empty string`);
+    } else if (COLOR_OPTIONS.has(path) && !COLOR_PATTERN.test(value.trim())) {
+      errors.push(`"${path}" must be a color, got "${value}"`);
+    } else if (
+      CHOICE_OPTIONS[path] &&
+      !CHOICE_OPTIONS[path].includes(value.trim())
+    ) {
+      errors.push(
+        `"${path}" must be one of ${CHOICE_OPTIONS[path].join(", ")}, got "${value}"`,
+      );
+    } else if (path === "qrLogo" && !QR_LOGO_PATTERN.test(value.trim())) {
+      errors.push(
+        `"qrLogo" must be "none", "arena" or an image URL, got "${value}"`,
+      );
+    } else {
+      merged[key] = value.trim();
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Builds the full render settings from partial overrides.
+ * Nested fields such as qrCodeColor.dark can be overridden on their own.
+ * @param {ContentOptionsOverrides} [overrides] - The options to change from the defaults
+ * @returns {ContentOptions} The complete settings
+ * @throws {Error} If any override is unknown or invalid
+ */
+export function resolveContentOptions(overrides = {}) {
+  /** @type {string[]} */
+  const errors = [];
+  const settings = /** @type {ContentOptions} */ (
+    mergeOptions(DEFAULT_CONTENT_OPTIONS, overrides, "", errors)
+  );
+
+  const template = TEMPLATES[settings.template];
+  // Templates have their own layout size, unless it's set explicitly
+  if (template && overrides.canvasWidth === undefined) {
+    settings.canvasWidth = template.width;
+  }
+  if (template && overrides.canvasHeight === undefined) {
+    settings.canvasHeight = template.height;
+  }
+
+  const cardSize = CARD_SIZES[settings.cardSize];
+  if (settings.cardSize !== "screen" && !cardSize) {
+    errors.push(`Unknown card size "${settings.cardSize}"`);
+  }
+  if (settings.dpi < MIN_DPI || settings.dpi > MAX_DPI) {
+    errors.push(`"dpi" must be between ${MIN_DPI} and ${MAX_DPI}`);
+  }
+  for (const axis of /** @type {const} */ (["x", "y"])) {
+    if (settings.focalPoint[axis] > 1) {
+      errors.push(`"focalPoint.${axis}" must be between 0 and 1`);
+    }
+  }
+  if (!Number.isInteger(settings.gifFrame)) {
+    errors.push('"gifFrame" must be a whole number');
+  }
+  if (settings.monochromeThreshold > MAX_THRESHOLD) {
+    errors.push(`"monochromeThreshold" must be between 0 and ${MAX_THRESHOLD}`);
+  }
+
+  // Monochrome cards print in pure black on white, whatever the colors say
+  if (settings.monochrome) {
+    Object.assign(settings, MONOCHROME_COLORS);
+  }
+
+  // Physical cards keep the layout height and take their width from the
+  // card's aspect ratio; the extra (or missing) width goes to the content
+  if (errors.length === 0 && cardSize) {
+    const { width, height } = orientCardSize(cardSize, template);
+    settings.canvasWidth = Math.round((settings.canvasHeight * width) / height);
+    settings.contentWidth = settings.canvasWidth - settings.metadataWidth;
+  }
+
+  // Only the default template lays out contentWidth and metadataWidth side by side
+  if (
+    errors.length === 0 &&
+    settings.template === "default" &&
+    settings.contentWidth + settings.metadataWidth > settings.canvasWidth
+  ) {
+    errors.push(
+      '"contentWidth" and "metadataWidth" must add up to no more than "canvasWidth"',
+    );
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid options: ${errors.join("; ")}`);
+  }
+  return settings;
+}
+
+/**
+ * Works out the output resolution of a card. Screen cards render one pixel
+ * per layout unit; physical cards render at the card size times the DPI.
+ * @param {ContentOptions} settings - Resolved settings, from resolveContentOptions
+ * @returns {CardMetrics} The output size and scale
+ */
+export function getCardMetrics(settings) {
+  const cardSize = CARD_SIZES[settings.cardSize];
+  if (!cardSize) {
+    return {
+      pixelWidth: settings.canvasWidth,
+      pixelHeight: settings.canvasHeight,
+      scale: 1,
+      widthMm: null,
+      heightMm: null,
+    };
+  }
+
+  const { width, height } = orientCardSize(
+    cardSize,
+    TEMPLATES[settings.template],
+  );
+  const toMm = cardSize.unit === "in" ? MM_PER_INCH : 1;
+  const widthMm = Math.round(width * toMm * 100) / 100;
+  const heightMm = Math.round(height * toMm * 100) / 100;
+  const pixelHeight = Math.round((heightMm / MM_PER_INCH) * settings.dpi);
+  return {
+    pixelWidth: Math.round((widthMm / MM_PER_INCH) * settings.dpi),
+    pixelHeight,
+    scale: pixelHeight / settings.canvasHeight,
+    widthMm,
+    heightMm,
+  };
+}
+
+/**
+ * Turns a physical card size to suit a template: portrait templates stand
+ * the card on its short edge and square ones use its short side both ways.
+ * Receipt rolls keep their width and take the template's proportions.
+ * @param {CardSize} cardSize - The card size, as listed (landscape)
+ * @param {CardTemplate|undefined} template - The template being rendered
+ * @returns {{width: number, height: number}} The card's width and height
+ */
+function orientCardSize(cardSize, template) {
+  if (cardSize.roll && template) {
+    return {
+      width: cardSize.width,
+      height: (cardSize.width * template.height) / template.width,
+    };
+  }
+  const long = Math.max(cardSize.width, cardSize.height);
+  const short = Math.min(cardSize.width, cardSize.height);
+  switch (template?.orientation) {
+    case "portrait":
+      return { width: short, height: long };
+    case "square":
+      return { width: short, height: short };
+    default:
+      return { width: cardSize.width, height: cardSize.height };
+  }
+}
@@ -0,0 +1,111 @@
+/**
+ * Turns images into pure black and white for printers that can't print gray,
+ * such as thermal label printers and cheap lasers. Dithering keeps shading
+ * as patterns of dots; a plain threshold keeps edges sharp.
+ */
+
+/**
+ * @typedef {"floyd-steinberg"|"atkinson"|"ordered"|"threshold"} DitherMethod
+ */
+
+/** Methods, with the names shown in the UI */
+/** @type {Record<DitherMethod, string>} */
+export const DITHER_METHODS = {
+  "floyd-steinberg": "Floyd–Steinberg (smooth shading)",
+  atkinson: "Atkinson (crisper, lighter)",
+  ordered: "Ordered (regular pattern)",
+  threshold: "Threshold (no dithering)",
+};
+
+// Where error diffusion passes each pixel's error: [dx, dy, share]
+/** @type {Record<string, [number, number, number][]>} */
+const DIFFUSION = {
+  "floyd-steinberg": [
+    [1, 0, 7 / 16],
+    [-1, 1, 3 / 16],
+    [0, 1, 5 / 16],
+    [1, 1, 1 / 16],
+  ],
+  // Passes on only 6/8 of the error, which keeps highlights and shadows clean
+  atkinson: [
+    [1, 0, 1 / 8],
+    [2, 0, 1 / 8],
+    [-1, 1, 1 / 8],
+    [0, 1, 1 / 8],
+    [1, 1, 1 / 8],
+    [0, 2, 1 / 8],
+  ],
+};
+
+// 8×8 Bayer matrix, for ordered dithering
+const BAYER = [
+  [0, 32, 8, 40, 2, 34, 10, 42],
+  [48, 16, 56, 24, 50, 18, 58, 26],
+  [12, 44, 4, 36, 14, 46, 6, 38],
+  [60, 28, 52, 20, 62, 30, 54, 22],
+  [3, 35, 11, 43, 1, 33, 9, 41],
+  [51, 19, 59, 27, 49, 17, 57, 25],
+  [15, 47, 7, 39, 13, 45, 5, 37],
+  [63, 31, 55, 23, 61, 29, 53, 21],
+];
+
+/**
+ * Converts RGBA pixels to gray levels, as if laid on white paper.
+ * @param {Uint8ClampedArray} pixels - RGBA pixels
+ * @returns {Float32Array} One gray level (0 black to 255 white) per pixel
+ */
+function toGray(pixels) {
+  const gray = new Float32Array(pixels.length / 4);
+  for (let i = 0; i < gray.length; i++) {
+    const alpha = pixels[i * 4 + 3] / 255;
+    const luma =
+      0.299 * pixels[i * 4] +
+      0.587 * pixels[i * 4 + 1] +
+      0.114 * pixels[i * 4 + 2];
+    gray[i] = luma * alpha + 255 * (1 - alpha);
+  }
+  return gray;
+}
+
+/**
+ * Reduces RGBA pixels to pure black and white, in place.
+ * @param {Uint8ClampedArray} pixels - RGBA pixels, e.g. from getImageData
+ * @param {number} width - Width of the image in pixels
+ * @param {number} height - Height of the image in pixels
+ * @param {DitherMethod} method - How to reduce them
+ * @param {number} [threshold=128] - Gray level (0–255) below which pixels turn black
+ */
+export function ditherPixels(pixels, width, height, method, threshold = 128) {
+  const gray = toGray(pixels);
+  const diffusion = DIFFUSION[method];
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      let white;
+      if (method === "ordered") {
+        // The matrix shifts each pixel's threshold by up to half the range
+        white = gray[i] + (BAYER[y % 8][x % 8] + 0.5) * 4 - 128 >= threshold;
+      } else {
+        white = gray[i] >= threshold;
+      }
+
+      if (diffusion) {
+        const error = gray[i] - (white ? 255 : 0);
+        for (const [dx, dy, share] of diffusion) {
+          const nx = x + dx;
+          const ny = y + dy;
+          if (nx >= 0 && nx < width && ny < height) {
+            gray[ny * width + nx] += error * share;
+          }
+        }
+      }
+
+      const value = white ? 255 : 0;
+      pixels[i * 4] = value;
+      pixels[i * 4 + 1] = value;
+      pixels[i * 4 + 2] = value;
+      pixels[i * 4 + 3] = 255;
+    }
+  }
+}
@@ -0,0 +1,265 @@
+/**
+ * A minimal ESC/POS writer for thermal receipt printers, and a decoder for
+ * the commands it writes so print jobs can be checked without a printer.
+ * Cards are sent as raster images (GS v 0); QR codes can also be left to the
+ * printer's own QR command (GS ( k), which prints them at full sharpness.
+ */
+
+/**
+ * @typedef {Object} ReceiptPaper
+ * @property {string} label - Name shown in the UI
+ * @property {number} dots - Printable width in dots
+ */
+
+/**
+ * @typedef {Object} ReceiptOptions
+ * @property {"58mm"|"80mm"} paper - Roll width
+ * @property {"raster"|"native"} qrCode - Whether the QR code is printed as part of the card image or with the printer's QR command
+ * @property {boolean} cut - Whether to cut the paper after the card
+ */
+
+/**
+ * Part of a print job: black and white pixels, e.g. from a monochrome card.
+ * @typedef {Object} EscPosImage
+ * @property {"image"} type
+ * @property {Uint8ClampedArray} pixels - RGBA pixels; those with a red value under 128 print black
+ * @property {number} width - Width in pixels (dots)
+ * @property {number} height - Height in pixels (dots)
+ */
+
+/**
+ * Part of a print job: a QR code the printer draws itself, centered.
+ * @typedef {Object} EscPosQRCode
+ * @property {"qrCode"} type
+ * @property {string} data - The data to encode
+ * @property {number} moduleSize - Size of each module in dots (1–16)
+ * @property {"L"|"M"|"Q"|"H"} errorCorrection - Error correction level
+ */
+
+/**
+ * A command read back from a print job.
+ * @typedef {{type: "init"}
+ *   | {type: "align", align: "left"|"center"|"right"}
+ *   | {type: "raster", width: number, height: number, bits: Uint8Array}
+ *   | {type: "qrCode", data: string, moduleSize: number, errorCorrection: "L"|"M"|"Q"|"H"}
+ *   | {type: "feed", lines: number}
+ *   | {type: "cut"}} EscPosCommand
+ */
+
+/** Receipt rolls, by their paper width */
+/** @type {Record<ReceiptOptions["paper"], ReceiptPaper>} */
+export const RECEIPT_PAPERS = {
+  "58mm": { label: "58 mm (384 dots)", dots: 384 },
+  "80mm": { label: "80 mm (576 dots)", dots: 576 },
+};
+
+/** Resolution of nearly all thermal receipt printers */
+export const RECEIPT_DPI = 203;
+
+/** @type {ReceiptOptions} */
+export const DEFAULT_RECEIPT_OPTIONS = {
+  paper: "58mm",
+  qrCode: "raster",
+  cut: true,
+};
+
+const ESC = 0x1b;
+const GS = 0x1d;
+const BAND_ROWS = 256; // Many printers can't buffer a whole card, so it's sent in bands
+const FEED_LINES = 4; // Clears the card past the cutter
+const MAX_MODULE_SIZE = 16;
+const QR_MODEL_2 = 50;
+const QR_STORE = 80; // GS ( k function 180: store the data
+const QR_PRINT = 81; // GS ( k function 181: print it
+const QR_MODEL = 65;
+const QR_SIZE = 67;
+const QR_ERROR_CORRECTION = 69;
+/** @type {("L"|"M"|"Q"|"H")[]} */
+const ERROR_CORRECTION_LEVELS = ["L", "M", "Q", "H"];
+/** @type {("left"|"center"|"right")[]} */
+const ALIGNMENTS = ["left", "center", "right"];
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+/**
+ * Packs pixels into raster rows, centered on the paper: one bit per dot,
+ * most significant first, set for black.
+ * @param {EscPosImage} image - The pixels
+ * @param {number} dots - Width of the paper in dots
+ * @returns {Uint8Array} The rows, ceil(dots / 8) bytes each
+ */
+function packRaster(image, dots) {
+  const rowBytes = Math.ceil(dots / 8);
+  const left = Math.floor((dots - image.width) / 2);
+  const bits = new Uint8Array(rowBytes * image.height);
+  for (let y = 0; y < image.height; y++) {
+    for (let x = 0; x < image.width; x++) {
+      if (image.pixels[(y * image.width + x) * 4] < 128) {
+        const dot = left + x;
+        bits[y * rowBytes + (dot >> 3)] |= 0x80 >> (dot & 7);
+      }
+    }
+  }
+  return bits;
+}
+
+/**
+ * Builds a QR code function command (GS ( k) for QR codes.
+ * @param {number} fn - The function's code
+ * @param {number[]|Uint8Array} parameters - Its parameters
+ * @returns {number[]} The command
+ */
+function qrFunction(fn, parameters) {
+  const length = parameters.length + 2;
+  return [GS, 0x28, 0x6b, length & 0xff, length >> 8, 49, fn, ...parameters];
+}
+
+/**
+ * Writes a print job: the printer is reset, each part is printed in turn,
+ * and the paper is fed past the cutter and optionally cut.
+ * @param {(EscPosImage|EscPosQRCode)[]} parts - What to print, top to bottom
+ * @param {{dots: number, cut: boolean}} options - Paper width in dots, and whether to cut
+ * @returns {Uint8Array} The ESC/POS byte stream
+ * @throws {Error} If an image is wider than the paper
+ */
+export function createEscPosJob(parts, options) {
+  /** @type {number[]} */
+  const bytes = [ESC, 0x40];
+  const rowBytes = Math.ceil(options.dots / 8);
+
+  for (const part of parts) {
+    if (part.type === "image") {
+      if (part.width > options.dots) {
+        throw new Error(
+          `The card is ${part.width} dots wide, but the paper only takes ${options.dots}`,
+        );
+      }
+      bytes.push(ESC, 0x61, 0);
+      const bits = packRaster(part, options.dots);
+      for (let top = 0; top < part.height; top += BAND_ROWS) {
+        const rows = Math.min(BAND_ROWS, part.height - top);
+        bytes.push(GS, 0x76, 0x30, 0);
+        bytes.push(rowBytes & 0xff, rowBytes >> 8, rows & 0xff, rows >> 8);
+        for (const byte of bits.subarray(
+          top * rowBytes,
+          (top + rows) * rowBytes,
+        )) {
+          bytes.push(byte);
+        }
+      }
+    } else {
+      const data = encoder.encode(part.data);
+      const moduleSize = Math.min(
+        Math.max(Math.round(part.moduleSize), 1),
+        MAX_MODULE_SIZE,
+      );
+      bytes.push(ESC, 0x61, 1);
+      bytes.push(...qrFunction(QR_MODEL, [QR_MODEL_2, 0]));
+      bytes.push(...qrFunction(QR_SIZE, [moduleSize]));
+      bytes.push(
+        ...qrFunction(QR_ERROR_CORRECTION, [
+          48 + ERROR_CORRECTION_LEVELS.indexOf(part.errorCorrection),
+        ]),
+      );
+      bytes.push(...qrFunction(QR_STORE, [48, ...data]));
+      bytes.push(...qrFunction(QR_PRINT, [48]));
+      // The QR command doesn't advance the paper past the code
+      bytes.push(0x0a);
+    }
+  }
+
+  bytes.push(ESC, 0x64, FEED_LINES);
+  if (options.cut) {
+    bytes.push(GS, 0x56, 66, 0);
+  }
+  return new Uint8Array(bytes);
+}
+
+/**
+ * Reads a print job back into its commands, for checking what a printer
+ * would do with it. Raster bands that follow each other are joined into one
+ * image. Only the commands createEscPosJob writes are understood.
+ * @param {Uint8Array} bytes - The ESC/POS byte stream
+ * @returns {EscPosCommand[]} The commands, in order
+ * @throws {Error} If the stream has other commands or is cut off
+ */
+export function decodeEscPos(bytes) {
+  /** @type {EscPosCommand[]} */
+  const commands = [];
+  let position = 0;
+  let moduleSize = 3;
+  let errorCorrection = /** @type {"L"|"M"|"Q"|"H"} */ ("L");
+  let data = "";
+
+  /** @param {number} count */
+  const take = (count) => {
+    if (position + count > bytes.length) {
+      throw new Error("The print job is cut off");
+    }
+    const chunk = bytes.subarray(position, position + count);
+    position += count;
+    return chunk;
+  };
+
+  while (position < bytes.length) {
+    const start = position;
+    const [first] = take(1);
+    if (first === 0x0a) {
+      commands.push({ type: "feed", lines: 1 });
+      continue;
+    }
+    const [second] = take(1);
+
+    if (first === ESC && second === 0x40) {
+      commands.push({ type: "init" });
+    } else if (first === ESC && second === 0x61) {
+      const [align] = take(1);
+      commands.push({ type: "align", align: ALIGNMENTS[align % 48] });
+    } else if (first === ESC && second === 0x64) {
+      commands.push({ type: "feed", lines: take(1)[0] });
+    } else if (first === GS && second === 0x56) {
+      const [mode] = take(1);
+      if (mode === 65 || mode === 66) {
+        take(1);
+      }
+      commands.push({ type: "cut" });
+    } else if (first === GS && second === 0x76) {
+      const [, , xLow, xHigh, yLow, yHigh] = take(6);
+      const rowBytes = xLow | (xHigh << 8);
+      const rows = yLow | (yHigh << 8);
+      const band = take(rowBytes * rows);
+      const previous = commands[commands.length - 1];
+      if (previous?.type === "raster" && previous.width === rowBytes * 8) {
+        const joined = new Uint8Array(previous.bits.length + band.length);
+        joined.set(previous.bits);
+        joined.set(band, previous.bits.length);
+        previous.bits = joined;
+        previous.height += rows;
+      } else {
+        commands.push({
+          type: "raster",
+          width: rowBytes * 8,
+          height: rows,
+          bits: band.slice(),
+        });
+      }
+    } else if (first === GS && second === 0x28 && take(1)[0] === 0x6b) {
+      const [low, high] = take(2);
+      const [, fn, ...parameters] = take(low | (high << 8));
+      if (fn === QR_SIZE) {
+        moduleSize = parameters[0];
+      } else if (fn === QR_ERROR_CORRECTION) {
+        errorCorrection = ERROR_CORRECTION_LEVELS[parameters[0] - 48];
+      } else if (fn === QR_STORE) {
+        data = decoder.decode(new Uint8Array(parameters.slice(1)));
+      } else if (fn === QR_PRINT) {
+        commands.push({ type: "qrCode", data, moduleSize, errorCorrection });
+      }
+    } else {
+      throw new Error(`Unknown ESC/POS command at byte ${start}`);
+    }
+  }
+
+  return commands;
+}
@@ -0,0 +1,297 @@
+import { getRenderPlatform } from "./platform.js";
+
+/**
+ * Fonts for card text: typefaces bundled with the app, font files the user
+ * adds and typography presets. Cards wait for their fonts before drawing, so
+ * the first render doesn't fall back to a default font.
+ */
+
+/**
+ * @typedef {import('./imageProcessor').ContentOptions} ContentOptions
+ */
+
+/**
+ * @typedef {Object} BundledFontFace
+ * @property {string} file - File name in the fonts directory
+ * @property {string} weight - CSS font weight of the file
+ * @property {"normal"|"italic"} style - CSS font style of the file
+ */
+
+/**
+ * @typedef {Object} BundledFont
+ * @property {string} label - Name shown in the UI
+ * @property {string} family - Font family name to use in font settings
+ * @property {string} stack - Font family setting with a fallback
+ * @property {BundledFontFace[]} faces - The font's files
+ */
+
+/**
+ * Settings that a typography preset changes together.
+ * @typedef {Pick<ContentOptions, "titleFontFamily"|"metadataFontFamily"|"titleFontWeight"|"metadataFontWeight"|"titleFontSize"|"descriptionFontSize"|"dateAddedFontSize"|"authorFontSize"|"lineHeight"|"textLineHeight">} TypographySettings
+ */
+
+/**
+ * @typedef {Object} TypographyPreset
+ * @property {string} label - Name shown in the UI
+ * @property {TypographySettings} options - The settings it applies
+ */
+
+/** Typefaces shipped in public/fonts (see its LICENSE.txt) */
+/** @type {Record<string, BundledFont>} */
+export const BUNDLED_FONTS = {
+  lato: {
+    label: "Lato",
+    family: "Lato",
+    stack: "Lato, sans-serif",
+    faces: [
+      { file: "Lato-Regular.ttf", weight: "400", style: "normal" },
+      { file: "Lato-Italic.ttf", weight: "400", style: "italic" },
+      { file: "Lato-Light.ttf", weight: "300", style: "normal" },
+    ],
+  },
+  sourceCodePro: {
+    label: "Source Code Pro",
+    family: "Source Code Pro",
+    stack: '"Source Code Pro", monospace',
+    faces: [
+      { file: "SourceCodePro-Regular.ttf", weight: "400", style: "normal" },
+      { file: "SourceCodePro-Bold.ttf", weight: "700", style: "normal" },
+    ],
+  },
+};
+
+/** Font weights the title and metadata can use, with their names */
+/** @type {[string, string][]} */
+export const FONT_WEIGHTS = [
+  ["normal", "Normal"],
+  ["bold", "Bold"],
+  ["100", "Thin (100)"],
+  ["200", "Extra light (200)"],
+  ["300", "Light (300)"],
+  ["400", "Regular (400)"],
+  ["500", "Medium (500)"],
+  ["600", "Semibold (600)"],
+  ["700", "Bold (700)"],
+  ["800", "Extra bold (800)"],
+  ["900", "Black (900)"],
+];
+
+/** @type {Record<string, TypographyPreset>} */
+export const TYPOGRAPHY_PRESETS = {
+  classic: {
+    label: "Classic",
+    options: {
+      titleFontFamily: "Arial, sans-serif",
+      metadataFontFamily: "Arial, sans-serif",
+      titleFontWeight: "bold",
+      metadataFontWeight: "normal",
+      titleFontSize: 18,
+      descriptionFontSize: 14,
+      dateAddedFontSize: 12,
+      authorFontSize: 12,
+      lineHeight: 1.2,
+      textLineHeight: 1.35,
+    },
+  },
+  modern: {
+    label: "Modern (Lato)",
+    options: {
+      titleFontFamily: BUNDLED_FONTS.lato.stack,
+      metadataFontFamily: BUNDLED_FONTS.lato.stack,
+      titleFontWeight: "normal",
+      metadataFontWeight: "300",
+      titleFontSize: 20,
+      descriptionFontSize: 14,
+      dateAddedFontSize: 12,
+      authorFontSize: 12,
+      lineHeight: 1.25,
+      textLineHeight: 1.45,
+    },
+  },
+  editorial: {
+    label: "Editorial (serif)",
+    options: {
+      titleFontFamily: 'Georgia, "Times New Roman", serif',
+      metadataFontFamily: BUNDLED_FONTS.lato.stack,
+      titleFontWeight: "bold",
+      metadataFontWeight: "normal",
+      titleFontSize: 20,
+      descriptionFontSize: 13,
+      dateAddedFontSize: 11,
+      authorFontSize: 11,
+      lineHeight: 1.3,
+      textLineHeight: 1.5,
+    },
+  },
+  typewriter: {
+    label: "Typewriter (Source Code Pro)",
+    options: {
+      titleFontFamily: BUNDLED_FONTS.sourceCodePro.stack,
+      metadataFontFamily: BUNDLED_FONTS.sourceCodePro.stack,
+      titleFontWeight: "bold",
+      metadataFontWeight: "normal",
+      titleFontSize: 16,
+      descriptionFontSize: 12,
+      dateAddedFontSize: 11,
+      authorFontSize: 11,
+      lineHeight: 1.3,
+      textLineHeight: 1.4,
+    },
+  },
+  compact: {
+    label: "Compact",
+    options: {
+      titleFontFamily: "Arial, sans-serif",
+      metadataFontFamily: "Arial, sans-serif",
+      titleFontWeight: "bold",
+      metadataFontWeight: "normal",
+      titleFontSize: 15,
+      descriptionFontSize: 12,
+      dateAddedFontSize: 10,
+      authorFontSize: 10,
+      lineHeight: 1.1,
+      textLineHeight: 1.25,
+    },
+  },
+};
+
+// Style words at the end of font file names, e.g. "Inter-SemiBoldItalic.otf"
+const STYLE_SUFFIX =
+  /[-_ ]?((extra|ultra|semi|demi)?(bold|light)|thin|regular|book|medium|black|heavy|italic|oblique)+$/i;
+/** @type {[RegExp, string][]} */
+const FILE_NAME_WEIGHTS = [
+  [/thin/i, "100"],
+  [/(extra|ultra)light/i, "200"],
+  [/light/i, "300"],
+  [/medium/i, "500"],
+  [/(semi|demi)bold/i, "600"],
+  [/(extra|ultra)bold/i, "800"],
+  [/black|heavy/i, "900"],
+  [/bold/i, "700"],
+];
+
+/** @type {Map<string, Promise<void>>} Bundled fonts that are loading or loaded, by family */
+const bundledLoads = new Map();
+
+/**
+ * Splits a CSS font family list into family names, without quotes.
+ * @param {string} value - e.g. '"Source Code Pro", monospace'
+ * @returns {string[]} e.g. ["Source Code Pro", "monospace"]
+ */
+export function parseFontFamilies(value) {
+  return (value.match(/"[^"]*"|'[^']*'|[^,]+/g) || [])
+    .map((family) => family.trim().replace(/^["']|["']$/g, ""))
+    .filter(Boolean);
+}
+
+/**
+ * Quotes a family name for use in a font family setting.
+ * @param {string} family - The family name
+ * @returns {string} The name, quoted if it needs to be
+ */
+export function quoteFontFamily(family) {
+  return /^[a-z][a-z-]*( [a-z][a-z-]*)*$/i.test(family)
+    ? family
+    : JSON.stringify(family);
+}
+
+/**
+ * Lists the fonts a card draws with, as CSS font shorthands, so they can be
+ * loaded before it's drawn.
+ * @param {ContentOptions} settings - The render settings
+ * @returns {string[]} The fonts
+ */
+function getCardFonts(settings) {
+  const titleVariants = ["normal", "bold", "italic", settings.titleFontWeight];
+  const metadataVariants = ["normal", "bold", settings.metadataFontWeight];
+  return [
+    ...titleVariants.map(
+      (variant) =>
+        `${variant} ${settings.titleFontSize}px ${settings.titleFontFamily}`,
+    ),
+    ...metadataVariants.map(
+      (variant) =>
+        `${variant} ${settings.descriptionFontSize}px ${settings.metadataFontFamily}`,
+    ),
+  ];
+}
+
+/**
+ * Registers a bundled font's files, once.
+ * @param {BundledFont} font - The font
+ * @returns {Promise<void>}
+ */
+function loadBundledFont(font) {
+  let load = bundledLoads.get(font.family);
+  if (!load) {
+    const platform = getRenderPlatform();
+    load = Promise.all(
+      font.faces.map((face) =>
+        platform.loadFont(font.family, platform.fontsUrl + face.file, {
+          weight: face.weight,
+          style: face.style,
+        }),
+      ),
+    )
+      .then(() => undefined)
+      .catch((error) => {
+        bundledLoads.delete(font.family);
+        throw new Error(
+          `Failed to load the ${font.label} font: ` +
+            (error instanceof Error ? error.message : "Unknown error"),
+        );
+      });
+    bundledLoads.set(font.family, load);
+  }
+  return load;
+}
+
+/**
+ * Loads the fonts a card uses and waits until they're ready to draw with.
+ * Bundled typefaces are registered the first time they're used; other
+ * families must be installed or added with registerFontFile.
+ * @param {ContentOptions} settings - The render settings
+ * @returns {Promise<void>}
+ * @throws {Error} If a bundled font can't be loaded
+ */
+export async function loadCardFonts(settings) {
+  const families = new Set([
+    ...parseFontFamilies(settings.titleFontFamily),
+    ...parseFontFamilies(settings.metadataFontFamily),
+  ]);
+  await Promise.all(
+    Object.values(BUNDLED_FONTS)
+      .filter((font) => families.has(font.family))
+      .map(loadBundledFont),
+  );
+  await getRenderPlatform().waitForFonts(getCardFonts(settings));
+}
+
+/**
+ * Registers a font file the user provides, named after the file: e.g.
+ * "Inter-BoldItalic.otf" becomes a bold italic face of the "Inter" family.
+ * @param {ArrayBuffer} data - The font file (TTF, OTF, WOFF or WOFF2)
+ * @param {string} fileName - The file's name
+ * @returns {Promise<string>} The family name to use in font settings
+ * @throws {Error} If the file isn't a font the platform can use
+ */
+export async function registerFontFile(data, fileName) {
+  const stem = fileName.replace(/\.[^.]*$/, "");
+  const style = stem.slice(stem.replace(STYLE_SUFFIX, "").length);
+  const family =
+    stem.replace(STYLE_SUFFIX, "").replace(/[-_]+/g, " ").trim() || stem;
+  const weight = FILE_NAME_WEIGHTS.find(([pattern]) => pattern.test(style));
+
+  try {
+    await getRenderPlatform().loadFont(family, data, {
+      weight: weight ? weight[1] : "400",
+      style: /italic|oblique/i.test(style) ? "italic" : "normal",
+    });
+  } catch (error) {
+    throw new Error(
+      `Failed to load font ${fileName}: ` +
+        (error instanceof Error ? error.message : "Unknown error"),
+    );
+  }
+  return family;
+}
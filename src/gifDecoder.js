@@ -0,0 +1,356 @@
+/**
+ * A minimal GIF decoder, so a card can show a chosen frame of an animated
+ * GIF: drawing a GIF image element gives whichever frame the browser happens
+ * to be showing. Frames are composited the way a viewer would show them,
+ * honoring each frame's transparency and disposal.
+ */
+
+/**
+ * @typedef {Object} GifFrame
+ * @property {number} left - Left edge of the frame on the GIF's screen
+ * @property {number} top - Top edge of the frame
+ * @property {number} width - Width of the frame
+ * @property {number} height - Height of the frame
+ * @property {boolean} interlaced - Whether the frame's rows are interlaced
+ * @property {Uint8Array} palette - RGB colors for the frame's pixels
+ * @property {number|null} transparentIndex - Palette index drawn as transparent
+ * @property {number} disposal - What happens to the frame before the next one: 2 clears it, 3 restores what was under it
+ * @property {number} minCodeSize - LZW minimum code size
+ * @property {Uint8Array[]} data - The frame's LZW-compressed data, in sub-blocks
+ */
+
+/**
+ * @typedef {Object} DecodedGifFrame
+ * @property {number} width - Width of the GIF
+ * @property {number} height - Height of the GIF
+ * @property {Uint8ClampedArray} pixels - RGBA pixels of the frame, as shown
+ * @property {number} frameCount - How many frames the GIF has
+ */
+
+const EXTENSION = 0x21;
+const IMAGE_DESCRIPTOR = 0x2c;
+const TRAILER = 0x3b;
+const GRAPHIC_CONTROL = 0xf9;
+const MAX_CODE_SIZE = 12;
+
+/**
+ * @param {Uint8Array} bytes - File contents
+ * @returns {boolean} Whether they're a GIF
+ */
+export function isGif(bytes) {
+  return (
+    bytes.length >= 6 &&
+    String.fromCharCode(...bytes.subarray(0, 6)).match(/^GIF8[79]a$/) !== null
+  );
+}
+
+/**
+ * Reads a GIF's screen size and frames, without decompressing them.
+ * @param {Uint8Array} bytes - The GIF file
+ * @returns {{width: number, height: number, frames: GifFrame[]}} The GIF
+ * @throws {Error} If the file isn't a GIF or is cut off
+ */
+function parseGif(bytes) {
+  if (!isGif(bytes)) {
+    throw new Error("Not a GIF image");
+  }
+  let position = 6;
+
+  /** @param {number} count */
+  const take = (count) => {
+    if (position + count > bytes.length) {
+      throw new Error("The GIF is cut off");
+    }
+    const chunk = bytes.subarray(position, position + count);
+    position += count;
+    return chunk;
+  };
+  const byte = () => take(1)[0];
+  const uint16 = () => {
+    const [low, high] = take(2);
+    return low | (high << 8);
+  };
+  const subBlocks = () => {
+    /** @type {Uint8Array[]} */
+    const blocks = [];
+    for (let size = byte(); size > 0; size = byte()) {
+      blocks.push(take(size));
+    }
+    return blocks;
+  };
+
+  const width = uint16();
+  const height = uint16();
+  const screenFlags = byte();
+  position += 2; // Background color and aspect ratio
+  const globalPalette =
+    screenFlags & 0x80 ? take(3 << ((screenFlags & 7) + 1)) : null;
+
+  /** @type {GifFrame[]} */
+  const frames = [];
+  /** @type {number|null} */
+  let transparentIndex = null;
+  let disposal = 0;
+
+  while (position < bytes.length) {
+    const block = byte();
+    if (block === TRAILER) {
+      break;
+    }
+    if (block === EXTENSION) {
+      const label = byte();
+      const data = subBlocks();
+      // Graphic control extensions set up the frame after them
+      if (label === GRAPHIC_CONTROL && data[0]?.length >= 4) {
+        const [flags, , , index] = data[0];
+        disposal = (flags >> 2) & 7;
+        transparentIndex = flags & 1 ? index : null;
+      }
+    } else if (block === IMAGE_DESCRIPTOR) {
+      const left = uint16();
+      const top = uint16();
+      const frameWidth = uint16();
+      const frameHeight = uint16();
+      const flags = byte();
+      const palette =
+        flags & 0x80 ? take(3 << ((flags & 7) + 1)) : globalPalette;
+      if (!palette) {
+        throw new Error("The GIF has a frame without colors");
+      }
+      frames.push({
+        left,
+        top,
+        width: frameWidth,
+        height: frameHeight,
+        interlaced: Boolean(flags & 0x40),
+        palette,
+        transparentIndex,
+        disposal,
+        minCodeSize: byte(),
+        data: subBlocks(),
+      });
+      transparentIndex = null;
+      disposal = 0;
+    } else {
+      throw new Error("The GIF is damaged");
+    }
+  }
+
+  if (frames.length === 0) {
+    throw new Error("The GIF has no frames");
+  }
+  return { width, height, frames };
+}
+
+/**
+ * Decompresses a frame's LZW data into palette indexes.
+ * @param {GifFrame} frame - The frame
+ * @returns {Uint8Array} One palette index per pixel, in the order they're stored
+ */
+function decompressFrame(frame) {
+  const pixelCount = frame.width * frame.height;
+  const output = new Uint8Array(pixelCount);
+  const clearCode = 1 << frame.minCodeSize;
+  const endCode = clearCode + 1;
+
+  // Each code is a string: its last pixel, the code before it and its length
+  const suffix = new Uint8Array(1 << MAX_CODE_SIZE);
+  const prefix = new Uint16Array(1 << MAX_CODE_SIZE);
+  const lengths = new Uint16Array(1 << MAX_CODE_SIZE);
+  for (let code = 0; code < clearCode; code++) {
+    suffix[code] = code;
+    lengths[code] = 1;
+  }
+
+  let codeSize = frame.minCodeSize + 1;
+  let nextCode = endCode + 1;
+  let previous = -1;
+  let written = 0;
+  let bits = 0;
+  let bitCount = 0;
+
+  outer: for (const block of frame.data) {
+    for (const value of block) {
+      bits |= value << bitCount;
+      bitCount += 8;
+
+      while (bitCount >= codeSize) {
+        const code = bits & ((1 << codeSize) - 1);
+        bits >>>= codeSize;
+        bitCount -= codeSize;
+
+        if (code === clearCode) {
+          codeSize = frame.minCodeSize + 1;
+          nextCode = endCode + 1;
+          previous = -1;
+          continue;
+        }
+        if (code === endCode) {
+          break outer;
+        }
+
+        // A code not in the table yet is the previous string plus its own first pixel
+        const known = code < nextCode;
+        if (!known && (code !== nextCode || previous < 0)) {
+          throw new Error("The GIF is damaged");
+        }
+        const stringCode = known ? code : previous;
+        let length = lengths[stringCode];
+        let end = Math.min(written + length, pixelCount);
+        let first = 0;
+        for (let walk = stringCode, i = written + length - 1; ; i--) {
+          first = suffix[walk];
+          if (i < end) {
+            output[i] = first;
+          }
+          if (lengths[walk] === 1) {
+            break;
+          }
+          walk = prefix[walk];
+        }
+        if (!known) {
+          if (end < pixelCount) {
+            output[end] = first;
+          }
+          length++;
+          end = Math.min(written + length, pixelCount);
+        }
+        written = end;
+
+        if (previous >= 0 && nextCode < 1 << MAX_CODE_SIZE) {
+          prefix[nextCode] = previous;
+          suffix[nextCode] = first;
+          lengths[nextCode] = lengths[previous] + 1;
+          nextCode++;
+          if (nextCode === 1 << codeSize && codeSize < MAX_CODE_SIZE) {
+            codeSize++;
+          }
+        }
+        previous = code;
+
+        if (written >= pixelCount) {
+          break outer;
+        }
+      }
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Lists the rows of a frame in the order they're stored.
+ * @param {number} height - The frame's height
+ * @param {boolean} interlaced - Whether its rows are interlaced
+ * @returns {number[]} The row numbers
+ */
+function getRowOrder(height, interlaced) {
+  const rows = [];
+  if (!interlaced) {
+    for (let row = 0; row < height; row++) {
+      rows.push(row);
+    }
+    return rows;
+  }
+  for (const [start, step] of [
+    [0, 8],
+    [4, 8],
+    [2, 4],
+    [1, 2],
+  ]) {
+    for (let row = start; row < height; row += step) {
+      rows.push(row);
+    }
+  }
+  return rows;
+}
+
+/**
+ * Draws a frame onto the GIF's screen.
+ * @param {GifFrame} frame - The frame
+ * @param {Uint8ClampedArray} screen - RGBA pixels of the screen
+ * @param {number} screenWidth - Width of the screen
+ * @param {number} screenHeight - Height of the screen
+ */
+function drawFrame(frame, screen, screenWidth, screenHeight) {
+  const indexes = decompressFrame(frame);
+  const rows = getRowOrder(frame.height, frame.interlaced);
+
+  rows.forEach((row, storedRow) => {
+    const y = frame.top + row;
+    if (y >= screenHeight) {
+      return;
+    }
+    for (let column = 0; column < frame.width; column++) {
+      const x = frame.left + column;
+      const index = indexes[storedRow * frame.width + column];
+      if (x >= screenWidth || index === frame.transparentIndex) {
+        continue;
+      }
+      const offset = (y * screenWidth + x) * 4;
+      screen[offset] = frame.palette[index * 3];
+      screen[offset + 1] = frame.palette[index * 3 + 1];
+      screen[offset + 2] = frame.palette[index * 3 + 2];
+      screen[offset + 3] = 255;
+    }
+  });
+}
+
+/**
+ * Clears a frame's area of the screen to transparent.
+ * @param {GifFrame} frame - The frame
+ * @param {Uint8ClampedArray} screen - RGBA pixels of the screen
+ * @param {number} screenWidth - Width of the screen
+ * @param {number} screenHeight - Height of the screen
+ */
+function clearFrame(frame, screen, screenWidth, screenHeight) {
+  const right = Math.min(frame.left + frame.width, screenWidth);
+  const bottom = Math.min(frame.top + frame.height, screenHeight);
+  for (let y = frame.top; y < bottom; y++) {
+    screen.fill(
+      0,
+      (y * screenWidth + frame.left) * 4,
+      (y * screenWidth + right) * 4,
+    );
+  }
+}
+
+/**
+ * Counts a GIF's frames.
+ * @param {Uint8Array} bytes - The GIF file
+ * @returns {number} The number of frames
+ * @throws {Error} If the file isn't a GIF or is damaged
+ */
+export function countGifFrames(bytes) {
+  return parseGif(bytes).frames.length;
+}
+
+/**
+ * Decodes one frame of a GIF as it appears when the GIF plays.
+ * @param {Uint8Array} bytes - The GIF file
+ * @param {number} index - The frame, from 0; past the last frame gives the last
+ * @returns {DecodedGifFrame} The frame's pixels
+ * @throws {Error} If the file isn't a GIF or is damaged
+ */
+export function decodeGifFrame(bytes, index) {
+  const { width, height, frames } = parseGif(bytes);
+  const last = Math.min(Math.max(0, Math.floor(index)), frames.length - 1);
+  const screen = new Uint8ClampedArray(width * height * 4);
+
+  for (let i = 0; i <= last; i++) {
+    const frame = frames[i];
+    // Frames that restore what was under them need a copy of it
+    const saved = frame.disposal === 3 && i < last ? screen.slice() : null;
+    drawFrame(frame, screen, width, height);
+    if (i === last) {
+      break;
+    }
+    if (frame.disposal === 2) {
+      clearFrame(frame, screen, width, height);
+    } else if (saved) {
+      screen.set(saved);
+    }
+  }
+
+  return { width, height, pixels: screen, frameCount: frames.length };
+}
@@ -0,0 +1,205 @@
+import { getRenderPlatform } from "./platform.js";
+
+/**
+ * A history of generated cards, kept in IndexedDB so earlier cards can be
+ * downloaded or rendered again later. It is kept apart from the offline
+ * cache, so clearing the cache doesn't lose it.
+ */
+
+/**
+ * @typedef {import('./arenaProcessor').ArenaBlock} ArenaBlock
+ * @typedef {import('./arenaProcessor').ArenaqrCard} ArenaqrCard
+ * @typedef {import('./contentOptions').ContentOptionsOverrides} ContentOptionsOverrides
+ */
+
+/**
+ * @typedef {Object} HistoryEntry
+ * @property {number} id - The entry's key
+ * @property {number} [blockId] - ID of the block the card shows
+ * @property {string} title - The block's title, for the gallery
+ * @property {string} thumbnail - A small JPEG data URL of the card
+ * @property {string} dataURL - Data URL of the card image (the front, for double-sided cards)
+ * @property {string} [backDataURL] - Data URL of the back, for double-sided cards
+ * @property {ArenaBlock} block - The block, so the card can be rendered again offline
+ * @property {string} qrData - The data encoded in the card's QR code
+ * @property {ContentOptionsOverrides} settings - The card settings it was rendered with
+ * @property {number} createdAt - When it was generated, in ms since the epoch
+ */
+
+const DB_NAME = "arenaqr-history";
+const DB_VERSION = 1;
+const STORE = "cards";
+const MAX_ENTRIES = 200; // Oldest entries are dropped past this, to bound storage
+const THUMBNAIL_WIDTH = 240;
+
+/** @type {Promise<IDBDatabase>|undefined} */
+let dbPromise;
+
+/**
+ * @returns {boolean} Whether this environment can keep a history
+ */
+export function isHistoryAvailable() {
+  return typeof indexedDB !== "undefined";
+}
+
+/**
+ * Opens the history database, creating its store on first use.
+ * @returns {Promise<IDBDatabase>} The database
+ */
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        if (!request.result.objectStoreNames.contains(STORE)) {
+          request.result.createObjectStore(STORE, {
+            keyPath: "id",
+            autoIncrement: true,
+          });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = undefined;
+        reject(new Error("Failed to open the history"));
+      };
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * Runs one request against the history store.
+ * @template T
+ * @param {IDBTransactionMode} mode - Transaction mode
+ * @param {(objectStore: IDBObjectStore) => IDBRequest<T>} operation - The request to make
+ * @returns {Promise<T>} The request's result
+ */
+async function runRequest(mode, operation) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const request = operation(db.transaction(STORE, mode).objectStore(STORE));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () =>
+      reject(new Error(request.error?.message || "History request failed"));
+  });
+}
+
+/**
+ * Lists the history, newest first.
+ * @returns {Promise<HistoryEntry[]>} The entries
+ */
+export async function listHistory() {
+  if (!isHistoryAvailable()) {
+    return [];
+  }
+  /** @type {HistoryEntry[]} */
+  const entries = await runRequest("readonly", (objectStore) =>
+    objectStore.getAll(),
+  );
+  return entries.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Adds a generated card to the history, dropping the oldest entries if the
+ * history is full.
+ * @param {ArenaqrCard} card - The card
+ * @param {ContentOptionsOverrides} settings - The card settings it was rendered with
+ * @returns {Promise<void>}
+ * @throws {Error} If the card can't be stored
+ */
+export async function addToHistory(card, settings) {
+  if (!isHistoryAvailable()) {
+    return;
+  }
+  try {
+    /** @type {Omit<HistoryEntry, "id">} */
+    const entry = {
+      blockId: card.block.id,
+      title:
+        card.block.title ||
+        card.block.generated_title ||
+        `Block ${card.block.id ?? ""}`.trim(),
+      thumbnail: await createThumbnail(card.dataURL),
+      dataURL: card.dataURL,
+      backDataURL: card.backDataURL,
+      block: card.block,
+      qrData: card.qrData,
+      settings,
+      createdAt: Date.now(),
+    };
+    await runRequest("readwrite", (objectStore) => objectStore.add(entry));
+    await pruneHistory();
+  } catch (error) {
+    throw new Error(
+      "Failed to save to history: " +
+        (error instanceof Error ? error.message : "Unknown error"),
+    );
+  }
+}
+
+/**
+ * Drops the oldest entries once there are more than MAX_ENTRIES. Only keys
+ * are read, so the card images aren't loaded.
+ * @returns {Promise<void>}
+ */
+async function pruneHistory() {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE, "readwrite");
+    const objectStore = transaction.objectStore(STORE);
+    const countRequest = objectStore.count();
+    countRequest.onsuccess = () => {
+      let excess = countRequest.result - MAX_ENTRIES;
+      if (excess <= 0) {
+        return;
+      }
+      // Keys count up, so the cursor starts at the oldest entry
+      const cursorRequest = objectStore.openKeyCursor();
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (cursor && excess > 0) {
+          objectStore.delete(cursor.primaryKey);
+          excess--;
+          cursor.continue();
+        }
+      };
+    };
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () =>
+      reject(new Error(transaction.error?.message || "History request failed"));
+  });
+}
+
+/**
+ * Deletes entries from the history.
+ * @param {number[]} ids - The entries' IDs
+ * @returns {Promise<void>}
+ */
+export async function deleteFromHistory(ids) {
+  if (!isHistoryAvailable()) {
+    return;
+  }
+  for (const id of ids) {
+    await runRequest("readwrite", (objectStore) => objectStore.delete(id));
+  }
+}
+
+/**
+ * Scales a card image down for the history gallery.
+ * @param {string} dataURL - The card image
+ * @returns {Promise<string>} A JPEG data URL of the thumbnail
+ */
+async function createThumbnail(dataURL) {
+  const platform = getRenderPlatform();
+  const image = await platform.loadImage(dataURL);
+  const width = Math.min(THUMBNAIL_WIDTH, image.width);
+  const height = Math.round((image.height * width) / image.width);
+  const canvas = platform.createCanvas(width, height);
+  const ctx = canvas.getContext("2d");
+  if (!ctx) {
+    throw new Error("Couldn't get canvas context");
+  }
+  ctx.drawImage(image, 0, 0, width, height);
+  return canvas.toDataURL("image/jpeg", 0.8);
+}
@@ -1,11 +1,40 @@
 import QRCode from "qrcode";
+import { createSvgContext } from "./svgContext.js";
+import { resolveContentOptions, getCardMetrics } from "./contentOptions.js";
+import { getRenderPlatform } from "./platform.js";
+import { parseMarkdown } from "./markdown.js";
+import { fitMarkdown, drawMarkdownLayout } from "./markdownLayout.js";
+import { decodeQR } from "./qrDecoder.js";
+import { getTemplate, resolveRegion, resolveDivider } from "./templates.js";
+import { splitGraphemes, wrapText } from "./lineBreak.js";
+import { getBaseDirection } from "./bidi.js";
+import { loadCardFonts } from "./fonts.js";
+import { decodeGifFrame, countGifFrames, isGif } from "./gifDecoder.js";
+import { ditherPixels } from "./dither.js";
+import { encodeBilevelPng } from "./pngWriter.js";
+import {
+  createEscPosJob,
+  DEFAULT_RECEIPT_OPTIONS,
+  RECEIPT_DPI,
+  RECEIPT_PAPERS,
+} from "./escposWriter.js";
+
+/**
+ * @typedef {import('./markdownLayout').MarkdownLayout} MarkdownLayout
+ * @typedef {import('./bidi').TextDirection} TextDirection
+ */
 
 /**
  * @typedef {Object} ContentOptions
- * @property {number} canvasWidth - Fixed width of the generated canvas
- * @property {number} canvasHeight - Fixed height of the generated canvas
- * @property {number} contentWidth - Width of the content area (left side)
- * @property {number} metadataWidth - Width of the metadata area (right side)
+ * @property {string} template - Card layout (a key of TEMPLATES)
+ * @property {boolean} doubleSided - Whether the content goes on the front and the details and QR code on the back
+ * @property {"front"|"back"} face - Which face of a double-sided card to render
+ * @property {string} cardSize - Physical card size (a key of CARD_SIZES), or "screen" for a card one pixel per layout unit
+ * @property {number} dpi - Output resolution for physical card sizes
+ * @property {number} canvasWidth - Width of the layout (the template's width by default; derived from the card size for physical cards)
+ * @property {number} canvasHeight - Height of the layout (the template's height by default); everything is scaled from it to the output size
+ * @property {number} contentWidth - Width of the content area (left side, in the default template)
+ * @property {number} metadataWidth - Width of the metadata area (right side, in the default template)
  * @property {number} frameWidth - Width of the border frame in pixels
  * @property {string} frameColor - Color of the frame
  * @property {string} borderColor - Color of the border
@@ -16,22 +45,43 @@ import QRCode from "qrcode";
  * @property {number} descriptionFontSize - Font size for the description
  * @property {number} dateAddedFontSize - Font size for the date added
  * @property {number} authorFontSize - Font size for the author
+ * @property {number} titleMaxLines - Most lines the title may wrap to before it is cut
+ * @property {number} descriptionMaxLines - Most lines the description may wrap to before it is cut (0 hides it)
  * @property {string} titleFontFamily - Font family for the title
  * @property {string} metadataFontFamily - Font family for other metadata
+ * @property {string} titleFontWeight - Font weight for the title (e.g. "bold" or "600")
+ * @property {string} metadataFontWeight - Font weight for other metadata
+ * @property {number} lineHeight - Line height of the title and metadata, relative to their font size
+ * @property {number} textLineHeight - Line height of text blocks, relative to their font size
  * @property {string} titleColor - Color for the title text
  * @property {string} metadataColor - Color for other metadata text
  * @property {number} qrCodeSize - QR code size
+ * @property {boolean} qrCaption - Whether to show the QR code's destination domain under it
+ * @property {number} logoHeight - Height of the Are.na logo
  * @property {number} qrCodeMargin - QR code margin/padding
  * @property {Object} qrCodeColor - QR code colors
  * @property {string} qrCodeColor.dark - QR code dark color
  * @property {string} qrCodeColor.light - QR code light color
+ * @property {"L"|"M"|"Q"|"H"} qrErrorCorrection - QR error correction level; a logo always uses H
+ * @property {"square"|"dots"|"rounded"} qrModuleShape - Shape of the QR code's modules
+ * @property {"square"|"rounded"|"circle"} qrFinderShape - Shape of the three corner finder patterns
+ * @property {string} qrLogo - Logo in the middle of the QR code: "none", "arena" for the Are.na mark, or an image URL
+ * @property {"auto"|"contain"|"cover"|"fill"} imageFit - How image blocks fit their area: "auto" covers it on full-bleed templates and fits inside it otherwise
+ * @property {Object} focalPoint - The part of an image to keep when cover crops it, as fractions of its width and height
+ * @property {number} focalPoint.x - Horizontal position, 0 (left) to 1 (right)
+ * @property {number} focalPoint.y - Vertical position, 0 (top) to 1 (bottom)
+ * @property {number} gifFrame - Frame of an animated GIF to show, from 0
+ * @property {boolean} imagePlaceholder - Whether to draw a placeholder for images that can't be loaded, rather than fail
+ * @property {boolean} monochrome - Whether to render in pure black and white for printers that can't print gray; the color settings are ignored
+ * @property {import('./dither').DitherMethod} ditherMethod - How monochrome cards reduce images to black and white
+ * @property {number} monochromeThreshold - Gray level (0–255) below which image pixels turn black on monochrome cards
  * @property {number} spaceBetween - Space between elements in pixels
  * @property {string} backgroundColor - Background color
  */
 
 /**
  * @typedef {Object} ImageContent
- * @property {string} type - Content type (set to "image")
+ * @property {"image"} type - Content type
  * @property {string} imageUrl - The URL of the image to load
  * @property {string} [displayUrl] - The display URL version of the image (if available)
  * @property {string} [title] - Title to display in the metadata section
@@ -42,7 +92,7 @@ import QRCode from "qrcode";
 
 /**
  * @typedef {Object} TextContent
- * @property {string} type - Content type (set to "text")
+ * @property {"text"} type - Content type
  * @property {string} text - The text content
  * @property {string} [title] - Title to display in the metadata section
  * @property {string} [description] - Description to display in the metadata section
@@ -51,104 +101,536 @@ import QRCode from "qrcode";
  */
 
 /**
- * @typedef {ImageContent|TextContent} Content
+ * @typedef {Object} LinkContent
+ * @property {"link"} type - Content type
+ * @property {string} sourceUrl - The URL the link points to
+ * @property {string} [imageUrl] - The URL of the link's thumbnail
+ * @property {string} [displayUrl] - The display URL version of the thumbnail (if available)
+ * @property {string} [title] - Title to display in the metadata section
+ * @property {string} [description] - Description to display in the metadata section
+ * @property {string} [created_at] - Date the content was added
+ * @property {string} [username] - Username to display in the metadata section
+ */
+
+/**
+ * @typedef {Object} MediaContent
+ * @property {"media"} type - Content type
+ * @property {string} [providerName] - Name of the embed provider (e.g. YouTube)
+ * @property {string} [sourceUrl] - The URL of the original media
+ * @property {string} [imageUrl] - The URL of the media's thumbnail
+ * @property {string} [displayUrl] - The display URL version of the thumbnail (if available)
+ * @property {string} [title] - Title to display in the metadata section
+ * @property {string} [description] - Description to display in the metadata section
+ * @property {string} [created_at] - Date the content was added
+ * @property {string} [username] - Username to display in the metadata section
+ */
+
+/**
+ * @typedef {Object} AttachmentContent
+ * @property {"attachment"} type - Content type
+ * @property {string} fileName - Name of the attached file
+ * @property {string} [extension] - File extension, without the dot
+ * @property {string} [fileSize] - Human-readable file size
+ * @property {string} [imageUrl] - The URL of a preview image of the file
+ * @property {string} [displayUrl] - The display URL version of the preview (if available)
+ * @property {string} [title] - Title to display in the metadata section
+ * @property {string} [description] - Description to display in the metadata section
+ * @property {string} [created_at] - Date the content was added
+ * @property {string} [username] - Username to display in the metadata section
+ */
+
+/**
+ * @typedef {Object} Rect
+ * @property {number} x - Left edge
+ * @property {number} y - Top edge
+ * @property {number} width - Width
+ * @property {number} height - Height
+ */
+
+/**
+ * @typedef {ImageContent|TextContent|LinkContent|MediaContent|AttachmentContent} Content
+ * @typedef {import('./contentOptions').ContentOptionsOverrides} ContentOptionsOverrides
+ * @typedef {import('./escposWriter').ReceiptOptions} ReceiptOptions
+ */
+
+// Gray level below which anti-aliased edges turn black on monochrome cards;
+// above the midpoint, so small text keeps its thin strokes
+const MONOCHROME_TEXT_THRESHOLD = 192;
+
+/**
+ * Renders a card onto a new canvas at the output resolution.
+ * @param {Content} content - The content to render (image or text)
+ * @param {string} qrData - The data to encode in the QR code
+ * @param {ContentOptionsOverrides} [options] - Overrides for the default render settings
+ * @returns {Promise<HTMLCanvasElement>} The canvas with the rendered card
+ * @throws {Error} If the options are invalid, or content loading or QR code generation fails
+ */
+export async function generateCardCanvas(content, qrData, options) {
+  const settings = resolveContentOptions(options);
+  const metrics = getCardMetrics(settings);
+
+  // Create canvas at the output resolution
+  const canvas = getRenderPlatform().createCanvas(
+    metrics.pixelWidth,
+    metrics.pixelHeight,
+  );
+  const ctx = canvas.getContext("2d");
+
+  if (!ctx) {
+    throw new Error("Couldn't get canvas context");
+  }
+
+  // Draw in layout units, scaled up to the output resolution
+  ctx.scale(metrics.scale, metrics.scale);
+
+  await renderCard(content, qrData, ctx, settings);
+
+  // Anti-aliased text and lines come out gray; snap them to black or white
+  if (settings.monochrome) {
+    const image = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    ditherPixels(
+      image.data,
+      image.width,
+      image.height,
+      "threshold",
+      MONOCHROME_TEXT_THRESHOLD,
+    );
+    ctx.putImageData(image, 0, 0);
+  }
+  return canvas;
+}
+
+/**
+ * Renders both faces of a double-sided card: the content on the front, and
+ * the details and QR code on the back.
+ * @param {Content} content - The content to render (image or text)
+ * @param {string} qrData - The data to encode in the QR code
+ * @param {ContentOptionsOverrides} [options] - Overrides for the default render settings
+ * @returns {Promise<{front: HTMLCanvasElement, back: HTMLCanvasElement}>} The two faces
+ * @throws {Error} If the options are invalid, or content loading or QR code generation fails
  */
+export async function generateCardFaces(content, qrData, options) {
+  const faceOptions = { ...options, doubleSided: true };
+  return {
+    front: await generateCardCanvas(content, qrData, {
+      ...faceOptions,
+      face: "front",
+    }),
+    back: await generateCardCanvas(content, qrData, {
+      ...faceOptions,
+      face: "back",
+    }),
+  };
+}
 
 /**
  * Generates content with a QR code in a fixed-size layout.
  * @param {Content} content - The content to render (image or text)
  * @param {string} qrData - The data to encode in the QR code
+ * @param {ContentOptionsOverrides} [options] - Overrides for the default render settings
  * @returns {Promise<string>} Data URL of the combined content with QR code
- * @throws {Error} If content loading or QR code generation fails
- */
-export async function generateContentWithQR(content, qrData) {
-  /** @type {ContentOptions} */
-  const settings = {
-    canvasWidth: 800,
-    canvasHeight: 500,
-    contentWidth: 600, // 75% of the canvas width
-    metadataWidth: 200, // 25% of the canvas width
-    frameWidth: 1,
-    frameColor: "#e7e7e5", // Arena's light gray color
-    borderColor: "#000",
-    containerBorderColor: "#e7e7e5", // Light gray for content container border
-    containerPadding: 2, // Padding inside the container border
-    padding: 16,
-    titleFontSize: 18,
-    descriptionFontSize: 14,
-    dateAddedFontSize: 12,
-    authorFontSize: 12,
-    titleFontFamily: "Arial, sans-serif",
-    metadataFontFamily: "Arial, sans-serif",
-    titleColor: "#333",
-    metadataColor: "#666",
-    qrCodeMargin: 1,
-    qrCodeColor: {
-      dark: "#000000",
-      light: "#ffffff",
-    },
-    qrCodeSize: 150, // Fixed QR code size
-    spaceBetween: 15,
-    backgroundColor: "#fff",
-  };
+ * @throws {Error} If the options are invalid, or content loading or QR code generation fails
+ */
+export async function generateContentWithQR(content, qrData, options) {
+  try {
+    const canvas = await generateCardCanvas(content, qrData, options);
+
+    // Return the final canvas as a data URL
+    return canvas.toDataURL("image/jpeg", 0.9);
+  } catch (error) {
+    if (error instanceof Error) {
+      throw new Error(
+        "Failed to generate content: " + (error.message || "Unknown error"),
+      );
+    }
+    throw new Error("Failed to generate content: Unknown error");
+  }
+}
 
+/**
+ * Generates a monochrome card as a 1-bit black and white PNG, for laser and
+ * thermal printers. Physical cards record their DPI, so they print at size.
+ * @param {Content} content - The content to render (image or text)
+ * @param {string} qrData - The data to encode in the QR code
+ * @param {ContentOptionsOverrides} [options] - Overrides for the default render settings; monochrome is always on
+ * @returns {Promise<Uint8Array>} The PNG file
+ * @throws {Error} If the options are invalid, or content loading or QR code generation fails
+ */
+export async function generateMonochromePNG(content, qrData, options) {
   try {
-    // Create canvas with fixed dimensions
-    const canvas = document.createElement("canvas");
+    const monochromeOptions = { ...options, monochrome: true };
+    const canvas = await generateCardCanvas(content, qrData, monochromeOptions);
     const ctx = canvas.getContext("2d");
 
     if (!ctx) {
       throw new Error("Couldn't get canvas context");
     }
 
-    canvas.width = settings.canvasWidth;
-    canvas.height = settings.canvasHeight;
+    const settings = resolveContentOptions(monochromeOptions);
+    const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    return await encodeBilevelPng(
+      data,
+      canvas.width,
+      canvas.height,
+      getCardMetrics(settings).widthMm !== null ? settings.dpi : undefined,
+    );
+  } catch (error) {
+    if (error instanceof Error) {
+      throw new Error(
+        "Failed to generate PNG: " + (error.message || "Unknown error"),
+      );
+    }
+    throw new Error("Failed to generate PNG: Unknown error");
+  }
+}
+
+/**
+ * Fills in receipt options and checks the roll.
+ * @param {Partial<ReceiptOptions>} receiptOptions - The roll width, QR code and cut
+ * @returns {ReceiptOptions} The options
+ * @throws {Error} If the roll isn't known
+ */
+function resolveReceiptOptions(receiptOptions) {
+  const receipt = { ...DEFAULT_RECEIPT_OPTIONS, ...receiptOptions };
+  if (!RECEIPT_PAPERS[receipt.paper]) {
+    throw new Error(`Unknown receipt paper "${receipt.paper}"`);
+  }
+  return receipt;
+}
+
+/**
+ * @param {ContentOptionsOverrides|undefined} options - Card settings
+ * @param {ReceiptOptions} receipt - The receipt options
+ * @returns {ContentOptionsOverrides} The settings with the roll's card size, the printer's DPI and monochrome
+ */
+function getReceiptCardOptions(options, receipt) {
+  return {
+    ...options,
+    cardSize: receipt.paper,
+    dpi: RECEIPT_DPI,
+    monochrome: true,
+  };
+}
+
+/**
+ * Generates a card as an ESC/POS print job for a thermal receipt printer.
+ * The card is rendered in monochrome at the printer's resolution, on the
+ * roll's width. With the printer's own QR command, the card is cut off
+ * above its QR code and the printer draws the code under it.
+ * @param {Content} content - The content to render (image or text)
+ * @param {string} qrData - The data to encode in the QR code
+ * @param {ContentOptionsOverrides} [options] - Overrides for the default render settings; the card size, DPI and monochrome are set for the printer
+ * @param {Partial<ReceiptOptions>} [receiptOptions] - The roll width, QR code and cut
+ * @returns {Promise<Uint8Array>} The ESC/POS byte stream
+ * @throws {Error} If the options are invalid, content loading or QR code generation fails, the card's QR code doesn't scan at the printer's resolution, or the printer's QR code is asked for on a template without the QR code along its bottom
+ */
+export async function generateEscPos(
+  content,
+  qrData,
+  options,
+  receiptOptions = {},
+) {
+  try {
+    const receipt = resolveReceiptOptions(receiptOptions);
+    const canvas = await generateCardCanvas(
+      content,
+      qrData,
+      getReceiptCardOptions(options, receipt),
+    );
+    return encodeEscPos(canvas, qrData, options, receipt, true);
+  } catch (error) {
+    if (error instanceof Error) {
+      throw new Error(
+        "Failed to generate receipt: " + (error.message || "Unknown error"),
+      );
+    }
+    throw new Error("Failed to generate receipt: Unknown error");
+  }
+}
+
+/**
+ * Turns a card that was already rendered for a receipt printer into an
+ * ESC/POS print job, as generateEscPos would, without drawing it again.
+ * @param {HTMLCanvasElement} canvas - The card, rendered with the options below and, as generateEscPos sets them, the roll's card size, RECEIPT_DPI and monochrome
+ * @param {string} qrData - The data encoded in the QR code
+ * @param {ContentOptionsOverrides} [options] - The settings the card was rendered with
+ * @param {Partial<ReceiptOptions>} [receiptOptions] - The roll width, QR code and cut
+ * @param {boolean} [checkQrCode=true] - Whether to refuse a card whose QR code doesn't scan at the printer's resolution
+ * @returns {Uint8Array} The ESC/POS byte stream
+ * @throws {Error} If the options are invalid, the QR code is checked and doesn't scan, or the printer's QR code is asked for on a template without the QR code along its bottom
+ */
+export function createEscPosFromCanvas(
+  canvas,
+  qrData,
+  options,
+  receiptOptions = {},
+  checkQrCode = true,
+) {
+  try {
+    return encodeEscPos(
+      canvas,
+      qrData,
+      options,
+      resolveReceiptOptions(receiptOptions),
+      checkQrCode,
+    );
+  } catch (error) {
+    if (error instanceof Error) {
+      throw new Error(
+        "Failed to generate receipt: " + (error.message || "Unknown error"),
+      );
+    }
+    throw new Error("Failed to generate receipt: Unknown error");
+  }
+}
+
+/**
+ * Encodes a card rendered for a receipt printer as a print job.
+ * @param {HTMLCanvasElement} canvas - The rendered card
+ * @param {string} qrData - The data encoded in the QR code
+ * @param {ContentOptionsOverrides|undefined} options - The settings the card was rendered with
+ * @param {ReceiptOptions} receipt - The receipt options
+ * @param {boolean} checkQrCode - Whether to refuse a card whose QR code doesn't scan
+ * @returns {Uint8Array} The ESC/POS byte stream
+ */
+function encodeEscPos(canvas, qrData, options, receipt, checkQrCode) {
+  const paper = RECEIPT_PAPERS[receipt.paper];
+  const receiptCardOptions = getReceiptCardOptions(options, receipt);
+  const settings = resolveContentOptions(receiptCardOptions);
+  const { scale } = getCardMetrics(settings);
+  const ctx = canvas.getContext("2d");
+
+  if (!ctx) {
+    throw new Error("Couldn't get canvas context");
+  }
+
+  let height = canvas.height;
+  /** @type {import('./escposWriter').EscPosQRCode|null} */
+  let qrCode = null;
+  if (receipt.qrCode === "native") {
+    const template = getTemplate(settings);
+    const { qrY, qrSize } = getQrPosition(qrData, settings);
+    const qrTop = qrY - QR_BACKING;
+    const contentArea =
+      template.content && resolveRegion(template.content, settings);
+    if (
+      template.qr.position !== "bottom" ||
+      (contentArea && contentArea.y + contentArea.height > qrTop)
+    ) {
+      throw new Error(
+        "The printer's QR code needs a template with the QR code along the bottom, such as the receipt template",
+      );
+    }
+    height = Math.floor(qrTop * scale);
+
+    // Modules about the size the card would have drawn them
+    const moduleCount = QRCode.create(qrData, {
+      errorCorrectionLevel: settings.qrErrorCorrection,
+    }).modules.size;
+    qrCode = {
+      type: "qrCode",
+      data: qrData,
+      moduleSize: (qrSize * scale) / (moduleCount + settings.qrCodeMargin * 2),
+      errorCorrection: settings.qrErrorCorrection,
+    };
+  } else if (checkQrCode && getTemplate(settings).metadata) {
+    // Small cards can draw QR codes too few dots across to scan
+    const check = checkCardQRCode(canvas, qrData, receiptCardOptions);
+    if (!check.scannable) {
+      throw new Error(
+        `At the printer's resolution ${check.problem}; use the receipt template or a larger QR code`,
+      );
+    }
+  }
+
+  const { data } = ctx.getImageData(0, 0, canvas.width, height);
+  return createEscPosJob(
+    [
+      { type: "image", pixels: data, width: canvas.width, height },
+      ...(qrCode ? [qrCode] : []),
+    ],
+    { dots: paper.dots, cut: receipt.cut },
+  );
+}
+
+/**
+ * Generates the same layout as generateContentWithQR as an SVG document,
+ * with real text elements and a vector QR code. Images are embedded.
+ * @param {Content} content - The content to render (image or text)
+ * @param {string} qrData - The data to encode in the QR code
+ * @param {ContentOptionsOverrides} [options] - Overrides for the default render settings
+ * @returns {Promise<string>} The SVG markup
+ * @throws {Error} If the options are invalid, or content loading or QR code generation fails
+ */
+export async function generateContentSVG(content, qrData, options) {
+  try {
+    const settings = resolveContentOptions(options);
+    const metrics = getCardMetrics(settings);
+
+    // Text is measured on a real canvas so it wraps exactly like the raster output
+    const measureContext = getRenderPlatform()
+      .createCanvas(1, 1)
+      .getContext("2d");
+
+    if (!measureContext) {
+      throw new Error("Couldn't get canvas context");
+    }
+
+    const svg = createSvgContext({
+      width: settings.canvasWidth,
+      height: settings.canvasHeight,
+      measureContext,
+      imageToDataURL,
+      // Physical cards get a physical document size
+      outputWidth:
+        metrics.widthMm !== null ? `${metrics.widthMm}mm` : undefined,
+      outputHeight:
+        metrics.heightMm !== null ? `${metrics.heightMm}mm` : undefined,
+    });
+
+    // The SVG context implements the parts of the canvas API the renderer uses
+    await renderCard(
+      content,
+      qrData,
+      /** @type {CanvasRenderingContext2D} */ (/** @type {unknown} */ (svg)),
+      settings,
+    );
+
+    return svg.toString();
+  } catch (error) {
+    if (error instanceof Error) {
+      throw new Error(
+        "Failed to generate SVG: " + (error.message || "Unknown error"),
+      );
+    }
+    throw new Error("Failed to generate SVG: Unknown error");
+  }
+}
+
+/**
+ * Finds which parts of a card's text would be cut to fit when it is rendered,
+ * so the cut can be pointed out to the user. Text is measured with the fonts
+ * loaded so far, so render the card (or call loadCardFonts) first.
+ * @param {Content} content - The content to render
+ * @param {string} qrData - The data to encode in the QR code
+ * @param {ContentOptionsOverrides} [options] - Overrides for the default render settings
+ * @returns {TruncatedField[]} The fields that would be cut, if any
+ * @throws {Error} If the options are invalid
+ */
+export function getTruncatedFields(content, qrData, options) {
+  const settings = resolveContentOptions(options);
+  const ctx = getRenderPlatform().createCanvas(1, 1).getContext("2d");
+
+  if (!ctx) {
+    throw new Error("Couldn't get canvas context");
+  }
+
+  const template = getTemplate(settings);
+  const fields = template.metadata
+    ? layoutMetadata(content, qrData, ctx, settings).truncated
+    : [];
+  if (
+    content.type === "text" &&
+    template.content &&
+    layoutTextContent(content, getContentContainer(settings), ctx, settings)
+      .truncated
+  ) {
+    fields.unshift("text");
+  }
+  return fields;
+}
+
+/**
+ * Draws a complete card: frame, content and metadata.
+ * @param {Content} content - The content to render (image or text)
+ * @param {string} qrData - The data to encode in the QR code
+ * @param {CanvasRenderingContext2D} ctx - The canvas context
+ * @param {ContentOptions} settings - The render settings
+ * @returns {Promise<void>}
+ */
+async function renderCard(content, qrData, ctx, settings) {
+  // Text drawn before its font has loaded would use a fallback font
+  await loadCardFonts(settings);
 
-    // Draw the base layout (frame, background)
-    drawBaseLayout(canvas, ctx, settings);
+  // Draw the base layout (frame, background)
+  drawBaseLayout(ctx, settings);
 
-    // Process based on content type
+  // Process based on content type; text-only templates have no content area,
+  // so everything goes in the metadata
+  const template = getTemplate(settings);
+  if (template.content) {
     if (content.type === "text" && "text" in content) {
       await renderTextContent(content, ctx, settings);
     } else if (content.type === "image" && "imageUrl" in content) {
       await renderImageContent(content, ctx, settings);
+    } else if (content.type === "link") {
+      await renderLinkContent(content, ctx, settings);
+    } else if (content.type === "media") {
+      await renderMediaContent(content, ctx, settings);
+    } else if (content.type === "attachment") {
+      await renderAttachmentContent(content, ctx, settings);
     } else {
       throw new Error("Invalid content provided");
     }
+  }
 
-    // Add the metadata (title and QR code)
+  // Add the metadata (title and QR code), unless it's on the other face
+  if (template.metadata) {
     await addMetadata(content, qrData, ctx, settings);
+  }
+}
 
-    // Return the final canvas as a data URL
-    return canvas.toDataURL("image/jpeg", 0.9);
-  } catch (error) {
-    if (error instanceof Error) {
-      throw new Error(
-        "Failed to generate content: " + (error.message || "Unknown error"),
-      );
-    }
-    throw new Error("Failed to generate content: Unknown error");
+/**
+ * Encodes an image as a PNG data URL so it can be embedded in an SVG.
+ * @param {CanvasImageSource} image - A loaded image
+ * @returns {string} The PNG data URL
+ */
+function imageToDataURL(image) {
+  // Images loaded under Node have a buffer, not a URL, as their source
+  if (
+    "src" in image &&
+    typeof image.src === "string" &&
+    image.src.startsWith("data:")
+  ) {
+    return image.src;
   }
+  const { width, height } =
+    "naturalWidth" in image
+      ? { width: image.naturalWidth, height: image.naturalHeight }
+      : /** @type {{width: number, height: number}} */ (image);
+  const canvas = getRenderPlatform().createCanvas(width, height);
+  const ctx = canvas.getContext("2d");
+  if (!ctx) {
+    throw new Error("Couldn't get canvas context");
+  }
+  ctx.drawImage(image, 0, 0);
+  return canvas.toDataURL("image/png");
 }
 
 /**
  * Draws the base layout frame and background
- * @param {HTMLCanvasElement} canvas - The canvas element
  * @param {CanvasRenderingContext2D} ctx - The canvas context
  * @param {ContentOptions} settings - The render settings
  */
-function drawBaseLayout(canvas, ctx, settings) {
+function drawBaseLayout(ctx, settings) {
+  // Full-bleed content runs to the edges, so there's no frame
+  if (getTemplate(settings).fullBleed) {
+    ctx.fillStyle = settings.backgroundColor;
+    ctx.fillRect(0, 0, settings.canvasWidth, settings.canvasHeight);
+    return;
+  }
+
   // Draw outer border
   ctx.fillStyle = settings.borderColor;
-  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.fillRect(0, 0, settings.canvasWidth, settings.canvasHeight);
 
   // Draw inner frame
   ctx.fillStyle = settings.frameColor;
   ctx.fillRect(
     settings.frameWidth,
     settings.frameWidth,
-    canvas.width - settings.frameWidth * 2,
-    canvas.height - settings.frameWidth * 2,
+    settings.canvasWidth - settings.frameWidth * 2,
+    settings.canvasHeight - settings.frameWidth * 2,
   );
 
   // Fill background
@@ -156,19 +638,16 @@ function drawBaseLayout(canvas, ctx, settings) {
   ctx.fillRect(
     settings.frameWidth * 2,
     settings.frameWidth * 2,
-    canvas.width - settings.frameWidth * 4,
-    canvas.height - settings.frameWidth * 4,
+    settings.canvasWidth - settings.frameWidth * 4,
+    settings.canvasHeight - settings.frameWidth * 4,
   );
 
-  // Draw divider between content and metadata
+  // Draw the template's dividers between content and metadata
   ctx.fillStyle = settings.frameColor;
-  const dividerX = settings.contentWidth + settings.frameWidth * 2;
-  ctx.fillRect(
-    dividerX,
-    settings.frameWidth,
-    settings.frameWidth,
-    canvas.height - settings.frameWidth * 2,
-  );
+  for (const divider of getTemplate(settings).dividers) {
+    const line = resolveDivider(divider, settings);
+    ctx.fillRect(line.x, line.y, line.width, line.height);
+  }
 }
 
 /**
@@ -190,31 +669,59 @@ function drawBaseLayout(canvas, ctx, settings) {
  * @returns {ContainerDimensions} Container dimensions and coordinates
  */
 function drawContentContainer(ctx, settings) {
-  // Calculate the content area dimensions
-  const contentAreaWidth = settings.contentWidth - settings.padding * 2;
-  const contentAreaHeight =
-    settings.canvasHeight - settings.padding * 2 - settings.frameWidth * 4;
-
-  // Define container coordinates
-  const containerX = settings.frameWidth * 2 + settings.padding;
-  const containerY = settings.frameWidth * 2 + settings.padding;
-  const containerWidth = contentAreaWidth;
-  const containerHeight = contentAreaHeight;
+  const container = getContentContainer(settings);
+  if (getTemplate(settings).fullBleed) {
+    return container;
+  }
 
   // Draw grey border rectangle
   ctx.fillStyle = settings.containerBorderColor;
-  ctx.fillRect(containerX, containerY, containerWidth, containerHeight);
+  ctx.fillRect(container.x, container.y, container.width, container.height);
 
   // Draw white inner rectangle (slightly smaller)
   ctx.fillStyle = "#ffffff";
   ctx.fillRect(
-    containerX + settings.containerPadding,
-    containerY + settings.containerPadding,
-    containerWidth - settings.containerPadding * 2,
-    containerHeight - settings.containerPadding * 2,
+    container.innerX,
+    container.innerY,
+    container.innerWidth,
+    container.innerHeight,
   );
 
-  // Return container info for positioning content
+  return container;
+}
+
+/**
+ * Works out where the content container goes
+ * @param {ContentOptions} settings - The render settings
+ * @returns {ContainerDimensions} Container dimensions and coordinates
+ */
+function getContentContainer(settings) {
+  const { content: region, fullBleed } = getTemplate(settings);
+  if (!region) {
+    throw new Error("This template has no content area");
+  }
+  // Full-bleed content fills the card; only text keeps clear of the edges
+  if (fullBleed) {
+    const { canvasWidth: width, canvasHeight: height, padding } = settings;
+    return {
+      x: 0,
+      y: 0,
+      width,
+      height,
+      innerWidth: width - padding * 2,
+      innerHeight: height - padding * 2,
+      innerX: padding,
+      innerY: padding,
+    };
+  }
+
+  // The container sits inside the template's content region, padded
+  const area = insetRect(resolveRegion(region, settings), settings.padding);
+  const containerX = area.x;
+  const containerY = area.y;
+  const containerWidth = area.width;
+  const containerHeight = area.height;
+
   return {
     x: containerX,
     y: containerY,
@@ -235,282 +742,1446 @@ function drawContentContainer(ctx, settings) {
  * @returns {Promise<void>}
  */
 async function renderImageContent(content, ctx, settings) {
-  // Load the image
-  const img = new Image();
-  img.crossOrigin = "Anonymous";
-
-  return new Promise((resolve, reject) => {
-    img.onload = async () => {
-      try {
-        // Draw content container and get positioning info
-        const container = drawContentContainer(ctx, settings);
-
-        // Scale the image to fit inside the inner white rectangle while maintaining aspect ratio
-        const scale = Math.min(
-          container.innerWidth / img.width,
-          container.innerHeight / img.height,
-        );
-
-        const scaledWidth = img.width * scale;
-        const scaledHeight = img.height * scale;
-
-        // Center the image in the inner area
-        const imageX =
-          container.innerX + (container.innerWidth - scaledWidth) / 2;
-        const imageY =
-          container.innerY + (container.innerHeight - scaledHeight) / 2;
-
-        // Draw the image
-        ctx.drawImage(img, imageX, imageY, scaledWidth, scaledHeight);
-
-        resolve();
-      } catch (err) {
-        reject(err);
-      }
-    };
-
-    img.onerror = () => {
-      reject(new Error("Failed to load image"));
-    };
-
-    // Use display URL if available, otherwise use regular image URL
-    img.src = content.displayUrl || content.imageUrl;
-  });
+  // Draw content container and get positioning info
+  const container = drawContentContainer(ctx, settings);
+  const fullBleed = Boolean(getTemplate(settings).fullBleed);
+  const area = fullBleed ? container : innerRect(container);
+  const fit =
+    settings.imageFit === "auto"
+      ? fullBleed
+        ? "cover"
+        : "contain"
+      : settings.imageFit;
+
+  const img = await loadContentImage(
+    content.imageUrl,
+    content.displayUrl,
+    area,
+    settings,
+    fit !== "contain",
+  );
+  if (!img) {
+    drawImagePlaceholder(content.imageUrl, area, ctx, settings);
+  } else if (fit === "cover") {
+    drawImageCovered(img, area, ctx, settings);
+  } else if (fit === "fill") {
+    drawBlockImage(img, area, ctx, settings);
+  } else {
+    drawImageContained(img, area, ctx, settings);
+  }
 }
 
 /**
- * Renders text content within the layout
- * @param {TextContent} content - The content object
- * @param {CanvasRenderingContext2D} ctx - The canvas context
+ * Loads the best version of a block image for the output resolution.
+ * The display version is downsized, so the original is used when the
+ * output needs more pixels than the display version has. GIFs are decoded
+ * here, to show the frame the settings ask for.
+ * @param {string} imageUrl - The original image URL
+ * @param {string|undefined} displayUrl - The display version URL (if available)
+ * @param {Rect} area - Where the image will be drawn
  * @param {ContentOptions} settings - The render settings
- * @returns {Promise<void>}
+ * @param {boolean} [cover=false] - Whether the image will cover the area rather than fit inside it
+ * @returns {Promise<HTMLImageElement|null>} The loaded image, or null if it can't be loaded and settings.imagePlaceholder is on
+ * @throws {Error} If the image can't be loaded
  */
-async function renderTextContent(content, ctx, settings) {
-  try {
-    // Text rendering settings
-    const textFontSize = 16;
-    const textFontFamily = settings.titleFontFamily;
-    const lineHeight = textFontSize * 1.4;
-    const textPadding = 10; // Additional padding inside container for text
-
-    // Draw content container and get positioning info
-    const container = drawContentContainer(ctx, settings);
-
-    // Draw text
-    ctx.fillStyle = "#333";
-    ctx.font = `${textFontSize}px ${textFontFamily}`;
-    ctx.textBaseline = "top";
-
-    // Add some padding inside the container for text
-    const textX = container.innerX + textPadding;
-    const textY = container.innerY + textPadding;
+async function loadContentImage(
+  imageUrl,
+  displayUrl,
+  area,
+  settings,
+  cover = false,
+) {
+  const platform = getRenderPlatform();
 
-    // Available width for text inside the container
-    const textWidth = container.innerWidth - textPadding * 2;
-
-    // Calculate wrapped text lines
-    const wrappedText = wrapText(content.text, ctx, textWidth);
-
-    // Draw the text with line wrapping
-    wrappedText.forEach((line, index) => {
-      if (
-        textY + (index + 1) * lineHeight <
-        container.innerY + container.innerHeight - textPadding
-      ) {
-        ctx.fillText(line, textX, textY + index * lineHeight);
+  try {
+    if (isGifUrl(imageUrl)) {
+      const frame = await loadGifFrame(imageUrl, settings.gifFrame);
+      if (frame) {
+        return frame;
       }
-    });
+    }
 
-    return Promise.resolve();
+    // Use display URL if available, otherwise use regular image URL
+    const img = await platform.loadImage(displayUrl || imageUrl);
+
+    const { scale: outputScale } = getCardMetrics(settings);
+    if (
+      displayUrl &&
+      displayUrl !== imageUrl &&
+      (cover ? coverScale(img, area) : containScale(img, area)) * outputScale >
+        1
+    ) {
+      return await platform.loadImage(imageUrl).catch(() => img);
+    }
+    return img;
   } catch (error) {
-    if (error instanceof Error) {
-      return Promise.reject(
-        new Error(`Failed to render text content: ${error.message}`),
-      );
+    if (settings.imagePlaceholder) {
+      return null;
     }
-    return Promise.reject(
-      new Error(`Failed to render text content. Could not parse error.`),
+    throw new Error(
+      (error instanceof Error ? error.message : "Failed to load image") +
+        ". Turn on the image placeholder setting to make the card without it.",
     );
   }
 }
 
 /**
- * Adds metadata (title, description, date added, author, and QR code) to the canvas
- * @param {Content} content - The content object
- * @param {string} qrData - The data to encode in the QR code
- * @param {CanvasRenderingContext2D} ctx - The canvas context
- * @param {ContentOptions} settings - The render settings
- * @returns {Promise<void>}
+ * @param {string} url - An image URL
+ * @returns {boolean} Whether it looks like a GIF
  */
-async function addMetadata(content, qrData, ctx, settings) {
-  // Calculate metadata area starting position
-  const metadataX = settings.contentWidth + settings.frameWidth * 3;
-  const metadataY = settings.frameWidth * 2 + settings.padding;
-
-  // Load and draw the Arena logo
-  const image = new Image();
-  image.src = "/arena.png";
-  await image.decode();
-  const imageHeight = 17; // hardcoded
-  ctx.drawImage(image, metadataX + settings.padding, metadataY);
-
-  // Track current Y position for progressive layout
-  let currentY = metadataY + imageHeight + settings.padding;
-  const maxWidth = settings.metadataWidth - settings.padding * 2;
-
-  // 1. Title (if present)
-  if (content.title) {
-    ctx.font = `bold ${settings.titleFontSize}px ${settings.titleFontFamily}`;
-    ctx.fillStyle = settings.titleColor;
-    ctx.textBaseline = "top";
-
-    const wrappedTitle = wrapText(content.title, ctx, maxWidth);
-    wrappedTitle.forEach((line, index) => {
-      ctx.fillText(
-        line,
-        metadataX + settings.padding,
-        currentY + index * (settings.titleFontSize * 1.2),
-      );
-    });
-
-    // Update current Y position after title
-    currentY +=
-      wrappedTitle.length * (settings.titleFontSize * 1.2) +
-      settings.spaceBetween;
+function isGifUrl(url) {
+  try {
+    return /\.gif$/i.test(new URL(url, "http://localhost/").pathname);
+  } catch (error) {
+    return false;
   }
+}
 
-  // 2. Description (if present)
-  if (content.description) {
-    ctx.font = `${settings.descriptionFontSize}px ${settings.metadataFontFamily}`;
-    ctx.fillStyle = settings.metadataColor;
+/**
+ * Decodes one frame of a GIF onto a canvas, which stands in for an image.
+ * @param {string} url - The GIF's URL
+ * @param {number} index - The frame, from 0
+ * @returns {Promise<HTMLImageElement|null>} The frame, or null if the file can't be read (e.g. it isn't really a GIF)
+ */
+async function loadGifFrame(url, index) {
+  const platform = getRenderPlatform();
+  let bytes;
+  try {
+    bytes = await platform.loadImageBytes(url);
+  } catch (error) {
+    return null;
+  }
+  if (!isGif(bytes)) {
+    return null;
+  }
 
-    const wrappedDesc = wrapText(content.description, ctx, maxWidth);
-    wrappedDesc.forEach((line, index) => {
-      ctx.fillText(
-        line,
-        metadataX + settings.padding,
-        currentY + index * (settings.descriptionFontSize * 1.2),
-      );
-    });
+  const { width, height, pixels } = decodeGifFrame(bytes, index);
+  const canvas = platform.createCanvas(width, height);
+  const ctx = canvas.getContext("2d");
+  if (!ctx) {
+    throw new Error("Couldn't get canvas context");
+  }
+  const imageData = ctx.createImageData(width, height);
+  imageData.data.set(pixels);
+  ctx.putImageData(imageData, 0, 0);
+  return /** @type {HTMLImageElement} */ (/** @type {unknown} */ (canvas));
+}
+
+/**
+ * Counts the frames of a block's image, so a frame can be picked for
+ * animated GIFs.
+ * @param {Content} content - The content
+ * @returns {Promise<number>} The number of frames: 1 for still images, 0 for content without an image
+ */
+export async function getImageFrameCount(content) {
+  if (!("imageUrl" in content) || !content.imageUrl) {
+    return 0;
+  }
+  if (!isGifUrl(content.imageUrl)) {
+    return 1;
+  }
+  try {
+    const bytes = await getRenderPlatform().loadImageBytes(content.imageUrl);
+    return isGif(bytes) ? countGifFrames(bytes) : 1;
+  } catch (error) {
+    return 1;
+  }
+}
+
+/**
+ * Draws a stand-in for an image that couldn't be loaded: a tinted area
+ * with the image's domain.
+ * @param {string} imageUrl - The image's URL
+ * @param {Rect} area - Where the image would be
+ * @param {CanvasRenderingContext2D} ctx - The canvas context
+ * @param {ContentOptions} settings - The render settings
+ */
+function drawImagePlaceholder(imageUrl, area, ctx, settings) {
+  // A tint would be black on monochrome cards, so those get an outline
+  if (settings.monochrome) {
+    ctx.strokeStyle = settings.containerBorderColor;
+    ctx.lineWidth = 1;
+    ctx.strokeRect(area.x + 0.5, area.y + 0.5, area.width - 1, area.height - 1);
+  } else {
+    ctx.fillStyle = settings.containerBorderColor;
+    ctx.fillRect(area.x, area.y, area.width, area.height);
+  }
+  drawCenteredLabel(
+    "Image unavailable",
+    getDomain(imageUrl),
+    area,
+    ctx,
+    settings,
+  );
+}
+
+/**
+ * Scale that fits an image inside an area while maintaining aspect ratio
+ * @param {HTMLImageElement} img - The image
+ * @param {Rect} area - The area to fit inside
+ * @returns {number} The scale factor
+ */
+function containScale(img, area) {
+  return Math.min(area.width / img.width, area.height / img.height);
+}
+
+/**
+ * Scale that covers an area with an image while maintaining aspect ratio
+ * @param {HTMLImageElement} img - The image
+ * @param {Rect} area - The area to cover
+ * @returns {number} The scale factor
+ */
+function coverScale(img, area) {
+  return Math.max(area.width / img.width, area.height / img.height);
+}
+
+/**
+ * Draws an image covering an area, cropping whatever overhangs it. The crop
+ * keeps the focal point as close to the middle of the area as it can.
+ * @param {HTMLImageElement} img - The image to draw
+ * @param {Rect} area - The area to cover
+ * @param {CanvasRenderingContext2D} ctx - The canvas context
+ * @param {ContentOptions} settings - The render settings
+ */
+function drawImageCovered(img, area, ctx, settings) {
+  const { focalPoint } = settings;
+  const scale = coverScale(img, area);
+  const scaledWidth = img.width * scale;
+  const scaledHeight = img.height * scale;
+  // How far the image is moved left and up, short of uncovering the area
+  const offsetX = Math.min(
+    Math.max(focalPoint.x * scaledWidth - area.width / 2, 0),
+    scaledWidth - area.width,
+  );
+  const offsetY = Math.min(
+    Math.max(focalPoint.y * scaledHeight - area.height / 2, 0),
+    scaledHeight - area.height,
+  );
 
-    // Update current Y position after description
-    currentY +=
-      wrappedDesc.length * (settings.descriptionFontSize * 1.2) +
-      settings.spaceBetween;
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(area.x, area.y, area.width, area.height);
+  ctx.clip();
+  drawBlockImage(
+    img,
+    {
+      x: area.x - offsetX,
+      y: area.y - offsetY,
+      width: scaledWidth,
+      height: scaledHeight,
+    },
+    ctx,
+    settings,
+  );
+  ctx.restore();
+}
+
+/**
+ * Draws an image as large as fits, centered in an area.
+ * @param {HTMLImageElement} img - The image to draw
+ * @param {Rect} area - The area to draw in
+ * @param {CanvasRenderingContext2D} ctx - The canvas context
+ * @param {ContentOptions} [settings] - The render settings, for block images that monochrome cards dither
+ * @returns {Rect} Where the image was drawn
+ */
+function drawImageContained(img, area, ctx, settings) {
+  const scale = containScale(img, area);
+  const scaledWidth = img.width * scale;
+  const scaledHeight = img.height * scale;
+
+  // Center the image in the area
+  const imageX = area.x + (area.width - scaledWidth) / 2;
+  const imageY = area.y + (area.height - scaledHeight) / 2;
+
+  const rect = {
+    x: imageX,
+    y: imageY,
+    width: scaledWidth,
+    height: scaledHeight,
+  };
+  drawBlockImage(img, rect, ctx, settings);
+  return rect;
+}
+
+/**
+ * Draws an image into a rectangle. On monochrome cards it's dithered to
+ * black and white first, at the output resolution so each dot is one
+ * printed pixel.
+ * @param {HTMLImageElement} img - The image to draw
+ * @param {Rect} rect - Where to draw it
+ * @param {CanvasRenderingContext2D} ctx - The canvas context
+ * @param {ContentOptions} [settings] - The render settings; without them the image is drawn as it is
+ */
+function drawBlockImage(img, rect, ctx, settings) {
+  if (!settings?.monochrome) {
+    ctx.drawImage(img, rect.x, rect.y, rect.width, rect.height);
+    return;
+  }
+
+  // Snap to output pixels, so drawing the dots back doesn't blur them
+  const { scale } = getCardMetrics(settings);
+  const left = Math.round(rect.x * scale);
+  const top = Math.round(rect.y * scale);
+  const width = Math.max(1, Math.round((rect.x + rect.width) * scale) - left);
+  const height = Math.max(1, Math.round((rect.y + rect.height) * scale) - top);
+
+  const canvas = getRenderPlatform().createCanvas(width, height);
+  const imageCtx = canvas.getContext("2d");
+  if (!imageCtx) {
+    throw new Error("Couldn't get canvas context");
   }
+  imageCtx.drawImage(img, 0, 0, width, height);
+  const image = imageCtx.getImageData(0, 0, width, height);
+  ditherPixels(
+    image.data,
+    width,
+    height,
+    settings.ditherMethod,
+    settings.monochromeThreshold,
+  );
+  imageCtx.putImageData(image, 0, 0);
+
+  ctx.save();
+  ctx.imageSmoothingEnabled = false;
+  ctx.drawImage(
+    canvas,
+    left / scale,
+    top / scale,
+    width / scale,
+    height / scale,
+  );
+  ctx.restore();
+}
+
+/**
+ * @param {ContainerDimensions} container - A content container
+ * @returns {Rect} The container's inner area
+ */
+function innerRect(container) {
+  return {
+    x: container.innerX,
+    y: container.innerY,
+    width: container.innerWidth,
+    height: container.innerHeight,
+  };
+}
+
+/**
+ * @param {Rect} rect - An area
+ * @param {number} amount - Space to leave on every side
+ * @returns {Rect} The area inside it
+ */
+function insetRect(rect, amount) {
+  return {
+    x: rect.x + amount,
+    y: rect.y + amount,
+    width: rect.width - amount * 2,
+    height: rect.height - amount * 2,
+  };
+}
+
+const CAPTION_HEIGHT = 48; // Height of the caption band under link, media and attachment previews
+const CAPTION_PADDING = 10;
 
-  // 3. Date Added (if present)
-  if (content.created_at) {
-    ctx.font = `${settings.dateAddedFontSize}px ${settings.metadataFontFamily}`;
+/**
+ * Splits a container into a preview area and a caption band along its bottom edge.
+ * @param {ContainerDimensions} container - The content container
+ * @param {CanvasRenderingContext2D} ctx - The canvas context
+ * @param {ContentOptions} settings - The render settings
+ * @returns {{preview: Rect, caption: Rect}} The two areas
+ */
+function splitCaption(container, ctx, settings) {
+  const area = innerRect(container);
+  const captionY = area.y + area.height - CAPTION_HEIGHT;
+
+  // Separate the caption from the preview with the container border color
+  ctx.fillStyle = settings.containerBorderColor;
+  ctx.fillRect(area.x, captionY, area.width, settings.containerPadding);
+
+  return {
+    preview: { ...area, height: captionY - area.y },
+    caption: {
+      x: area.x,
+      y: captionY + settings.containerPadding,
+      width: area.width,
+      height: CAPTION_HEIGHT - settings.containerPadding,
+    },
+  };
+}
+
+/**
+ * Draws up to two lines of caption text, truncating them to fit.
+ * @param {string} primary - Bold first line
+ * @param {string} secondary - Second line in the metadata color
+ * @param {Rect} area - The caption band
+ * @param {CanvasRenderingContext2D} ctx - The canvas context
+ * @param {ContentOptions} settings - The render settings
+ */
+function drawCaption(primary, secondary, area, ctx, settings) {
+  const maxWidth = area.width - CAPTION_PADDING * 2;
+  const x = area.x + CAPTION_PADDING;
+  ctx.textBaseline = "top";
+
+  ctx.font = `bold ${settings.descriptionFontSize}px ${settings.metadataFontFamily}`;
+  ctx.fillStyle = settings.titleColor;
+  ctx.fillText(truncateText(primary, ctx, maxWidth), x, area.y + 6);
+
+  if (secondary) {
+    ctx.font = `${settings.metadataFontWeight} ${settings.dateAddedFontSize}px ${settings.metadataFontFamily}`;
     ctx.fillStyle = settings.metadataColor;
+    ctx.fillText(
+      truncateText(secondary, ctx, maxWidth),
+      x,
+      area.y + 8 + settings.descriptionFontSize * settings.lineHeight,
+    );
+  }
+}
 
-    // Format date if it's an ISO date string
-    let dateText = content.created_at;
-    try {
-      const date = new Date(content.created_at);
-      if (!isNaN(date.getTime())) {
-        dateText = date.toLocaleDateString();
-      }
-    } catch (e) {
-      // If date parsing fails, use the original string
+/**
+ * Gets the host name of a URL without a leading "www.".
+ * @param {string} url - The URL
+ * @returns {string} The domain, or the URL itself if it can't be parsed
+ */
+function getDomain(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, "");
+  } catch (error) {
+    return url;
+  }
+}
+
+/**
+ * Renders a link block: its thumbnail with the source domain and URL underneath,
+ * or just the domain and URL when there is no thumbnail.
+ * @param {LinkContent} content - The content object
+ * @param {CanvasRenderingContext2D} ctx - The canvas context
+ * @param {ContentOptions} settings - The render settings
+ * @returns {Promise<void>}
+ */
+async function renderLinkContent(content, ctx, settings) {
+  const container = drawContentContainer(ctx, settings);
+  const domain = getDomain(content.sourceUrl);
+
+  if (!content.imageUrl) {
+    drawCenteredLabel(
+      domain,
+      content.sourceUrl,
+      innerRect(container),
+      ctx,
+      settings,
+    );
+    return;
+  }
+
+  const { preview, caption } = splitCaption(container, ctx, settings);
+  const img = await loadContentImage(
+    content.imageUrl,
+    content.displayUrl,
+    preview,
+    settings,
+  );
+  if (img) {
+    drawImageContained(img, preview, ctx, settings);
+  } else {
+    drawImagePlaceholder(content.imageUrl, preview, ctx, settings);
+  }
+  drawCaption(domain, content.sourceUrl, caption, ctx, settings);
+}
+
+/**
+ * Renders a media block (a video or audio embed): its thumbnail with a play
+ * badge, and the provider name underneath.
+ * @param {MediaContent} content - The content object
+ * @param {CanvasRenderingContext2D} ctx - The canvas context
+ * @param {ContentOptions} settings - The render settings
+ * @returns {Promise<void>}
+ */
+async function renderMediaContent(content, ctx, settings) {
+  const container = drawContentContainer(ctx, settings);
+  const provider =
+    content.providerName ||
+    (content.sourceUrl ? getDomain(content.sourceUrl) : "Media");
+
+  const { preview, caption } = splitCaption(container, ctx, settings);
+  /** @type {Rect} */
+  let badgeArea = preview;
+  if (content.imageUrl) {
+    const img = await loadContentImage(
+      content.imageUrl,
+      content.displayUrl,
+      preview,
+      settings,
+    );
+    if (img) {
+      badgeArea = drawImageContained(img, preview, ctx, settings);
+    } else {
+      drawImagePlaceholder(content.imageUrl, preview, ctx, settings);
     }
+  }
+  drawPlayBadge(badgeArea, ctx);
+  drawCaption(provider, content.sourceUrl || "", caption, ctx, settings);
+}
 
-    ctx.fillText(`Added: ${dateText}`, metadataX + settings.padding, currentY);
+/**
+ * Draws a round play button in the middle of an area.
+ * @param {Rect} area - The area to center the badge in
+ * @param {CanvasRenderingContext2D} ctx - The canvas context
+ */
+function drawPlayBadge(area, ctx) {
+  const radius = Math.min(32, area.width / 4, area.height / 4);
+  const centerX = area.x + area.width / 2;
+  const centerY = area.y + area.height / 2;
+
+  ctx.fillStyle = "rgba(0, 0, 0, 0.6)";
+  ctx.beginPath();
+  ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
+  ctx.fill();
+
+  // The triangle is nudged right so it looks optically centered
+  const size = radius * 0.5;
+  ctx.fillStyle = "#ffffff";
+  ctx.beginPath();
+  ctx.moveTo(centerX - size * 0.6, centerY - size);
+  ctx.lineTo(centerX + size, centerY);
+  ctx.lineTo(centerX - size * 0.6, centerY + size);
+  ctx.closePath();
+  ctx.fill();
+}
 
-    // Update current Y position after date
-    currentY += settings.dateAddedFontSize * 1.2 + settings.spaceBetween;
+/** Label colors for file type icons, by extension */
+const FILE_TYPE_COLORS = {
+  pdf: "#d9534f",
+  mp3: "#8e44ad",
+  wav: "#8e44ad",
+  m4a: "#8e44ad",
+  mp4: "#2d7dd2",
+  mov: "#2d7dd2",
+  zip: "#7f8c8d",
+};
+
+/**
+ * Renders an attachment block (a PDF, audio file, ...). Attachments with a
+ * preview image show the preview; others show a file type icon. Either way
+ * the filename, extension and size are shown.
+ * @param {AttachmentContent} content - The content object
+ * @param {CanvasRenderingContext2D} ctx - The canvas context
+ * @param {ContentOptions} settings - The render settings
+ * @returns {Promise<void>}
+ */
+async function renderAttachmentContent(content, ctx, settings) {
+  const container = drawContentContainer(ctx, settings);
+  const extension = (content.extension || "").toUpperCase();
+  const details = [extension, content.fileSize].filter(Boolean).join(" · ");
+
+  if (content.imageUrl) {
+    const { preview, caption } = splitCaption(container, ctx, settings);
+    const img = await loadContentImage(
+      content.imageUrl,
+      content.displayUrl,
+      preview,
+      settings,
+    );
+    if (img) {
+      drawImageContained(img, preview, ctx, settings);
+    } else {
+      drawImagePlaceholder(content.imageUrl, preview, ctx, settings);
+    }
+    drawCaption(content.fileName, details, caption, ctx, settings);
+    return;
   }
 
-  // 4. Author/Username (if present)
-  if (content.username) {
-    ctx.font = `${settings.authorFontSize}px ${settings.metadataFontFamily}`;
-    ctx.fillStyle = settings.metadataColor;
+  const area = innerRect(container);
+  const iconWidth = 96;
+  const iconHeight = 120;
+  const iconX = area.x + (area.width - iconWidth) / 2;
+  const iconY = area.y + area.height / 2 - iconHeight + 16;
+  drawFileIcon(extension, iconX, iconY, iconWidth, iconHeight, ctx, settings);
+
+  drawCenteredLabel(
+    content.fileName,
+    details,
+    {
+      ...area,
+      y: iconY + iconHeight,
+      height: area.y + area.height - iconY - iconHeight,
+    },
+    ctx,
+    settings,
+  );
+}
 
+/**
+ * Draws a page with a folded corner and the file extension on a colored band.
+ * @param {string} extension - Uppercase file extension
+ * @param {number} x - Left edge
+ * @param {number} y - Top edge
+ * @param {number} width - Icon width
+ * @param {number} height - Icon height
+ * @param {CanvasRenderingContext2D} ctx - The canvas context
+ * @param {ContentOptions} settings - The render settings
+ */
+function drawFileIcon(extension, x, y, width, height, ctx, settings) {
+  const fold = width * 0.3;
+
+  // Page outline with the top right corner cut off
+  ctx.fillStyle = "#f5f5f3";
+  ctx.strokeStyle = settings.containerBorderColor;
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  ctx.moveTo(x, y);
+  ctx.lineTo(x + width - fold, y);
+  ctx.lineTo(x + width, y + fold);
+  ctx.lineTo(x + width, y + height);
+  ctx.lineTo(x, y + height);
+  ctx.closePath();
+  ctx.fill();
+  ctx.stroke();
+
+  // Folded corner
+  ctx.fillStyle = settings.containerBorderColor;
+  ctx.beginPath();
+  ctx.moveTo(x + width - fold, y);
+  ctx.lineTo(x + width - fold, y + fold);
+  ctx.lineTo(x + width, y + fold);
+  ctx.closePath();
+  ctx.fill();
+
+  if (extension) {
+    const bandHeight = 28;
+    const bandY = y + height - bandHeight - 16;
+    ctx.fillStyle =
+      FILE_TYPE_COLORS[
+        /** @type {keyof typeof FILE_TYPE_COLORS} */ (extension.toLowerCase())
+      ] || "#555555";
+    ctx.fillRect(x - 8, bandY, width, bandHeight);
+
+    ctx.fillStyle = "#ffffff";
+    ctx.font = `bold 16px ${settings.metadataFontFamily}`;
+    ctx.textBaseline = "middle";
     ctx.fillText(
-      `By: ${content.username}`,
-      metadataX + settings.padding,
-      currentY,
+      truncateText(extension, ctx, width - 16),
+      x,
+      bandY + bandHeight / 2,
     );
   }
+}
 
-  // Generate QR code
-  const qrCodeDataURL = await QRCode.toDataURL(qrData, {
-    width: settings.qrCodeSize,
-    margin: settings.qrCodeMargin,
-    color: settings.qrCodeColor,
+/**
+ * Draws a bold label and a smaller second line, centered in an area.
+ * @param {string} primary - Bold first line
+ * @param {string} secondary - Second line in the metadata color
+ * @param {Rect} area - The area to center the text in
+ * @param {CanvasRenderingContext2D} ctx - The canvas context
+ * @param {ContentOptions} settings - The render settings
+ */
+function drawCenteredLabel(primary, secondary, area, ctx, settings) {
+  const maxWidth = area.width - CAPTION_PADDING * 4;
+  const primarySize = settings.titleFontSize * 1.2;
+  const secondarySize = settings.descriptionFontSize;
+  const blockHeight = primarySize * 1.3 + secondarySize * 1.3;
+  const top = area.y + (area.height - blockHeight) / 2;
+  const centerX = area.x + area.width / 2;
+
+  ctx.save();
+  ctx.textAlign = "center";
+  ctx.textBaseline = "top";
+
+  ctx.font = `${settings.titleFontWeight} ${primarySize}px ${settings.titleFontFamily}`;
+  ctx.fillStyle = settings.titleColor;
+  ctx.fillText(truncateText(primary, ctx, maxWidth), centerX, top);
+
+  if (secondary) {
+    ctx.font = `${settings.metadataFontWeight} ${secondarySize}px ${settings.metadataFontFamily}`;
+    ctx.fillStyle = settings.metadataColor;
+    ctx.fillText(
+      truncateText(secondary, ctx, maxWidth),
+      centerX,
+      top + primarySize * 1.3,
+    );
+  }
+  ctx.restore();
+}
+
+const TEXT_FONT_SIZE = 16; // Body size for text blocks that fit without shrinking
+const MIN_TEXT_FONT_SIZE = 9;
+const TEXT_PADDING = 10; // Additional padding inside container for text
+const CODE_FONT_FAMILY = '"Courier New", monospace';
+
+/**
+ * Renders text content (markdown) within the layout
+ * @param {TextContent} content - The content object
+ * @param {CanvasRenderingContext2D} ctx - The canvas context
+ * @param {ContentOptions} settings - The render settings
+ * @returns {Promise<void>}
+ */
+async function renderTextContent(content, ctx, settings) {
+  try {
+    // Draw content container and get positioning info
+    const container = drawContentContainer(ctx, settings);
+    const layout = layoutTextContent(content, container, ctx, settings);
+
+    drawMarkdownLayout(
+      layout,
+      ctx,
+      container.innerX + TEXT_PADDING,
+      container.innerY + TEXT_PADDING,
+    );
+
+    return Promise.resolve();
+  } catch (error) {
+    if (error instanceof Error) {
+      return Promise.reject(
+        new Error(`Failed to render text content: ${error.message}`),
+      );
+    }
+    return Promise.reject(
+      new Error(`Failed to render text content. Could not parse error.`),
+    );
+  }
+}
+
+/**
+ * Lays out a text block's markdown at the largest size that fits the
+ * container, down to a minimum size below which the text is truncated instead
+ * @param {TextContent} content - The content object
+ * @param {ContainerDimensions} container - The content container
+ * @param {CanvasRenderingContext2D} ctx - The canvas context
+ * @param {ContentOptions} settings - The render settings
+ * @returns {MarkdownLayout} The text layout
+ */
+function layoutTextContent(content, container, ctx, settings) {
+  return fitMarkdown(parseMarkdown(content.text), ctx, {
+    width: container.innerWidth - TEXT_PADDING * 2,
+    height: container.innerHeight - TEXT_PADDING * 2,
+    maxFontSize: TEXT_FONT_SIZE,
+    minFontSize: MIN_TEXT_FONT_SIZE,
+    fontFamily: settings.titleFontFamily,
+    codeFontFamily: CODE_FONT_FAMILY,
+    lineHeight: settings.textLineHeight,
+    color: settings.titleColor,
+    mutedColor: settings.metadataColor,
+    ruleColor: settings.containerBorderColor,
   });
+}
+
+/**
+ * Adds metadata (title, description, date added, author, and QR code) to the canvas
+ * @param {Content} content - The content object
+ * @param {string} qrData - The data to encode in the QR code
+ * @param {CanvasRenderingContext2D} ctx - The canvas context
+ * @param {ContentOptions} settings - The render settings
+ * @returns {Promise<void>}
+ */
+async function addMetadata(content, qrData, ctx, settings) {
+  const layout = layoutMetadata(content, qrData, ctx, settings);
+
+  // Load and draw the Arena logo, if the template has one
+  if (layout.logoY !== null) {
+    const platform = getRenderPlatform();
+    const image = await platform.loadImage(platform.logoUrl);
+    ctx.drawImage(
+      image,
+      layout.x,
+      layout.logoY,
+      (image.width * settings.logoHeight) / image.height,
+      settings.logoHeight,
+    );
+  }
+
+  // Right-to-left lines are aligned to the right edge; the renderer orders
+  // the text within each line
+  ctx.save();
+  ctx.textBaseline = "top";
+  for (const line of layout.lines) {
+    const direction = line.direction || "ltr";
+    const rtl = direction === "rtl";
+    ctx.font = line.font;
+    ctx.fillStyle = line.color;
+    ctx.direction = direction;
+    ctx.textAlign = rtl ? "right" : "left";
+    ctx.fillText(line.text, rtl ? layout.x + layout.width : layout.x, line.y);
+  }
+  ctx.restore();
+
+  // Draw QR code on a background in its light color
+  ctx.fillStyle = settings.qrCodeColor.light;
+  ctx.fillRect(
+    layout.qrX - QR_BACKING,
+    layout.qrY - QR_BACKING,
+    layout.qrSize + QR_BACKING * 2,
+    layout.qrSize + QR_BACKING * 2,
+  );
+  await drawQRCode(
+    qrData,
+    layout.qrX,
+    layout.qrY,
+    layout.qrSize,
+    ctx,
+    settings,
+  );
+
+  if (layout.caption) {
+    ctx.save();
+    ctx.font = layout.caption.font;
+    ctx.fillStyle = layout.caption.color;
+    ctx.textAlign = "center";
+    ctx.fillText(layout.caption.text, layout.caption.x, layout.caption.y);
+    ctx.restore();
+  }
+}
 
-  // Load QR code
-  const qrImg = new Image();
-  qrImg.src = qrCodeDataURL;
+const QR_BACKING = 5; // Light margin drawn around the QR code
+const QR_CAPTION_FONT_SIZE = 10;
 
-  return new Promise((resolve, reject) => {
-    qrImg.onload = () => {
+/**
+ * @typedef {"title"|"description"|"date"|"author"|"body"|"text"} TruncatedField
+ */
+
+/**
+ * @typedef {Object} MetadataLine
+ * @property {string} text - Text to draw
+ * @property {string} font - CSS font shorthand
+ * @property {string} color - Text color
+ * @property {number} y - Top of the line
+ * @property {TextDirection} [direction] - Direction of the line's text (default: left to right)
+ */
+
+/**
+ * @typedef {Object} MetadataLayout
+ * @property {number} x - Left edge of the metadata text
+ * @property {number} width - Width of the metadata text
+ * @property {number|null} logoY - Top of the logo, or null if the template has none
+ * @property {MetadataLine[]} lines - The metadata text, top to bottom
+ * @property {number} qrX - Left edge of the QR code
+ * @property {number} qrY - Top of the QR code
+ * @property {number} qrSize - Width and height of the QR code
+ * @property {MetadataLine & {x: number}} [caption] - The QR code's destination, centered under it
+ * @property {TruncatedField[]} truncated - Fields that were cut to fit
+ */
+
+/**
+ * @typedef {Object} MetadataField
+ * @property {TruncatedField} name - Which field this is
+ * @property {string[]} lines - The wrapped text
+ * @property {string} font - CSS font shorthand
+ * @property {string} color - Text color
+ * @property {number} lineHeight - Height of one line
+ * @property {TextDirection} direction - Direction of the field's text
+ * @property {boolean} truncated - Whether lines have been cut
+ */
+
+/**
+ * Lays out the template's metadata region. The QR code sits on one side of
+ * it and the template's fields are stacked in the rest, under the logo.
+ * Text that doesn't fit is cut: the description first, then the body and
+ * title, then the author and date lines.
+ * @param {Content} content - The content object
+ * @param {string} qrData - The data to encode in the QR code
+ * @param {CanvasRenderingContext2D} ctx - The canvas context, used to measure text
+ * @param {ContentOptions} settings - The render settings
+ * @returns {MetadataLayout} Where everything goes
+ */
+function layoutMetadata(content, qrData, ctx, settings) {
+  const template = getTemplate(settings);
+  if (!template.metadata) {
+    throw new Error("This template has no metadata area");
+  }
+  const area = insetRect(
+    resolveRegion(template.metadata, settings),
+    settings.padding,
+  );
+  const { qrX, qrY, qrSize } = getQrPosition(qrData, settings);
+
+  // The fields take the part of the region the QR code doesn't
+  const qrGap = QR_BACKING + settings.spaceBetween;
+  let x = area.x;
+  let maxWidth = area.width;
+  let bottom = area.y + area.height;
+  if (template.qr.position === "bottom") {
+    bottom = qrY - qrGap;
+  } else if (template.qr.position === "left") {
+    x = qrX + qrSize + qrGap;
+    maxWidth = area.x + area.width - x;
+  } else {
+    maxWidth = qrX - qrGap - area.x;
+  }
+  const top = template.logo
+    ? area.y + settings.logoHeight + settings.padding
+    : area.y;
+
+  const captionText = settings.qrCaption ? getQrCaption(qrData) : "";
+
+  /** @type {MetadataLayout["caption"]} */
+  let caption;
+  if (captionText) {
+    const font = `${settings.metadataFontWeight} ${QR_CAPTION_FONT_SIZE}px ${settings.metadataFontFamily}`;
+    ctx.font = font;
+    caption = {
+      text: truncateText(
+        captionText,
+        ctx,
+        template.qr.position === "bottom" ? maxWidth : qrSize + QR_BACKING * 2,
+      ),
+      font,
+      color: settings.metadataColor,
+      x: qrX + qrSize / 2,
+      y: qrY + qrSize + QR_BACKING,
+    };
+  }
+
+  /** @type {MetadataField[]} */
+  const fields = [];
+
+  /**
+   * @param {TruncatedField} name - The field
+   * @param {string} text - Its text
+   * @param {string} font - CSS font shorthand
+   * @param {string} color - Text color
+   * @param {number} fontSize - Font size, for the line height
+   * @param {number} maxLines - Its line budget
+   */
+  const addField = (name, text, font, color, fontSize, maxLines) => {
+    ctx.font = font;
+    const lines = wrapText(
+      text,
+      (line) => ctx.measureText(line).width,
+      maxWidth,
+    );
+    fields.push({
+      name,
+      lines,
+      font,
+      color,
+      lineHeight: fontSize * settings.lineHeight,
+      direction: getBaseDirection(text),
+      truncated: false,
+    });
+    limitLines(fields[fields.length - 1], Math.max(0, Math.floor(maxLines)));
+  };
+
+  for (const { name, scale = 1, maxLines = Infinity } of template.fields) {
+    if (name === "title" && content.title) {
+      const fontSize = settings.titleFontSize * scale;
+      addField(
+        "title",
+        content.title,
+        `${settings.titleFontWeight} ${fontSize}px ${settings.titleFontFamily}`,
+        settings.titleColor,
+        fontSize,
+        Math.max(1, Math.min(maxLines, settings.titleMaxLines)),
+      );
+    } else if (name === "description" && content.description) {
+      const fontSize = settings.descriptionFontSize * scale;
+      addField(
+        "description",
+        content.description,
+        `${settings.metadataFontWeight} ${fontSize}px ${settings.metadataFontFamily}`,
+        settings.metadataColor,
+        fontSize,
+        Math.min(maxLines, settings.descriptionMaxLines),
+      );
+    } else if (name === "body" && getBodyText(content)) {
+      const fontSize = settings.descriptionFontSize * scale;
+      addField(
+        "body",
+        getBodyText(content),
+        `${fontSize}px ${settings.titleFontFamily}`,
+        settings.titleColor,
+        fontSize,
+        maxLines,
+      );
+    } else if (name === "date" && content.created_at) {
+      // Format date if it's an ISO date string
+      let dateText = content.created_at;
       try {
-        // Position QR code near bottom
-        const qrY =
-          settings.canvasHeight - settings.qrCodeSize - settings.padding;
-        const qrX =
-          metadataX +
-          (settings.metadataWidth -
-            settings.qrCodeSize -
-            settings.padding * 2) /
-            2;
-
-        // Draw QR code with white background
-        ctx.fillStyle = "white";
-        ctx.fillRect(
-          qrX - 5,
-          qrY - 5,
-          settings.qrCodeSize + 10,
-          settings.qrCodeSize + 10,
-        );
-        ctx.drawImage(
-          qrImg,
-          qrX,
-          qrY,
-          settings.qrCodeSize,
-          settings.qrCodeSize,
-        );
+        const date = new Date(content.created_at);
+        if (!isNaN(date.getTime())) {
+          dateText = date.toLocaleDateString();
+        }
+      } catch (e) {
+        // If date parsing fails, use the original string
+      }
 
-        resolve();
-      } catch (err) {
-        reject(err);
+      const fontSize = settings.dateAddedFontSize * scale;
+      addField(
+        "date",
+        `Added: ${dateText}`,
+        `${settings.metadataFontWeight} ${fontSize}px ${settings.metadataFontFamily}`,
+        settings.metadataColor,
+        fontSize,
+        Math.min(maxLines, 1),
+      );
+    } else if (name === "author" && content.username) {
+      const fontSize = settings.authorFontSize * scale;
+      addField(
+        "author",
+        `By: ${content.username}`,
+        `${settings.metadataFontWeight} ${fontSize}px ${settings.metadataFontFamily}`,
+        settings.metadataColor,
+        fontSize,
+        Math.min(maxLines, 1),
+      );
+    }
+  }
+
+  /** @param {TruncatedField} name */
+  const field = (name) => fields.find((item) => item.name === name);
+  const height = () =>
+    fields.reduce(
+      (total, item) =>
+        item.lines.length > 0
+          ? total +
+            (total > 0 ? settings.spaceBetween : 0) +
+            item.lines.length * item.lineHeight
+          : total,
+      0,
+    );
+
+  // Cut lines until the fields fit beside the QR code, least important first
+  const cuts = [
+    { name: /** @type {TruncatedField} */ ("description"), minLines: 0 },
+    { name: /** @type {TruncatedField} */ ("body"), minLines: 1 },
+    { name: /** @type {TruncatedField} */ ("title"), minLines: 1 },
+    { name: /** @type {TruncatedField} */ ("author"), minLines: 0 },
+    { name: /** @type {TruncatedField} */ ("date"), minLines: 0 },
+    { name: /** @type {TruncatedField} */ ("body"), minLines: 0 },
+    { name: /** @type {TruncatedField} */ ("title"), minLines: 0 },
+  ];
+  for (const cut of cuts) {
+    const item = field(cut.name);
+    while (
+      item &&
+      item.lines.length > cut.minLines &&
+      top + height() > bottom
+    ) {
+      limitLines(item, item.lines.length - 1);
+    }
+  }
+
+  // Ellipsize cut fields, and any line too wide to fit (a single long word)
+  /** @type {MetadataLine[]} */
+  const lines = [];
+  let currentY = top;
+  for (const item of fields) {
+    if (item.lines.length === 0) {
+      continue;
+    }
+    ctx.font = item.font;
+    item.lines.forEach((line, index) => {
+      const last = index === item.lines.length - 1;
+      let text = truncateText(line, ctx, maxWidth);
+      if (text !== line) {
+        item.truncated = true;
+      } else if (last && item.truncated) {
+        text = truncateText(line + "…", ctx, maxWidth);
       }
+      lines.push({
+        text,
+        font: item.font,
+        color: item.color,
+        y: currentY,
+        direction: item.direction,
+      });
+      currentY += item.lineHeight;
+    });
+    currentY += settings.spaceBetween;
+  }
+
+  return {
+    x,
+    width: maxWidth,
+    logoY: template.logo ? area.y : null,
+    lines,
+    qrX,
+    qrY,
+    qrSize,
+    caption,
+    truncated: fields.filter((item) => item.truncated).map((item) => item.name),
+  };
+}
+
+/**
+ * Gets a block's own text for the "body" field: a Text block's text without
+ * its markdown, a link or media block's URL, or an attachment's file name.
+ * @param {Content} content - The content object
+ * @returns {string} The text, or "" if the block has none
+ */
+function getBodyText(content) {
+  switch (content.type) {
+    case "text":
+      return parseMarkdown(content.text)
+        .map((block) =>
+          block.runs.map((run) => (run.lineBreak ? " " : run.text)).join(""),
+        )
+        .join(" ");
+    case "link":
+    case "media":
+      return content.sourceUrl || "";
+    case "attachment":
+      return content.fileName;
+    default:
+      return "";
+  }
+}
+
+/**
+ * Works out where the QR code goes in the template's metadata region: on the
+ * template's side of it, leaving room for its caption.
+ * @param {string} qrData - The data encoded in the QR code
+ * @param {ContentOptions} settings - The render settings
+ * @returns {{qrX: number, qrY: number, qrSize: number}} The top left corner and size of the QR code
+ */
+function getQrPosition(qrData, settings) {
+  const { metadata, qr } = getTemplate(settings);
+  if (!metadata) {
+    throw new Error("This template has no QR code");
+  }
+  const area = insetRect(resolveRegion(metadata, settings), settings.padding);
+  const qrSize = settings.qrCodeSize * qr.scale;
+  const captionHeight =
+    settings.qrCaption && getQrCaption(qrData) ? QR_CAPTION_FONT_SIZE * 1.2 : 0;
+
+  /**
+   * @param {number} start - Start of the space
+   * @param {number} space - Length of the space
+   * @param {number} size - Length of what goes in it
+   * @returns {number} Where it starts, by the template's alignment
+   */
+  const align = (start, space, size) =>
+    qr.align === "start"
+      ? start
+      : qr.align === "end"
+        ? start + space - size
+        : start + (space - size) / 2;
+
+  if (qr.position === "bottom") {
+    return {
+      qrX: align(area.x, area.width, qrSize),
+      qrY: area.y + area.height - qrSize - captionHeight,
+      qrSize,
     };
-    qrImg.onerror = () => {
-      reject(new Error("Failed to generate QR code"));
-    };
-  });
+  }
+  return {
+    qrX: qr.position === "left" ? area.x : area.x + area.width - qrSize,
+    qrY: align(area.y, area.height, qrSize + captionHeight),
+    qrSize,
+  };
 }
 
 /**
- * Wraps text to fit within a specified width
- * @param {string} text - The text to wrap
+ * Gets the caption shown under a QR code: the domain it points to.
+ * @param {string} qrData - The data encoded in the QR code
+ * @returns {string} The domain, or "" if the data isn't a web URL
+ */
+function getQrCaption(qrData) {
+  return /^https?:\/\//i.test(qrData) ? getDomain(qrData) : "";
+}
+
+/**
+ * Cuts a metadata field down to a number of lines.
+ * @param {MetadataField} field - The field to cut
+ * @param {number} maxLines - The number of lines to keep
+ */
+function limitLines(field, maxLines) {
+  if (field.lines.length > maxLines) {
+    field.lines = field.lines.slice(0, maxLines);
+    field.truncated = true;
+  }
+}
+
+const QR_LOGO_SIZE = 0.2; // Share of the QR code's width covered by a logo
+const MIN_QR_CONTRAST = 3; // Lowest contrast ratio between QR colors that scans reliably
+
+/**
+ * Draws a QR code as vector modules, so it stays sharp at any output size.
+ * Finder patterns are drawn in their own shape, and a logo, if any, covers
+ * the middle; the highest error correction level restores the hidden modules.
+ * @param {string} qrData - The data to encode in the QR code
+ * @param {number} x - Left edge of the QR code, including its margin
+ * @param {number} y - Top edge of the QR code, including its margin
+ * @param {number} size - Width and height of the QR code, including its margin
  * @param {CanvasRenderingContext2D} ctx - The canvas context
- * @param {number} maxWidth - The maximum width for the text
- * @returns {string[]} Array of wrapped text lines
+ * @param {ContentOptions} settings - The render settings
+ * @returns {Promise<void>}
  */
-function wrapText(text, ctx, maxWidth) {
-  const words = text.split(" ");
-  const lines = [];
-  let currentLine = words[0] || "";
+async function drawQRCode(qrData, x, y, size, ctx, settings) {
+  const hasLogo = settings.qrLogo !== "none";
+  let qr;
+  try {
+    qr = QRCode.create(qrData, {
+      errorCorrectionLevel: hasLogo ? "H" : settings.qrErrorCorrection,
+    });
+  } catch (error) {
+    throw new Error(
+      "Failed to generate QR code: " +
+        (error instanceof Error ? error.message : "Unknown error"),
+    );
+  }
 
-  for (let i = 1; i < words.length; i++) {
-    const word = words[i];
-    const width = ctx.measureText(currentLine + " " + word).width;
+  const moduleCount = qr.modules.size;
+  const moduleSize = size / (moduleCount + settings.qrCodeMargin * 2);
+  const left = x + settings.qrCodeMargin * moduleSize;
+  const top = y + settings.qrCodeMargin * moduleSize;
 
-    if (width < maxWidth) {
-      currentLine += " " + word;
+  ctx.fillStyle = settings.qrCodeColor.light;
+  ctx.fillRect(x, y, size, size);
+
+  // The logo covers a square of whole modules in the middle
+  let logoModules = hasLogo ? Math.round(moduleCount * QR_LOGO_SIZE) : 0;
+  if ((moduleCount - logoModules) % 2 !== 0) {
+    logoModules++;
+  }
+  const logoStart = (moduleCount - logoModules) / 2;
+  const logoEnd = logoStart + logoModules;
+  const isDataModule = (/** @type {number} */ row, /** @type {number} */ col) =>
+    qr.modules.get(row, col) &&
+    !isFinderModule(row, col, moduleCount) &&
+    !(row >= logoStart && row < logoEnd && col >= logoStart && col < logoEnd);
+
+  ctx.fillStyle = settings.qrCodeColor.dark;
+  ctx.beginPath();
+  for (let row = 0; row < moduleCount; row++) {
+    let col = 0;
+    while (col < moduleCount) {
+      if (!isDataModule(row, col)) {
+        col++;
+        continue;
+      }
+      const start = col;
+      while (col < moduleCount && isDataModule(row, col)) {
+        col++;
+      }
+      if (settings.qrModuleShape === "square") {
+        // Runs of dark modules are merged, and overlap the next row slightly,
+        // so renderers don't leave hairline seams between neighbouring modules
+        const overlap = row < moduleCount - 1 ? moduleSize * 0.02 : 0;
+        ctx.rect(
+          left + start * moduleSize,
+          top + row * moduleSize,
+          (col - start) * moduleSize,
+          moduleSize + overlap,
+        );
+        continue;
+      }
+      for (let module = start; module < col; module++) {
+        const moduleX = left + module * moduleSize;
+        const moduleY = top + row * moduleSize;
+        if (settings.qrModuleShape === "dots") {
+          const radius = moduleSize * 0.45;
+          ctx.moveTo(
+            moduleX + moduleSize / 2 + radius,
+            moduleY + moduleSize / 2,
+          );
+          ctx.arc(
+            moduleX + moduleSize / 2,
+            moduleY + moduleSize / 2,
+            radius,
+            0,
+            Math.PI * 2,
+          );
+        } else {
+          roundedRectPath(
+            moduleX,
+            moduleY,
+            moduleSize,
+            moduleSize,
+            moduleSize * 0.3,
+            ctx,
+          );
+        }
+      }
+    }
+  }
+  ctx.fill();
+
+  for (const [row, col] of [
+    [0, 0],
+    [0, moduleCount - 7],
+    [moduleCount - 7, 0],
+  ]) {
+    drawFinderPattern(
+      left + col * moduleSize,
+      top + row * moduleSize,
+      moduleSize,
+      ctx,
+      settings,
+    );
+  }
+
+  if (hasLogo) {
+    const inset = moduleSize / 2;
+    await drawQRLogo(
+      {
+        x: left + logoStart * moduleSize + inset,
+        y: top + logoStart * moduleSize + inset,
+        width: logoModules * moduleSize - inset * 2,
+        height: logoModules * moduleSize - inset * 2,
+      },
+      ctx,
+      settings,
+    );
+  }
+}
+
+/**
+ * @param {number} row - Module row
+ * @param {number} col - Module column
+ * @param {number} moduleCount - Modules per side
+ * @returns {boolean} Whether the module is part of one of the three finder patterns
+ */
+function isFinderModule(row, col, moduleCount) {
+  const far = moduleCount - 7;
+  return (row < 7 && (col < 7 || col >= far)) || (row >= far && col < 7);
+}
+
+/**
+ * Draws a finder pattern: a dark 7×7 ring around a dark 3×3 center, in the
+ * chosen finder shape.
+ * @param {number} x - Left edge of the pattern
+ * @param {number} y - Top edge of the pattern
+ * @param {number} moduleSize - Size of one module
+ * @param {CanvasRenderingContext2D} ctx - The canvas context
+ * @param {ContentOptions} settings - The render settings
+ */
+function drawFinderPattern(x, y, moduleSize, ctx, settings) {
+  const layers = [
+    { inset: 0, color: settings.qrCodeColor.dark },
+    { inset: 1, color: settings.qrCodeColor.light },
+    { inset: 2, color: settings.qrCodeColor.dark },
+  ];
+  for (const { inset, color } of layers) {
+    const size = (7 - inset * 2) * moduleSize;
+    const layerX = x + inset * moduleSize;
+    const layerY = y + inset * moduleSize;
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    if (settings.qrFinderShape === "circle") {
+      ctx.moveTo(layerX + size, layerY + size / 2);
+      ctx.arc(layerX + size / 2, layerY + size / 2, size / 2, 0, Math.PI * 2);
+    } else if (settings.qrFinderShape === "rounded") {
+      roundedRectPath(layerX, layerY, size, size, size * 0.25, ctx);
     } else {
-      lines.push(currentLine);
-      currentLine = word;
+      ctx.rect(layerX, layerY, size, size);
     }
+    ctx.fill();
   }
+}
 
-  if (currentLine) {
-    lines.push(currentLine);
+/**
+ * Adds a rounded rectangle to the current path.
+ * @param {number} x - Left edge
+ * @param {number} y - Top edge
+ * @param {number} width - Width
+ * @param {number} height - Height
+ * @param {number} radius - Corner radius
+ * @param {CanvasRenderingContext2D} ctx - The canvas context
+ */
+function roundedRectPath(x, y, width, height, radius, ctx) {
+  const r = Math.min(radius, width / 2, height / 2);
+  ctx.moveTo(x + r, y);
+  ctx.lineTo(x + width - r, y);
+  ctx.arc(x + width - r, y + r, r, -Math.PI / 2, 0);
+  ctx.lineTo(x + width, y + height - r);
+  ctx.arc(x + width - r, y + height - r, r, 0, Math.PI / 2);
+  ctx.lineTo(x + r, y + height);
+  ctx.arc(x + r, y + height - r, r, Math.PI / 2, Math.PI);
+  ctx.lineTo(x, y + r);
+  ctx.arc(x + r, y + r, r, Math.PI, (Math.PI * 3) / 2);
+  ctx.closePath();
+}
+
+/**
+ * Draws the logo in the middle of a QR code, on its light color.
+ * @param {Rect} area - The area to fit the logo into
+ * @param {CanvasRenderingContext2D} ctx - The canvas context
+ * @param {ContentOptions} settings - The render settings
+ * @returns {Promise<void>}
+ */
+async function drawQRLogo(area, ctx, settings) {
+  const platform = getRenderPlatform();
+  let image;
+  try {
+    image = await platform.loadImage(
+      settings.qrLogo === "arena" ? platform.logoUrl : settings.qrLogo,
+    );
+  } catch (error) {
+    throw new Error(
+      "Failed to load QR code logo: " +
+        (error instanceof Error ? error.message : "Unknown error"),
+    );
   }
+  drawImageContained(image, area, ctx);
+}
 
-  return lines;
+/**
+ * @typedef {Object} QRCodeCheck
+ * @property {boolean} scannable - Whether the QR code reads back as the intended data
+ * @property {string} [problem] - What is wrong with it, if it isn't scannable
+ */
+
+/**
+ * Reads a rendered card's QR code back, to confirm it scans and still points
+ * where it should. Styling, a logo or low-contrast colors can all break it.
+ * @param {HTMLCanvasElement} canvas - The card, from generateCardCanvas
+ * @param {string} qrData - The data the QR code should hold
+ * @param {ContentOptionsOverrides} [options] - The options the card was rendered with
+ * @returns {QRCodeCheck} Whether the QR code scans
+ * @throws {Error} If the options are invalid
+ */
+export function checkCardQRCode(canvas, qrData, options) {
+  const settings = resolveContentOptions(options);
+  const { scale } = getCardMetrics(settings);
+  const ctx = canvas.getContext("2d");
+
+  if (!ctx) {
+    throw new Error("Couldn't get canvas context");
+  }
+
+  // Read the QR code and its light backing, as a scanner would see them
+  const { qrX, qrY, qrSize } = getQrPosition(qrData, settings);
+  const image = ctx.getImageData(
+    Math.floor((qrX - QR_BACKING) * scale),
+    Math.floor((qrY - QR_BACKING) * scale),
+    Math.ceil((qrSize + QR_BACKING * 2) * scale),
+    Math.ceil((qrSize + QR_BACKING * 2) * scale),
+  );
+  const result = decodeQR(image);
+
+  if (!result) {
+    return { scannable: false, problem: "the QR code can't be read" };
+  }
+  if (result.text !== qrData) {
+    return {
+      scannable: false,
+      problem: `the QR code reads "${result.text}" instead of "${qrData}"`,
+    };
+  }
+  if (result.contrast < MIN_QR_CONTRAST) {
+    return {
+      scannable: false,
+      problem: `the QR code colors are too close (contrast ${result.contrast.toFixed(1)}:1, needs ${MIN_QR_CONTRAST}:1)`,
+    };
+  }
+  return { scannable: true };
+}
+
+/**
+ * Shortens text with an ellipsis so it fits on one line.
+ * @param {string} text - The text to fit
+ * @param {CanvasRenderingContext2D} ctx - The canvas context, with the font set
+ * @param {number} maxWidth - The maximum width for the text
+ * @returns {string} The text, truncated if needed
+ */
+function truncateText(text, ctx, maxWidth) {
+  if (ctx.measureText(text).width <= maxWidth) {
+    return text;
+  }
+  const characters = splitGraphemes(text);
+  while (
+    characters.length > 0 &&
+    ctx.measureText(characters.join("") + "…").width > maxWidth
+  ) {
+    characters.pop();
+  }
+  return characters.join("").trimEnd() + "…";
 }
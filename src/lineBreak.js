@@ -0,0 +1,244 @@
+/**
+ * Line breaking for card text, after the Unicode line breaking algorithm
+ * (UAX #14) cut down to the classes card text needs: breaks after spaces and
+ * hyphens, between ideographs and emoji (so CJK text wraps without spaces),
+ * never before closing or after opening punctuation, and always at newlines.
+ * Breaks only fall between grapheme clusters, so emoji sequences and accented
+ * letters stay whole.
+ */
+
+/**
+ * @typedef {Object} LineBreak
+ * @property {number} index - Offset in the text where the next line would start
+ * @property {boolean} mandatory - Whether the text has a newline here
+ */
+
+/**
+ * A piece of text between two break opportunities.
+ * @typedef {Object} LineUnit
+ * @property {string} text - The text, without the whitespace after it
+ * @property {string} space - Whitespace between it and the next unit, which hangs at a line end
+ * @property {number} start - Offset of the text in the whole text
+ * @property {boolean} mandatory - Whether a newline follows it
+ */
+
+/**
+ * @typedef {"BK"|"SP"|"ZW"|"GL"|"OP"|"CL"|"NS"|"HY"|"BA"|"SY"|"ID"|"NU"|"AL"} BreakClass
+ */
+
+// Checked in this order, so the punctuation classes win over ID for CJK punctuation
+/** @type {[BreakClass, RegExp][]} */
+const BREAK_CLASSES = [
+  ["BK", /^[\n\r\v\f\u0085\u2028\u2029]/],
+  ["ZW", /^\u200b/],
+  ["GL", /^[\u00a0\u2007\u202f\u2060\ufeff\u034f]/],
+  ["SP", /^[\t\p{Zs}]/u],
+  ["OP", /^\p{Ps}/u],
+  ["CL", /^[\p{Pe},.:;!?‼⁇-⁉、。\u30fb！，．：；？\uff65]/u],
+  // Small kana and iteration marks, which can't start a line
+  [
+    "NS",
+    /^[ぁぃぅぇぉっゃゅょゎゕゖァィゥェォッャュョヮヵヶㇰ-ㇿ\u3005\u303bーゝゞヽヾ\u301c]/,
+  ],
+  ["HY", /^-/],
+  ["BA", /^[\u00ad\u2010\u2012\u2013|]/],
+  ["SY", /^\//],
+  // Ideographs, kana, Hangul, fullwidth forms and emoji
+  [
+    "ID",
+    /^[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}\p{Emoji_Presentation}\u3000-\u303f\uff00-\uffef]|[\ufe0f\u200d]/u,
+  ],
+  ["NU", /^\p{Nd}/u],
+];
+
+// Characters that belong to the grapheme before them, for engines without Intl.Segmenter
+const EXTEND =
+  /^[\p{M}\u200d\ufe0e\ufe0f\u{1f3fb}-\u{1f3ff}\u{e0020}-\u{e007f}]$/u;
+const REGIONAL_INDICATOR = /^\p{Regional_Indicator}$/u;
+
+const graphemeSegmenter =
+  typeof Intl !== "undefined" && "Segmenter" in Intl
+    ? new Intl.Segmenter(undefined, { granularity: "grapheme" })
+    : null;
+
+/**
+ * Splits text into grapheme clusters: what a reader sees as one character,
+ * such as an emoji with a skin tone or a letter with its accents.
+ * @param {string} text - The text
+ * @returns {string[]} The clusters
+ */
+export function splitGraphemes(text) {
+  if (graphemeSegmenter) {
+    return Array.from(graphemeSegmenter.segment(text), (item) => item.segment);
+  }
+
+  /** @type {string[]} */
+  const graphemes = [];
+  for (const char of text) {
+    const last = graphemes[graphemes.length - 1];
+    if (
+      last !== undefined &&
+      (EXTEND.test(char) ||
+        last.endsWith("\u200d") ||
+        (last === "\r" && char === "\n") ||
+        (REGIONAL_INDICATOR.test(last) && REGIONAL_INDICATOR.test(char)))
+    ) {
+      graphemes[graphemes.length - 1] += char;
+    } else {
+      graphemes.push(char);
+    }
+  }
+  return graphemes;
+}
+
+/**
+ * @param {string} grapheme - A grapheme cluster
+ * @returns {BreakClass} Its line breaking class
+ */
+function getBreakClass(grapheme) {
+  for (const [name, pattern] of BREAK_CLASSES) {
+    if (pattern.test(grapheme)) {
+      return name;
+    }
+  }
+  return "AL";
+}
+
+/**
+ * Decides whether a line may break between two grapheme clusters.
+ * @param {BreakClass} before - Class of the cluster before the break
+ * @param {BreakClass} after - Class of the cluster after it
+ * @returns {LineBreak["mandatory"]|null} Whether the break is mandatory, or null if there's no break
+ */
+function getBreak(before, after) {
+  if (before === "BK") {
+    return true;
+  }
+  // Spaces and newlines stay on the line they end
+  if (after === "BK" || after === "SP" || after === "ZW") {
+    return null;
+  }
+  if (before === "ZW") {
+    return false;
+  }
+  if (before === "GL" || after === "GL") {
+    return null;
+  }
+  if (before === "SP") {
+    return after === "CL" ? null : false;
+  }
+  if (after === "CL" || after === "NS" || before === "OP") {
+    return null;
+  }
+  // After a hyphen or slash, but not inside numbers like -5 or 1/2
+  if (before === "HY" || before === "SY") {
+    return after === "AL" ? false : null;
+  }
+  if (before === "BA" || before === "ID" || after === "ID") {
+    return false;
+  }
+  return null;
+}
+
+/**
+ * Finds where lines may break in a text. The end of the text always counts
+ * as a (non-mandatory) break.
+ * @param {string} text - The text
+ * @returns {LineBreak[]} The break opportunities, in order
+ */
+export function findLineBreaks(text) {
+  const graphemes = splitGraphemes(text);
+  /** @type {LineBreak[]} */
+  const breaks = [];
+  let index = 0;
+  let current = graphemes.length > 0 ? getBreakClass(graphemes[0]) : "AL";
+
+  graphemes.forEach((grapheme, i) => {
+    index += grapheme.length;
+    if (i === graphemes.length - 1) {
+      breaks.push({ index, mandatory: false });
+      return;
+    }
+    const next = getBreakClass(graphemes[i + 1]);
+    const mandatory = getBreak(current, next);
+    if (mandatory !== null) {
+      breaks.push({ index, mandatory });
+    }
+    current = next;
+  });
+
+  return breaks;
+}
+
+/**
+ * Splits text into the pieces between its break opportunities.
+ * @param {string} text - The text
+ * @returns {LineUnit[]} The pieces, in order
+ */
+export function splitLineUnits(text) {
+  /** @type {LineUnit[]} */
+  const units = [];
+  let start = 0;
+  for (const { index, mandatory } of findLineBreaks(text)) {
+    const piece = text
+      .slice(start, index)
+      .replace(/(\r\n|[\n\r\v\f\u0085\u2028\u2029])$/, "");
+    const content = piece.replace(/[\t\p{Zs}]+$/u, "");
+    units.push({
+      text: content,
+      space: piece.slice(content.length),
+      start,
+      mandatory,
+    });
+    start = index;
+  }
+  return units;
+}
+
+/**
+ * Wraps plain text to fit a width. Lines break at the text's break
+ * opportunities and at its newlines; a piece too wide for a line of its own
+ * (a long URL, say) is broken between grapheme clusters.
+ * @param {string} text - The text to wrap
+ * @param {(text: string) => number} measure - Measures the width of some text
+ * @param {number} maxWidth - The maximum width of a line
+ * @returns {string[]} The lines
+ */
+export function wrapText(text, measure, maxWidth) {
+  /** @type {string[]} */
+  const lines = [];
+  let line = "";
+  let space = "";
+
+  for (const unit of splitLineUnits(text)) {
+    if (line && measure(line + space + unit.text) > maxWidth) {
+      lines.push(line);
+      line = "";
+    }
+    if (line) {
+      line += space + unit.text;
+    } else if (measure(unit.text) <= maxWidth) {
+      line = unit.text;
+    } else {
+      for (const grapheme of splitGraphemes(unit.text)) {
+        if (line && measure(line + grapheme) > maxWidth) {
+          lines.push(line);
+          line = "";
+        }
+        line += grapheme;
+      }
+    }
+    space = unit.space;
+
+    if (unit.mandatory) {
+      lines.push(line);
+      line = "";
+      space = "";
+    }
+  }
+  if (line) {
+    lines.push(line);
+  }
+
+  return lines;
+}
@@ -1,18 +1,138 @@
 import "./style.css";
 import {
   getArenaBlockData,
-  createArenaqrImageDataURL,
+  getArenaChannelBlocks,
+  createArenaqrCard,
+  createArenaqrImageDataURLs,
+  createArenaqrSVG,
+  createArenaqrMonochromePNG,
+  createArenaqrEscPos,
+  getArenaqrFrameCount,
+  resolveArenaQrData,
 } from "./arenaProcessor.js";
+import { parseArenaUrl, canonicalChannelUrl } from "./arenaUrl.js";
+import { createCardSheetPdf, createDoubleSidedSheetPdf } from "./pdfExport.js";
+import { clearCache, fetchImageBlob } from "./cache.js";
+import { TEMPLATES } from "./templates.js";
+import { addToHistory, deleteFromHistory, listHistory } from "./history.js";
+import { buildShareParams, parseShareParams } from "./shareLink.js";
+import { parseBulkInput, processBulkItems } from "./bulkInput.js";
+import { createCardsZip, getCardFileName } from "./zipExport.js";
+import { DITHER_METHODS } from "./dither.js";
+import { RECEIPT_PAPERS } from "./escposWriter.js";
+import {
+  BUNDLED_FONTS,
+  FONT_WEIGHTS,
+  TYPOGRAPHY_PRESETS,
+  quoteFontFamily,
+  registerFontFile,
+} from "./fonts.js";
+import {
+  CARD_SIZES,
+  resolveContentOptions,
+  getCardMetrics,
+} from "./contentOptions.js";
+
+/**
+ * @typedef {import('./arenaProcessor').ArenaBlock} ArenaBlock
+ * @typedef {import('./arenaProcessor').ArenaqrCard} ArenaqrCard
+ * @typedef {import('./arenaProcessor').ArenaQrTarget} ArenaQrTarget
+ * @typedef {import('./arenaProcessor').ArenaApiOptions} ArenaApiOptions
+ * @typedef {import('./pdfExport').PrintSheetOptions} PrintSheetOptions
+ * @typedef {import('./escposWriter').ReceiptOptions} ReceiptOptions
+ * @typedef {import('./contentOptions').ContentOptionsOverrides} ContentOptionsOverrides
+ * @typedef {import('./history').HistoryEntry} HistoryEntry
+ * @typedef {import('./bulkInput').BulkItem} BulkItem
+ * @typedef {import('./bulkInput').BulkSource} BulkSource
+ * @typedef {import('./bulkInput').RejectedEntry} RejectedEntry
+ * @typedef {import('./zipExport').ZipCard} ZipCard
+ */
+
+const SETTINGS_STORAGE_KEY = "arenaqr-settings";
+const QR_TARGET_STORAGE_KEY = "arenaqr-qr-target";
+const TOKEN_STORAGE_KEY = "arenaqr-access-token";
+const PREVIEW_DELAY = 300; // ms to wait after a settings change before re-rendering
+const COPIED_DELAY = 2000; // ms to show that a link was copied
+// Suggested in the font inputs, along with the bundled fonts
+const SYSTEM_FONT_FAMILIES = [
+  "Arial, sans-serif",
+  "Helvetica, Arial, sans-serif",
+  "system-ui, sans-serif",
+  'Georgia, "Times New Roman", serif',
+  '"Times New Roman", serif',
+  '"Courier New", monospace',
+];
 
 // Get DOM elements
 const arenaUrlInput = document.getElementById("arena-url");
+const skipFailedInput = document.getElementById("skip-failed");
+const qrTargetSelect = document.getElementById("qr-target");
+const qrTemplateInput = document.getElementById("qr-template");
 const generateBtn = document.getElementById("generate-btn");
 const exampleBtn = document.getElementById("example-btn");
 const loadingEl = document.getElementById("loading");
 const errorEl = document.getElementById("error");
 const resultEl = document.getElementById("result");
-const resultImage = document.getElementById("result-image");
+const resultsGallery = document.getElementById("results");
 const downloadBtn = document.getElementById("download-btn");
+const zipBtn = document.getElementById("zip-btn");
+const copyLinkBtn = document.getElementById("copy-link-btn");
+const refreshBtn = document.getElementById("refresh-btn");
+const pdfBtn = document.getElementById("pdf-btn");
+const pdfPaperSizeInput = document.getElementById("pdf-paper-size");
+const pdfMarginInput = document.getElementById("pdf-margin");
+const pdfGutterInput = document.getElementById("pdf-gutter");
+const pdfBleedInput = document.getElementById("pdf-bleed");
+const pdfCropMarksInput = document.getElementById("pdf-crop-marks");
+const pdfDuplexInput = document.getElementById("pdf-duplex");
+const receiptBtn = document.getElementById("receipt-btn");
+const receiptPaperInput = document.getElementById("receipt-paper");
+const receiptQrInput = document.getElementById("receipt-qr");
+const receiptCutInput = document.getElementById("receipt-cut");
+const tokenPanel = document.getElementById("token-panel");
+const tokenInput = document.getElementById("arena-token");
+const tokenClearBtn = document.getElementById("token-clear");
+const cacheClearBtn = document.getElementById("cache-clear");
+const settingsForm = document.getElementById("settings-form");
+const settingsResetBtn = document.getElementById("settings-reset");
+const cardSizeSelect = document.getElementById("card-size-select");
+const templateSelect = document.getElementById("template-select");
+const typographyPresetSelect = document.getElementById("typography-preset");
+const ditherMethodSelect = document.getElementById("dither-method");
+const fontFileInput = document.getElementById("font-file");
+const fontStatus = document.getElementById("font-status");
+const fontFamiliesList = document.getElementById("font-families");
+const historySection = document.getElementById("history");
+const historyList = document.getElementById("history-list");
+const historySelectAll = document.getElementById("history-select-all");
+const historyDownloadBtn = document.getElementById("history-download-btn");
+const historyZipBtn = document.getElementById("history-zip-btn");
+const historyDeleteBtn = document.getElementById("history-delete-btn");
+const bulkPanel = document.getElementById("bulk-panel");
+const bulkInput = document.getElementById("bulk-input");
+const bulkFile = document.getElementById("bulk-file");
+const bulkGenerateBtn = document.getElementById("bulk-generate-btn");
+const bulkSummary = document.getElementById("bulk-summary");
+const bulkQueue = document.getElementById("bulk-queue");
+
+/** @type {ContentOptionsOverrides} */
+let contentOptions = loadContentOptions();
+/** @type {ArenaqrCard[]} The cards currently shown in the gallery */
+let currentCards = [];
+/** @type {string|undefined} The URL the current cards were generated from */
+let currentUrl;
+/** @type {string|undefined} The channel the current cards came from, for channel QR targets */
+let currentChannelUrl;
+/** Incremented on every settings change so stale previews can stop early */
+let previewGeneration = 0;
+/** @type {ReturnType<typeof setTimeout>|undefined} */
+let previewTimer;
+/** @type {HistoryEntry[]} The history, newest first */
+let historyEntries = [];
+/** @type {Set<number>} IDs of the history entries selected for bulk actions */
+const historySelection = new Set();
+/** @type {boolean} Whether a bulk run is in progress */
+let bulkRunning = false;
 
 if (!generateBtn || !exampleBtn) {
   throw new Error("Required DOM elements not found");
@@ -40,48 +160,321 @@ exampleBtn.addEventListener("click", async () => {
   generateArenaqrImage(url);
 });
 
+if ("serviceWorker" in navigator) {
+  navigator.serviceWorker.register("/sw.js").catch((error) => {
+    console.warn("Failed to register service worker:", error);
+  });
+}
+
 /**
+ * Generates cards for a block or channel URL and shows them in the gallery.
  * @param {string} url
+ * @param {boolean} [refresh=false] - Fetch from Are.na even if the block data and images are cached
  */
-async function generateArenaqrImage(url) {
+async function generateArenaqrImage(url, refresh = false) {
   if (
     !arenaUrlInput ||
     !generateBtn ||
     !loadingEl ||
     !errorEl ||
     !resultEl ||
-    !resultImage ||
-    !downloadBtn
+    !resultsGallery ||
+    !downloadBtn ||
+    !refreshBtn ||
+    !pdfBtn
   ) {
     throw new Error("Required DOM elements not found");
   }
   // Show loading, hide other elements
+  loadingEl.textContent = "Processing...";
   loadingEl.style.display = "block";
   errorEl.style.display = "none";
   resultEl.style.display = "none";
 
   try {
-    // Get block data from Are.na
-    const blockData = await getArenaBlockData(url);
+    /** @type {ArenaqrCard[]} */
+    let cards;
+
+    const urlInfo = parseArenaUrl(url);
+
+    if (urlInfo?.type === "channel") {
+      currentChannelUrl = urlInfo.canonicalUrl;
+      cards = await generateChannelCards(urlInfo.canonicalUrl, refresh);
+    } else if (urlInfo?.type === "user") {
+      throw new Error(
+        "That's a user profile. Please provide a block or channel URL.",
+      );
+    } else {
+      // Get block data from Are.na
+      const blockData = await getArenaBlockData(url, {
+        ...getApiOptions(),
+        refresh,
+      });
+      if (refresh) {
+        await refreshBlockImages([blockData]);
+      }
 
-    console.log(blockData);
+      console.log(blockData);
 
-    // Generate image with QR code
-    const imageDataURL = await createArenaqrImageDataURL(blockData, url);
+      // A block opened inside a channel can point its QR code at that channel
+      currentChannelUrl =
+        urlInfo?.type === "block" && urlInfo.channelSlug
+          ? canonicalChannelUrl(urlInfo.channelSlug, urlInfo.userSlug)
+          : undefined;
 
-    // Show result
-    if (resultImage instanceof HTMLImageElement) {
-      resultImage.src = imageDataURL;
+      // The QR code points at a canonical URL, whatever was pasted
+      const qrData = resolveArenaQrData(blockData, readQrTarget());
+
+      // Generate image with QR code
+      cards = [await createArenaqrCard(blockData, qrData, contentOptions)];
     }
-    resultEl.style.display = "flex";
 
-    // Enable download button
-    downloadBtn.onclick = () => {
-      const link = document.createElement("a");
-      link.href = imageDataURL;
-      link.download = `arena-qr-${Date.now()}.jpg`;
-      link.click();
-    };
+    showResults(cards, url);
+    saveToHistory(cards);
+  } catch (error) {
+    if (error instanceof Error) {
+      showError(error.message);
+    }
+  } finally {
+    loadingEl.style.display = "none";
+  }
+}
+
+/**
+ * Shows cards in the gallery and hooks up the buttons that act on them.
+ * @param {ArenaqrCard[]} cards - The cards to show
+ * @param {string} url - The URL they were generated from, for refreshing
+ */
+function showResults(cards, url) {
+  if (!resultEl || !downloadBtn || !refreshBtn || !pdfBtn) {
+    throw new Error("Required DOM elements not found");
+  }
+  currentUrl = url;
+  currentCards = cards;
+  syncAddressBar();
+  renderGallery(cards);
+  resultEl.style.display = cards.length > 0 ? "flex" : "none";
+
+  // Enable download button
+  downloadBtn.onclick = () => downloadCards(getScannableCards());
+  if (zipBtn) {
+    zipBtn.onclick = () => downloadCardsZip(getScannableCards());
+  }
+  refreshBtn.onclick = () => {
+    if (currentUrl) {
+      generateArenaqrImage(currentUrl, true);
+    }
+  };
+  pdfBtn.onclick = () => {
+    try {
+      // Physical cards are printed at their own size
+      const { widthMm } = getCardMetrics(resolveContentOptions(contentOptions));
+      const cards = getScannableCards();
+      const sheetOptions = {
+        ...readPrintSheetOptions(),
+        ...(widthMm !== null && { cardWidth: widthMm }),
+      };
+      const backs = cards.map((card) => card.backDataURL);
+      const pdf =
+        cards.length > 0 && backs.every(Boolean)
+          ? createDoubleSidedSheetPdf(
+              cards.map((card) => card.dataURL),
+              /** @type {string[]} */ (backs),
+              sheetOptions,
+            )
+          : createCardSheetPdf(
+              cards.map((card) => card.dataURL),
+              sheetOptions,
+            );
+      downloadBlob(
+        new Blob([/** @type {BlobPart} */ (pdf)], {
+          type: "application/pdf",
+        }),
+        `arena-qr-${Date.now()}.pdf`,
+      );
+    } catch (error) {
+      if (error instanceof Error) {
+        showError(error.message);
+      }
+    }
+  };
+  if (receiptBtn) {
+    receiptBtn.onclick = () => downloadReceipts(getScannableCards());
+  }
+}
+
+/**
+ * Adds newly generated cards to the history. Failing to save them doesn't
+ * affect the cards themselves, so problems are only logged.
+ * @param {ArenaqrCard[]} cards - The cards to save
+ * @returns {Promise<void>}
+ */
+async function saveToHistory(cards) {
+  for (const card of cards) {
+    try {
+      await addToHistory(card, contentOptions);
+    } catch (error) {
+      console.warn(error);
+      break;
+    }
+  }
+  await renderHistory();
+}
+
+/**
+ * Deletes entries the user picked from the history and updates the gallery.
+ * @param {number[]} ids - The entries' IDs
+ * @returns {Promise<void>}
+ */
+async function deleteHistoryEntries(ids) {
+  try {
+    await deleteFromHistory(ids);
+  } catch (error) {
+    if (error instanceof Error) {
+      showError(`Failed to delete from the history: ${error.message}`);
+    }
+  }
+  await renderHistory();
+}
+
+/**
+ * Shows the saved history in the history gallery.
+ * @returns {Promise<void>}
+ */
+async function renderHistory() {
+  if (!historySection || !historyList) {
+    throw new Error("Required DOM elements not found");
+  }
+  try {
+    historyEntries = await listHistory();
+  } catch (error) {
+    console.warn(error);
+    historyEntries = [];
+  }
+
+  // Drop selections of entries that are gone
+  const ids = new Set(historyEntries.map((entry) => entry.id));
+  for (const id of historySelection) {
+    if (!ids.has(id)) {
+      historySelection.delete(id);
+    }
+  }
+
+  historySection.style.display = historyEntries.length > 0 ? "block" : "none";
+  historyList.replaceChildren(
+    ...historyEntries.map((entry) => {
+      const figure = document.createElement("figure");
+      figure.className = "history-card";
+
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.checked = historySelection.has(entry.id);
+      checkbox.setAttribute("aria-label", `Select ${entry.title}`);
+      checkbox.onchange = () => {
+        if (checkbox.checked) {
+          historySelection.add(entry.id);
+        } else {
+          historySelection.delete(entry.id);
+        }
+        updateHistorySelection();
+      };
+
+      const image = document.createElement("img");
+      image.src = entry.thumbnail;
+      image.alt = entry.title;
+
+      const caption = document.createElement("figcaption");
+      caption.textContent = entry.title;
+
+      const meta = document.createElement("span");
+      meta.className = "history-meta";
+      meta.textContent = [
+        entry.blockId !== undefined ? `Block ${entry.blockId}` : "",
+        entry.settings.template || "default",
+        new Date(entry.createdAt).toLocaleString(),
+      ]
+        .filter(Boolean)
+        .join(" · ");
+
+      const downloadButton = document.createElement("button");
+      downloadButton.type = "button";
+      downloadButton.textContent = "Download";
+      downloadButton.onclick = () => downloadCard(entry);
+
+      const rerenderButton = document.createElement("button");
+      rerenderButton.type = "button";
+      rerenderButton.textContent = "Re-render";
+      rerenderButton.title = "Render again with the current settings";
+      rerenderButton.onclick = () => rerenderHistoryEntry(entry);
+
+      const deleteButton = document.createElement("button");
+      deleteButton.type = "button";
+      deleteButton.textContent = "Delete";
+      deleteButton.onclick = () => deleteHistoryEntries([entry.id]);
+
+      const buttons = document.createElement("div");
+      buttons.className = "buttons";
+      buttons.append(downloadButton, rerenderButton, deleteButton);
+
+      figure.append(checkbox, image, caption, meta, buttons);
+      return figure;
+    }),
+  );
+  updateHistorySelection();
+}
+
+/**
+ * Updates the bulk history controls to match the selection.
+ */
+function updateHistorySelection() {
+  if (historySelectAll instanceof HTMLInputElement) {
+    historySelectAll.checked =
+      historyEntries.length > 0 &&
+      historySelection.size === historyEntries.length;
+    historySelectAll.indeterminate =
+      historySelection.size > 0 &&
+      historySelection.size < historyEntries.length;
+  }
+  for (const button of [historyDownloadBtn, historyZipBtn, historyDeleteBtn]) {
+    if (button instanceof HTMLButtonElement) {
+      button.disabled = historySelection.size === 0;
+    }
+  }
+}
+
+/**
+ * @returns {HistoryEntry[]} The selected history entries, newest first
+ */
+function getSelectedHistory() {
+  return historyEntries.filter((entry) => historySelection.has(entry.id));
+}
+
+/**
+ * Renders a history entry's block again with the current settings, shows
+ * it in the gallery and adds it to the history. The saved block data is
+ * used, so this works offline. The QR code follows the current QR target;
+ * history entries don't record their channel, so a channel target keeps
+ * the code the entry was saved with.
+ * @param {HistoryEntry} entry - The entry to render again
+ * @returns {Promise<void>}
+ */
+async function rerenderHistoryEntry(entry) {
+  if (!loadingEl || !errorEl) {
+    throw new Error("Required DOM elements not found");
+  }
+  loadingEl.textContent = "Processing...";
+  loadingEl.style.display = "block";
+  errorEl.style.display = "none";
+
+  try {
+    const target = readQrTarget();
+    const qrData =
+      target.type === "channel"
+        ? entry.qrData
+        : resolveArenaQrData(entry.block, target);
+    const card = await createArenaqrCard(entry.block, qrData, contentOptions);
+    showResults([card], String(entry.block.id ?? ""));
+    await saveToHistory([card]);
   } catch (error) {
     if (error instanceof Error) {
       showError(error.message);
@@ -91,6 +484,1171 @@ async function generateArenaqrImage(url) {
   }
 }
 
+/**
+ * Fetches every block in a channel and renders a card for each one,
+ * reporting progress in the loading element.
+ * @param {string} url - The channel URL
+ * @param {boolean} [refresh=false] - Fetch from Are.na even if the blocks are cached
+ * @returns {Promise<ArenaqrCard[]>} The generated cards
+ * @throws {Error} If no cards could be generated
+ */
+async function generateChannelCards(url, refresh = false) {
+  if (!loadingEl) {
+    throw new Error("Required DOM elements not found");
+  }
+
+  const blocks = await getArenaChannelBlocks(
+    url,
+    (completed, total) => {
+      loadingEl.textContent = `Fetching channel... ${completed}/${total}`;
+    },
+    { ...getApiOptions(), refresh },
+  );
+  if (refresh) {
+    loadingEl.textContent = "Refreshing images...";
+    await refreshBlockImages(blocks);
+  }
+
+  const { cards, failures } = await createArenaqrImageDataURLs(blocks, {
+    skipFailed:
+      skipFailedInput instanceof HTMLInputElement && skipFailedInput.checked,
+    contentOptions,
+    qrTarget: readQrTarget(),
+    onProgress: (completed, total) => {
+      loadingEl.textContent = `Generating cards... ${completed}/${total}`;
+    },
+  });
+
+  const skipped = failures
+    .map((failure) => `${failure.block.id} (${failure.message})`)
+    .join(", ");
+  if (cards.length === 0) {
+    throw new Error(
+      failures.length > 0
+        ? `No cards were generated; every block failed: ${skipped}`
+        : "No cards were generated: the channel has no blocks.",
+    );
+  }
+  if (failures.length > 0) {
+    showError(`Skipped ${failures.length} block(s): ${skipped}`);
+  }
+
+  return cards;
+}
+
+/**
+ * Generates cards for a list of blocks, showing each one's progress in the
+ * bulk queue. Blocks that fail are listed with their reason; the rest are
+ * shown in the gallery.
+ * @param {BulkSource[]} sources - Where the list came from
+ * @returns {Promise<void>}
+ */
+async function generateBulkCards(sources) {
+  if (
+    !(bulkPanel instanceof HTMLDetailsElement) ||
+    !(bulkGenerateBtn instanceof HTMLButtonElement) ||
+    !bulkSummary ||
+    !bulkQueue ||
+    !errorEl
+  ) {
+    throw new Error("Required DOM elements not found");
+  }
+  if (bulkRunning) {
+    showError("Wait for the current list to finish first.");
+    return;
+  }
+
+  const { items, rejected, duplicates } = parseBulkInput(sources);
+  bulkPanel.open = true;
+  errorEl.style.display = "none";
+  bulkSummary.textContent = [
+    `${items.length} block(s) queued`,
+    duplicates > 0 && `${duplicates} duplicate(s) dropped`,
+    rejected.length > 0 && `${rejected.length} entry(s) left out`,
+  ]
+    .filter(Boolean)
+    .join(", ");
+
+  const rows = new Map(items.map((item) => [item, createBulkRow(item)]));
+  bulkQueue.replaceChildren(
+    ...rows.values(),
+    ...rejected.map((entry) => createBulkRow(entry)),
+  );
+  if (items.length === 0) {
+    return;
+  }
+
+  bulkRunning = true;
+  bulkGenerateBtn.disabled = true;
+  currentChannelUrl = undefined;
+  try {
+    await processBulkItems(items, {
+      api: getApiOptions(),
+      qrTarget: readQrTarget(),
+      contentOptions,
+      onUpdate: (item) => {
+        const row = createBulkRow(item);
+        rows.get(item)?.replaceWith(row);
+        rows.set(item, row);
+      },
+    });
+  } finally {
+    bulkRunning = false;
+    bulkGenerateBtn.disabled = false;
+  }
+
+  const cards = items.flatMap((item) => (item.card ? [item.card] : []));
+  const failed = items.length - cards.length;
+  bulkSummary.textContent =
+    `${cards.length} of ${items.length} card(s) generated` +
+    (failed > 0 ? `, ${failed} failed` : "");
+  if (cards.length > 0) {
+    showResults(cards, "");
+    saveToHistory(cards);
+  }
+}
+
+/**
+ * Creates the bulk queue row for a block or a rejected entry.
+ * @param {BulkItem|RejectedEntry} entry - The block or entry
+ * @returns {HTMLLIElement} The row
+ */
+function createBulkRow(entry) {
+  const row = document.createElement("li");
+  const status = "status" in entry ? entry.status : "failed";
+  const reason = "reason" in entry ? entry.reason : entry.error;
+  row.className = `bulk-status-${status}`;
+  row.textContent = reason
+    ? `${entry.input} — ${reason}`
+    : `${entry.input} — ${status}`;
+  return row;
+}
+
+/**
+ * Reads dropped or picked .txt/.csv files as bulk sources.
+ * @param {FileList|File[]} files - The files
+ * @returns {Promise<BulkSource[]>} Their text
+ */
+async function readBulkFiles(files) {
+  return Promise.all(
+    Array.from(files, async (file) => ({
+      text: await file.text(),
+      csv: file.type === "text/csv" || /\.csv$/i.test(file.name),
+    })),
+  );
+}
+
+/**
+ * Fetches the images of the given blocks again so the cache holds the
+ * latest copies. Images that can't be fetched keep their cached copy.
+ * @param {ArenaBlock[]} blocks - The blocks whose images to refresh
+ * @returns {Promise<void>}
+ */
+async function refreshBlockImages(blocks) {
+  for (const block of blocks) {
+    for (const url of [block.image?.display?.url, block.image?.original.url]) {
+      if (url) {
+        await fetchImageBlob(url, true).catch(() => {});
+      }
+    }
+  }
+}
+
+/**
+ * Replaces the gallery contents with the given cards.
+ * @param {ArenaqrCard[]} cards - The cards to show
+ */
+function renderGallery(cards) {
+  if (!resultsGallery) {
+    throw new Error("Required DOM elements not found");
+  }
+  resultsGallery.replaceChildren(
+    ...cards.map((card) => {
+      const figure = document.createElement("figure");
+      figure.className = "result-card";
+
+      const image = document.createElement("img");
+      image.className = "result-image";
+      image.src = card.dataURL;
+
+      /** @type {HTMLImageElement[]} */
+      const faces = [image];
+      if (card.backDataURL) {
+        const back = document.createElement("img");
+        back.className = "result-image";
+        back.src = card.backDataURL;
+        faces.push(back);
+      }
+
+      const caption = document.createElement("figcaption");
+      caption.textContent =
+        card.block.title || card.block.generated_title || "";
+
+      // Cards whose QR code doesn't read back aren't offered for download
+      const button = document.createElement("button");
+      button.textContent = "Download Image";
+      button.disabled = !card.qrCheck.scannable;
+      button.onclick = () => downloadCard(card);
+
+      const svgButton = document.createElement("button");
+      svgButton.textContent = "Download SVG";
+      svgButton.disabled = !card.qrCheck.scannable;
+      svgButton.onclick = () => downloadCardSVG(card);
+
+      const pngButton = document.createElement("button");
+      pngButton.textContent = "Download 1-bit PNG";
+      pngButton.disabled = !card.qrCheck.scannable;
+      pngButton.onclick = () => downloadCardMonochromePNG(card);
+
+      const buttons = document.createElement("div");
+      buttons.className = "buttons";
+      buttons.append(button, svgButton, pngButton);
+
+      if (card.block.image && isCoverFit()) {
+        addFocalPointDrag(image);
+      }
+
+      figure.append(...faces, caption);
+      if (card.truncated.length > 0) {
+        const warning = document.createElement("p");
+        warning.className = "result-warning";
+        warning.textContent = `Some text was cut to fit: ${card.truncated.join(", ")}`;
+        figure.append(warning);
+      }
+      if (!card.qrCheck.scannable) {
+        const warning = document.createElement("p");
+        warning.className = "result-warning";
+        warning.textContent = `QR code doesn't scan: ${card.qrCheck.problem}. Try other QR code settings.`;
+        figure.append(warning);
+      }
+      figure.append(buttons);
+      if (card.block.image) {
+        addFramePicker(card, figure, buttons);
+      }
+      return figure;
+    }),
+  );
+}
+
+/**
+ * @returns {boolean} Whether image blocks are cropped to cover their area with the current settings
+ */
+function isCoverFit() {
+  const settings = resolveContentOptions(contentOptions);
+  if (settings.imageFit !== "auto") {
+    return settings.imageFit === "cover";
+  }
+  return (
+    settings.doubleSided || Boolean(TEMPLATES[settings.template].fullBleed)
+  );
+}
+
+/**
+ * Lets the user drag a card preview to move the focal point of its crop.
+ * Dragging moves the image, so the focal point moves the other way.
+ * @param {HTMLImageElement} image - The card preview
+ */
+function addFocalPointDrag(image) {
+  image.classList.add("focal-drag");
+  image.draggable = false;
+
+  image.addEventListener("pointerdown", (event) => {
+    const start = resolveContentOptions(contentOptions).focalPoint;
+    const startX = event.clientX;
+    const startY = event.clientY;
+    /** @type {{x: number, y: number}} */
+    let focalPoint = start;
+    image.setPointerCapture(event.pointerId);
+
+    /** @param {PointerEvent} moveEvent */
+    const onMove = (moveEvent) => {
+      /** @param {number} value */
+      const clamp = (value) =>
+        Math.round(Math.min(Math.max(value, 0), 1) * 100) / 100;
+      focalPoint = {
+        x: clamp(start.x - (moveEvent.clientX - startX) / image.clientWidth),
+        y: clamp(start.y - (moveEvent.clientY - startY) / image.clientHeight),
+      };
+      populateSettingsForm({ ...contentOptions, focalPoint });
+    };
+    const onUp = () => {
+      image.removeEventListener("pointermove", onMove);
+      image.removeEventListener("pointerup", onUp);
+      image.removeEventListener("pointercancel", onUp);
+      if (focalPoint !== start) {
+        applyContentOptions({ ...contentOptions, focalPoint });
+      }
+    };
+    image.addEventListener("pointermove", onMove);
+    image.addEventListener("pointerup", onUp);
+    image.addEventListener("pointercancel", onUp);
+  });
+}
+
+/**
+ * Adds a frame slider to a card whose image is an animated GIF, once the
+ * GIF's frames have been counted.
+ * @param {ArenaqrCard} card - The card
+ * @param {HTMLElement} figure - The card's gallery item
+ * @param {HTMLElement} before - The element to put the slider before
+ */
+async function addFramePicker(card, figure, before) {
+  let frameCount;
+  try {
+    frameCount = await getArenaqrFrameCount(card.block);
+  } catch (error) {
+    return;
+  }
+  if (frameCount < 2 || !figure.isConnected) {
+    return;
+  }
+
+  const frame = Math.min(
+    resolveContentOptions(contentOptions).gifFrame,
+    frameCount - 1,
+  );
+  const slider = document.createElement("input");
+  slider.type = "range";
+  slider.min = "0";
+  slider.max = String(frameCount - 1);
+  slider.value = String(frame);
+
+  const label = document.createElement("label");
+  label.className = "frame-picker";
+  label.append(`Frame ${frame + 1} of ${frameCount}`, slider);
+  slider.addEventListener("input", () => {
+    label.firstChild?.replaceWith(
+      `Frame ${slider.valueAsNumber + 1} of ${frameCount}`,
+    );
+  });
+  slider.addEventListener("change", () => {
+    const overrides = { ...contentOptions, gifFrame: slider.valueAsNumber };
+    populateSettingsForm(overrides);
+    applyContentOptions(overrides);
+  });
+  figure.insertBefore(label, before);
+}
+
+/**
+ * Gets the current cards whose QR codes scan, reporting any left out.
+ * @returns {ArenaqrCard[]} The cards that can be downloaded
+ */
+function getScannableCards() {
+  const cards = currentCards.filter((card) => card.qrCheck.scannable);
+  if (cards.length < currentCards.length) {
+    showError(
+      `Left out ${currentCards.length - cards.length} card(s) whose QR code doesn't scan`,
+    );
+  }
+  return cards;
+}
+
+/**
+ * Downloads a generated card image.
+ * @param {Pick<ArenaqrCard, "block"|"dataURL"|"backDataURL">} card - The card to download, or a history entry
+ */
+function downloadCard(card) {
+  const name = getCardFileName(card.block);
+  const link = document.createElement("a");
+  link.href = card.dataURL;
+  link.download = `${name}.jpg`;
+  link.click();
+
+  if (card.backDataURL) {
+    const backLink = document.createElement("a");
+    backLink.href = card.backDataURL;
+    backLink.download = `${name}-back.jpg`;
+    backLink.click();
+  }
+}
+
+/**
+ * Renders a card as SVG and downloads it.
+ * @param {ArenaqrCard} card - The card to download
+ */
+async function downloadCardSVG(card) {
+  try {
+    const name = getCardFileName(card.block);
+    const svg = await createArenaqrSVG(card.block, card.qrData, contentOptions);
+    downloadBlob(new Blob([svg], { type: "image/svg+xml" }), `${name}.svg`);
+
+    if (card.backDataURL) {
+      const back = await createArenaqrSVG(card.block, card.qrData, {
+        ...contentOptions,
+        face: "back",
+      });
+      downloadBlob(
+        new Blob([back], { type: "image/svg+xml" }),
+        `${name}-back.svg`,
+      );
+    }
+  } catch (error) {
+    if (error instanceof Error) {
+      showError(error.message);
+    }
+  }
+}
+
+/**
+ * Renders a card in black and white and downloads it as a 1-bit PNG.
+ * @param {ArenaqrCard} card - The card to download
+ */
+async function downloadCardMonochromePNG(card) {
+  try {
+    const name = getCardFileName(card.block);
+    const png = await createArenaqrMonochromePNG(
+      card.block,
+      card.qrData,
+      contentOptions,
+    );
+    downloadBlob(
+      new Blob([/** @type {BlobPart} */ (png)], { type: "image/png" }),
+      `${name}-1bit.png`,
+    );
+
+    if (card.backDataURL) {
+      const back = await createArenaqrMonochromePNG(card.block, card.qrData, {
+        ...contentOptions,
+        face: "back",
+      });
+      downloadBlob(
+        new Blob([/** @type {BlobPart} */ (back)], { type: "image/png" }),
+        `${name}-back-1bit.png`,
+      );
+    }
+  } catch (error) {
+    if (error instanceof Error) {
+      showError(error.message);
+    }
+  }
+}
+
+/**
+ * Downloads cards as one ESC/POS print job for a receipt printer, to send
+ * to it as it is (e.g. `cat receipts.bin > /dev/usb/lp0`).
+ * @param {ArenaqrCard[]} cards - The cards to print
+ */
+async function downloadReceipts(cards) {
+  if (cards.length === 0) {
+    return;
+  }
+  try {
+    const receiptOptions = readReceiptOptions();
+    /** @type {Uint8Array[]} */
+    const jobs = [];
+    for (const card of cards) {
+      // A receipt has one side, so double-sided cards print as one card
+      jobs.push(
+        await createArenaqrEscPos(
+          card.block,
+          card.qrData,
+          { ...contentOptions, doubleSided: false },
+          receiptOptions,
+        ),
+      );
+    }
+    downloadBlob(
+      new Blob(/** @type {BlobPart[]} */ (jobs), {
+        type: "application/octet-stream",
+      }),
+      `arena-qr-${Date.now()}.bin`,
+    );
+  } catch (error) {
+    if (error instanceof Error) {
+      showError(error.message);
+    }
+  }
+}
+
+/**
+ * Downloads cards as one file: a single one-sided card as its image, and
+ * anything more as a ZIP, since browsers block all but the first of several
+ * downloads started by one click.
+ * @param {ZipCard[]} cards - The cards to download
+ */
+function downloadCards(cards) {
+  if (cards.length === 1 && !cards[0].backDataURL) {
+    downloadCard(cards[0]);
+  } else {
+    downloadCardsZip(cards);
+  }
+}
+
+/**
+ * Downloads cards as one ZIP, with a manifest listing them.
+ * @param {ZipCard[]} cards - The cards to download
+ */
+function downloadCardsZip(cards) {
+  if (cards.length === 0) {
+    return;
+  }
+  try {
+    const zip = createCardsZip(cards);
+    downloadBlob(
+      new Blob([/** @type {BlobPart} */ (zip)], { type: "application/zip" }),
+      `arena-qr-${Date.now()}.zip`,
+    );
+  } catch (error) {
+    if (error instanceof Error) {
+      showError(error.message);
+    }
+  }
+}
+
+/**
+ * Downloads a blob as a file.
+ * @param {Blob} blob - The file contents
+ * @param {string} filename - The name to save the file as
+ */
+function downloadBlob(blob, filename) {
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+/**
+ * Reads the print sheet options from the PDF export controls.
+ * @returns {Partial<PrintSheetOptions>} The chosen options
+ */
+function readPrintSheetOptions() {
+  /** @type {Partial<PrintSheetOptions>} */
+  const options = {};
+  if (
+    pdfPaperSizeInput instanceof HTMLSelectElement &&
+    (pdfPaperSizeInput.value === "a4" || pdfPaperSizeInput.value === "letter")
+  ) {
+    options.paperSize = pdfPaperSizeInput.value;
+  }
+  if (pdfMarginInput instanceof HTMLInputElement) {
+    options.margin = Math.max(0, pdfMarginInput.valueAsNumber || 0);
+  }
+  if (pdfGutterInput instanceof HTMLInputElement) {
+    options.gutter = Math.max(0, pdfGutterInput.valueAsNumber || 0);
+  }
+  if (pdfBleedInput instanceof HTMLInputElement) {
+    options.bleed = Math.max(0, pdfBleedInput.valueAsNumber || 0);
+  }
+  if (pdfCropMarksInput instanceof HTMLInputElement) {
+    options.cropMarks = pdfCropMarksInput.checked;
+  }
+  if (
+    pdfDuplexInput instanceof HTMLSelectElement &&
+    (pdfDuplexInput.value === "long" || pdfDuplexInput.value === "short")
+  ) {
+    options.duplex = pdfDuplexInput.value;
+  }
+  return options;
+}
+
+/**
+ * Reads the receipt printer options from the ESC/POS export controls.
+ * @returns {Partial<ReceiptOptions>} The chosen options
+ */
+function readReceiptOptions() {
+  /** @type {Partial<ReceiptOptions>} */
+  const options = {};
+  if (
+    receiptPaperInput instanceof HTMLSelectElement &&
+    (receiptPaperInput.value === "58mm" || receiptPaperInput.value === "80mm")
+  ) {
+    options.paper = receiptPaperInput.value;
+  }
+  if (
+    receiptQrInput instanceof HTMLSelectElement &&
+    (receiptQrInput.value === "raster" || receiptQrInput.value === "native")
+  ) {
+    options.qrCode = receiptQrInput.value;
+  }
+  if (receiptCutInput instanceof HTMLInputElement) {
+    options.cut = receiptCutInput.checked;
+  }
+  return options;
+}
+
+/**
+ * Loads the saved card settings, dropping them if they are no longer valid.
+ * @returns {ContentOptionsOverrides} The saved overrides
+ */
+function loadContentOptions() {
+  try {
+    const saved = JSON.parse(
+      localStorage.getItem(SETTINGS_STORAGE_KEY) || "{}",
+    );
+    resolveContentOptions(saved);
+    return saved;
+  } catch (error) {
+    localStorage.removeItem(SETTINGS_STORAGE_KEY);
+    return {};
+  }
+}
+
+/**
+ * @returns {ArenaApiOptions} API options with the saved access token, if any
+ */
+function getApiOptions() {
+  return { accessToken: localStorage.getItem(TOKEN_STORAGE_KEY) || undefined };
+}
+
+/**
+ * Reads where QR codes should point from the QR target controls.
+ * @returns {ArenaQrTarget} The chosen target
+ */
+function readQrTarget() {
+  const type =
+    qrTargetSelect instanceof HTMLSelectElement ? qrTargetSelect.value : "";
+  return {
+    type:
+      type === "source" || type === "channel" || type === "custom"
+        ? type
+        : "block",
+    channelUrl: currentChannelUrl,
+    template:
+      qrTemplateInput instanceof HTMLInputElement
+        ? qrTemplateInput.value
+        : undefined,
+  };
+}
+
+/**
+ * Saves the QR target, points the current cards' QR codes at it and
+ * re-renders them.
+ */
+function applyQrTarget() {
+  if (!errorEl) {
+    throw new Error("Required DOM elements not found");
+  }
+  const target = readQrTarget();
+  if (qrTemplateInput instanceof HTMLInputElement) {
+    qrTemplateInput.hidden = target.type !== "custom";
+  }
+  localStorage.setItem(
+    QR_TARGET_STORAGE_KEY,
+    JSON.stringify({ type: target.type, template: target.template }),
+  );
+  syncAddressBar();
+
+  // Nothing to check until a template is typed; rendering still reports
+  // a missing one
+  if (target.type === "custom" && !target.template?.trim()) {
+    return;
+  }
+
+  try {
+    const qrData = currentCards.map((card) =>
+      resolveArenaQrData(card.block, target),
+    );
+    currentCards.forEach((card, index) => {
+      card.qrData = qrData[index];
+    });
+  } catch (error) {
+    if (error instanceof Error) {
+      showError(error.message);
+    }
+    return;
+  }
+
+  errorEl.style.display = "none";
+  clearTimeout(previewTimer);
+  previewTimer = setTimeout(refreshCards, PREVIEW_DELAY);
+}
+
+/**
+ * Restores the saved QR target into the QR target controls.
+ */
+function loadQrTarget() {
+  try {
+    const saved = JSON.parse(
+      localStorage.getItem(QR_TARGET_STORAGE_KEY) || "{}",
+    );
+    if (qrTargetSelect instanceof HTMLSelectElement && saved.type) {
+      qrTargetSelect.value = String(saved.type);
+    }
+    if (qrTemplateInput instanceof HTMLInputElement) {
+      qrTemplateInput.value = String(saved.template || "");
+      qrTemplateInput.hidden = saved.type !== "custom";
+    }
+  } catch (error) {
+    localStorage.removeItem(QR_TARGET_STORAGE_KEY);
+  }
+}
+
+/**
+ * Builds a link that opens the app with the current cards and settings.
+ * The access token is never part of it.
+ * @returns {string} The link
+ */
+function getShareUrl() {
+  const params = buildShareParams({
+    url: currentUrl,
+    qrTarget: readQrTarget(),
+    options: contentOptions,
+  }).toString();
+  return `${location.origin}${location.pathname}${params ? `?${params}` : ""}`;
+}
+
+/**
+ * Keeps the address bar in step with the current cards and settings, so it
+ * can be shared or bookmarked.
+ */
+function syncAddressBar() {
+  window.history.replaceState(null, "", getShareUrl());
+}
+
+/**
+ * Opens the cards of a share link: applies its QR target and card settings
+ * and generates its block or channel. Links without a block or channel
+ * leave the saved settings alone.
+ */
+function openShareLink() {
+  const state = parseShareParams(new URLSearchParams(location.search));
+  if (!state.url) {
+    return;
+  }
+  // Keep the link's block in the address bar while the settings are applied
+  currentUrl = state.url;
+
+  try {
+    resolveContentOptions(state.options);
+  } catch (error) {
+    if (error instanceof Error) {
+      showError(`This link's card settings don't work: ${error.message}`);
+    }
+    return;
+  }
+
+  if (qrTargetSelect instanceof HTMLSelectElement) {
+    qrTargetSelect.value = state.qrTarget.type;
+  }
+  if (qrTemplateInput instanceof HTMLInputElement) {
+    qrTemplateInput.value = state.qrTarget.template || "";
+  }
+  applyQrTarget();
+  populateSettingsForm(state.options);
+  applyContentOptions(state.options);
+
+  if (arenaUrlInput instanceof HTMLInputElement) {
+    arenaUrlInput.value = state.url;
+  }
+  generateArenaqrImage(state.url);
+}
+
+/**
+ * Expands a color to the #rrggbb form color inputs require.
+ * @param {string} color - A hex color
+ * @returns {string} The color as #rrggbb, or black if it can't be expanded
+ */
+function toColorInputValue(color) {
+  if (/^#[0-9a-f]{6}$/i.test(color)) {
+    return color;
+  }
+  if (/^#[0-9a-f]{3}$/i.test(color)) {
+    return "#" + [...color.slice(1)].map((digit) => digit + digit).join("");
+  }
+  return "#000000";
+}
+
+/**
+ * Fills the settings form from the resolved card settings.
+ * @param {ContentOptionsOverrides} overrides - The current overrides
+ */
+function populateSettingsForm(overrides) {
+  if (!settingsForm) {
+    return;
+  }
+  /** @type {Record<string, any>} */
+  const settings = resolveContentOptions(overrides);
+  settingsForm.querySelectorAll("[data-option]").forEach((input) => {
+    if (
+      !(
+        input instanceof HTMLInputElement || input instanceof HTMLSelectElement
+      ) ||
+      !input.dataset.option
+    ) {
+      return;
+    }
+    const value = input.dataset.option
+      .split(".")
+      .reduce((object, key) => object?.[key], settings);
+    if (input instanceof HTMLInputElement && input.type === "checkbox") {
+      input.checked = Boolean(value);
+    } else {
+      input.value =
+        input.type === "color"
+          ? toColorInputValue(String(value))
+          : String(value);
+    }
+  });
+}
+
+/**
+ * Reads the card settings from the settings form.
+ * @returns {ContentOptionsOverrides} The overrides chosen in the form
+ */
+function readSettingsForm() {
+  /** @type {Record<string, any>} */
+  const overrides = {};
+  settingsForm?.querySelectorAll("[data-option]").forEach((input) => {
+    if (
+      !(
+        input instanceof HTMLInputElement || input instanceof HTMLSelectElement
+      ) ||
+      !input.dataset.option
+    ) {
+      return;
+    }
+    const path = input.dataset.option.split(".");
+    const key = path.pop() || "";
+    const target = path.reduce(
+      (object, name) => (object[name] = object[name] || {}),
+      overrides,
+    );
+    if (input instanceof HTMLInputElement && input.type === "checkbox") {
+      target[key] = input.checked;
+    } else {
+      target[key] =
+        input instanceof HTMLInputElement &&
+        (input.type === "number" || input.type === "range")
+          ? input.valueAsNumber
+          : input.value;
+    }
+  });
+  return overrides;
+}
+
+/**
+ * Applies new card settings: validates, saves and re-renders the preview.
+ * @param {ContentOptionsOverrides} overrides - The new overrides
+ */
+function applyContentOptions(overrides) {
+  if (!errorEl) {
+    throw new Error("Required DOM elements not found");
+  }
+  try {
+    resolveContentOptions(overrides);
+  } catch (error) {
+    if (error instanceof Error) {
+      showError(error.message);
+    }
+    return;
+  }
+
+  errorEl.style.display = "none";
+  contentOptions = overrides;
+  localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(overrides));
+  syncAddressBar();
+
+  clearTimeout(previewTimer);
+  previewTimer = setTimeout(refreshCards, PREVIEW_DELAY);
+}
+
+/**
+ * Suggests a font family in the font inputs, if it isn't already suggested.
+ * @param {string} family - The font family setting, e.g. "Lato, sans-serif"
+ */
+function addFontFamilyOption(family) {
+  if (
+    fontFamiliesList &&
+    !Array.from(fontFamiliesList.children).some(
+      (option) =>
+        option instanceof HTMLOptionElement && option.value === family,
+    )
+  ) {
+    fontFamiliesList.append(new Option(family, family));
+  }
+}
+
+/**
+ * Registers font files the user picked, so cards can use them. The fonts
+ * only last until the page is closed.
+ * @param {File[]} files - The font files
+ */
+async function addFontFiles(files) {
+  if (!fontStatus) {
+    throw new Error("Required DOM elements not found");
+  }
+  /** @type {string[]} */
+  const families = [];
+  for (const file of files) {
+    try {
+      const family = await registerFontFile(
+        await file.arrayBuffer(),
+        file.name,
+      );
+      addFontFamilyOption(`${quoteFontFamily(family)}, sans-serif`);
+      if (!families.includes(family)) {
+        families.push(family);
+      }
+    } catch (error) {
+      if (error instanceof Error) {
+        showError(error.message);
+      }
+    }
+  }
+  if (families.length > 0) {
+    fontStatus.textContent =
+      `Added ${families.join(", ")}. Choose it as a title or metadata font; ` +
+      "fonts you add are kept until you close the page.";
+    // Cards already set to the family can now draw with it
+    clearTimeout(previewTimer);
+    previewTimer = setTimeout(refreshCards, PREVIEW_DELAY);
+  }
+}
+
+/**
+ * Re-renders the cards in the gallery with the current settings.
+ * Stops early if the settings change again before it finishes.
+ */
+async function refreshCards() {
+  const generation = ++previewGeneration;
+  const cards = currentCards;
+
+  for (const card of cards) {
+    try {
+      const updated = await createArenaqrCard(
+        card.block,
+        card.qrData,
+        contentOptions,
+      );
+      if (generation !== previewGeneration || cards !== currentCards) {
+        return;
+      }
+      card.dataURL = updated.dataURL;
+      card.backDataURL = updated.backDataURL;
+      card.truncated = updated.truncated;
+      card.qrCheck = updated.qrCheck;
+    } catch (error) {
+      if (error instanceof Error) {
+        showError(error.message);
+      }
+      return;
+    }
+  }
+  renderGallery(cards);
+}
+
+if (historySelectAll instanceof HTMLInputElement) {
+  historySelectAll.addEventListener("change", () => {
+    historySelection.clear();
+    if (historySelectAll.checked) {
+      historyEntries.forEach((entry) => historySelection.add(entry.id));
+    }
+    renderHistory();
+  });
+}
+
+historyDownloadBtn?.addEventListener("click", () => {
+  downloadCards(getSelectedHistory());
+});
+
+historyZipBtn?.addEventListener("click", () => {
+  downloadCardsZip(getSelectedHistory());
+});
+
+historyDeleteBtn?.addEventListener("click", async () => {
+  const selected = getSelectedHistory();
+  if (
+    selected.length > 0 &&
+    confirm(`Delete ${selected.length} card(s) from the history?`)
+  ) {
+    await deleteHistoryEntries(selected.map((entry) => entry.id));
+  }
+});
+
+renderHistory();
+
+bulkGenerateBtn?.addEventListener("click", () => {
+  if (bulkInput instanceof HTMLTextAreaElement) {
+    generateBulkCards([{ text: bulkInput.value }]);
+  }
+});
+
+if (bulkFile instanceof HTMLInputElement) {
+  bulkFile.addEventListener("change", async () => {
+    if (bulkFile.files && bulkFile.files.length > 0) {
+      const sources = await readBulkFiles(bulkFile.files);
+      bulkFile.value = "";
+      generateBulkCards(sources);
+    }
+  });
+}
+
+// Links and files can be dropped anywhere on the page
+document.addEventListener("dragover", (event) => {
+  event.preventDefault();
+  document.body.classList.add("drag-over");
+});
+document.addEventListener("dragleave", (event) => {
+  // Leaving the window has no related target
+  if (!event.relatedTarget) {
+    document.body.classList.remove("drag-over");
+  }
+});
+document.addEventListener("drop", async (event) => {
+  document.body.classList.remove("drag-over");
+  const data = event.dataTransfer;
+  if (!data) {
+    return;
+  }
+  const files = Array.from(data.files).filter(
+    (file) => file.type.startsWith("text/") || /\.(txt|csv)$/i.test(file.name),
+  );
+  const text = data.getData("text/uri-list") || data.getData("text/plain");
+  // Text dropped into a text field goes into that field as usual
+  if (
+    files.length === 0 &&
+    (event.target instanceof HTMLInputElement ||
+      event.target instanceof HTMLTextAreaElement)
+  ) {
+    return;
+  }
+  event.preventDefault();
+  if (files.length > 0) {
+    generateBulkCards(await readBulkFiles(files));
+  } else if (data.files.length > 0) {
+    showError("Drop a .txt or .csv file of block links.");
+  } else if (text.trim()) {
+    generateBulkCards([{ text }]);
+  }
+});
+
+if (templateSelect instanceof HTMLSelectElement) {
+  for (const [value, template] of Object.entries(TEMPLATES)) {
+    templateSelect.add(new Option(template.label, value));
+  }
+}
+
+if (cardSizeSelect instanceof HTMLSelectElement) {
+  for (const [value, size] of Object.entries(CARD_SIZES)) {
+    cardSizeSelect.add(new Option(size.label, value));
+  }
+}
+
+if (typographyPresetSelect instanceof HTMLSelectElement) {
+  for (const [value, preset] of Object.entries(TYPOGRAPHY_PRESETS)) {
+    typographyPresetSelect.add(new Option(preset.label, value));
+  }
+  typographyPresetSelect.addEventListener("change", () => {
+    const preset = TYPOGRAPHY_PRESETS[typographyPresetSelect.value];
+    if (preset) {
+      const overrides = { ...readSettingsForm(), ...preset.options };
+      populateSettingsForm(overrides);
+      applyContentOptions(overrides);
+    }
+    typographyPresetSelect.value = "";
+  });
+}
+
+if (receiptPaperInput instanceof HTMLSelectElement) {
+  for (const [value, paper] of Object.entries(RECEIPT_PAPERS)) {
+    receiptPaperInput.add(new Option(paper.label, value));
+  }
+}
+
+if (ditherMethodSelect instanceof HTMLSelectElement) {
+  for (const [value, label] of Object.entries(DITHER_METHODS)) {
+    ditherMethodSelect.add(new Option(label, value));
+  }
+}
+
+settingsForm?.querySelectorAll(".font-weight-select").forEach((select) => {
+  if (select instanceof HTMLSelectElement) {
+    for (const [value, label] of FONT_WEIGHTS) {
+      select.add(new Option(label, value));
+    }
+  }
+});
+
+for (const family of [
+  ...Object.values(BUNDLED_FONTS).map((font) => font.stack),
+  ...SYSTEM_FONT_FAMILIES,
+]) {
+  addFontFamilyOption(family);
+}
+
+if (fontFileInput instanceof HTMLInputElement) {
+  fontFileInput.addEventListener("change", async () => {
+    await addFontFiles(Array.from(fontFileInput.files || []));
+    fontFileInput.value = "";
+  });
+}
+
+if (settingsForm) {
+  populateSettingsForm(contentOptions);
+  settingsForm.addEventListener("input", (event) => {
+    // The preset and font file inputs aren't settings themselves
+    if (event.target instanceof HTMLElement && !event.target.dataset.option) {
+      return;
+    }
+    applyContentOptions(readSettingsForm());
+  });
+}
+
+/**
+ * Saves the access token. Cached responses may include private blocks
+ * fetched with the old token, so the offline cache is cleared when the
+ * token changes.
+ * @param {string} token - The new token, or "" for none
+ */
+function saveAccessToken(token) {
+  if (token === (localStorage.getItem(TOKEN_STORAGE_KEY) || "")) {
+    return;
+  }
+  if (token) {
+    localStorage.setItem(TOKEN_STORAGE_KEY, token);
+  } else {
+    localStorage.removeItem(TOKEN_STORAGE_KEY);
+  }
+  clearCache().catch((error) => {
+    if (error instanceof Error) {
+      showError(`Failed to clear the offline cache: ${error.message}`);
+    }
+  });
+}
+
+if (tokenInput instanceof HTMLInputElement) {
+  tokenInput.value = localStorage.getItem(TOKEN_STORAGE_KEY) || "";
+  tokenInput.addEventListener("change", () => {
+    saveAccessToken(tokenInput.value.trim());
+  });
+  tokenClearBtn?.addEventListener("click", () => {
+    tokenInput.value = "";
+    saveAccessToken("");
+  });
+}
+
+cacheClearBtn?.addEventListener("click", async () => {
+  try {
+    await clearCache();
+  } catch (error) {
+    if (error instanceof Error) {
+      showError(`Failed to clear the offline cache: ${error.message}`);
+    }
+  }
+});
+
+loadQrTarget();
+qrTargetSelect?.addEventListener("change", applyQrTarget);
+qrTemplateInput?.addEventListener("input", applyQrTarget);
+
+settingsResetBtn?.addEventListener("click", () => {
+  populateSettingsForm({});
+  applyContentOptions({});
+});
+
+copyLinkBtn?.addEventListener("click", async () => {
+  try {
+    await navigator.clipboard.writeText(getShareUrl());
+    copyLinkBtn.textContent = "Copied!";
+    setTimeout(() => {
+      copyLinkBtn.textContent = "Copy link";
+    }, COPIED_DELAY);
+  } catch (error) {
+    showError("Couldn't copy the link. Copy it from the address bar instead.");
+  }
+});
+
 // Enable Enter key on the input field
 if (arenaUrlInput instanceof HTMLInputElement) {
   arenaUrlInput.addEventListener("keyup", (event) => {
@@ -98,8 +1656,25 @@ if (arenaUrlInput instanceof HTMLInputElement) {
       generateBtn.click();
     }
   });
+
+  // A pasted list of links goes to the bulk input; the URL field is one line
+  arenaUrlInput.addEventListener("paste", (event) => {
+    const text = event.clipboardData?.getData("text/plain") || "";
+    if (
+      bulkInput instanceof HTMLTextAreaElement &&
+      bulkPanel instanceof HTMLDetailsElement &&
+      text.trim().includes("\n")
+    ) {
+      event.preventDefault();
+      bulkInput.value = text.trim();
+      bulkPanel.open = true;
+      bulkInput.focus();
+    }
+  });
 }
 
+openShareLink();
+
 /**
  * Displays an error message to the user.
  * @param {string} message - The error message to display.
@@ -110,4 +1685,12 @@ function showError(message) {
   }
   errorEl.textContent = message;
   errorEl.style.display = "block";
+
+  // Token problems are fixed in the token panel, so open it
+  if (
+    tokenPanel instanceof HTMLDetailsElement &&
+    /access token/.test(message)
+  ) {
+    tokenPanel.open = true;
+  }
 }
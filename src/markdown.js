@@ -0,0 +1,310 @@
+/**
+ * A small markdown parser for Are.na Text blocks. It understands the subset
+ * that reads well on a printed card: headings, paragraphs, lists,
+ * blockquotes, code, rules and inline emphasis and links.
+ */
+
+/**
+ * @typedef {Object} InlineStyle
+ * @property {boolean} [bold] - Strong emphasis
+ * @property {boolean} [italic] - Emphasis
+ * @property {boolean} [code] - Inline code
+ * @property {boolean} [strike] - Strikethrough
+ * @property {string} [link] - Link target, for link text
+ */
+
+/**
+ * A piece of text with one style. A run with `lineBreak` set is a hard line
+ * break and has empty text.
+ * @typedef {InlineStyle & {text: string, lineBreak?: boolean}} InlineRun
+ */
+
+/**
+ * @typedef {Object} MarkdownBlock
+ * @property {"paragraph"|"heading"|"listItem"|"blockquote"|"code"|"rule"} type - Kind of block
+ * @property {InlineRun[]} runs - The block's text
+ * @property {number} [level] - Heading level (1-6)
+ * @property {number} [depth] - List nesting depth, from 0
+ * @property {string} [marker] - List marker to draw, e.g. "•" or "2."
+ */
+
+const HEADING_PATTERN = /^ {0,3}(#{1,6})(?:\s+(.*?))?\s*#*\s*$/;
+const LIST_PATTERN = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const QUOTE_PATTERN = /^ {0,3}>\s?(.*)$/;
+const FENCE_PATTERN = /^ {0,3}(```|~~~)/;
+const RULE_PATTERN = /^ {0,3}([-*_])(\s*\1){2,}\s*$/;
+const ESCAPABLE = "\\`*_{}[]()#+-.!~>|";
+
+/**
+ * Parses markdown into blocks of styled text.
+ * Single newlines inside a paragraph are kept as line breaks, since that is
+ * how people write poems and lists without markup on Are.na.
+ * @param {string} markdown - The markdown source
+ * @returns {MarkdownBlock[]} The parsed blocks
+ */
+export function parseMarkdown(markdown) {
+  const lines = markdown.replace(/\r\n?/g, "\n").split("\n");
+  /** @type {MarkdownBlock[]} */
+  const blocks = [];
+  /** @type {string[]} */
+  let paragraph = [];
+  /** @type {string[]} */
+  let quote = [];
+
+  const flushParagraph = () => {
+    if (paragraph.length > 0) {
+      blocks.push({ type: "paragraph", runs: parseLines(paragraph) });
+      paragraph = [];
+    }
+  };
+  const flushQuote = () => {
+    if (quote.length > 0) {
+      blocks.push({ type: "blockquote", runs: parseLines(quote) });
+      quote = [];
+    }
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    const quoteMatch = line.match(QUOTE_PATTERN);
+    if (quoteMatch) {
+      flushParagraph();
+      quote.push(quoteMatch[1]);
+      continue;
+    }
+    flushQuote();
+
+    if (line.trim() === "") {
+      flushParagraph();
+      continue;
+    }
+
+    const fenceMatch = line.match(FENCE_PATTERN);
+    if (fenceMatch) {
+      flushParagraph();
+      /** @type {string[]} */
+      const code = [];
+      for (i++; i < lines.length; i++) {
+        if (lines[i].trim().startsWith(fenceMatch[1])) {
+          break;
+        }
+        code.push(lines[i]);
+      }
+      blocks.push({ type: "code", runs: codeRuns(code) });
+      continue;
+    }
+
+    const headingMatch = line.match(HEADING_PATTERN);
+    if (headingMatch) {
+      flushParagraph();
+      blocks.push({
+        type: "heading",
+        level: headingMatch[1].length,
+        runs: parseInline(headingMatch[2] || ""),
+      });
+      continue;
+    }
+
+    if (RULE_PATTERN.test(line)) {
+      flushParagraph();
+      blocks.push({ type: "rule", runs: [] });
+      continue;
+    }
+
+    const listMatch = line.match(LIST_PATTERN);
+    if (listMatch) {
+      flushParagraph();
+      const [, indent, marker, text] = listMatch;
+      blocks.push({
+        type: "listItem",
+        depth: Math.min(Math.floor(indent.replace(/\t/g, "  ").length / 2), 3),
+        marker: /\d/.test(marker) ? marker.replace(")", ".") : "•",
+        runs: parseInline(text),
+      });
+      continue;
+    }
+
+    paragraph.push(line.trim());
+  }
+  flushParagraph();
+  flushQuote();
+
+  return blocks;
+}
+
+/**
+ * Parses consecutive lines of one block, keeping the breaks between them.
+ * @param {string[]} lines - The lines of the block
+ * @returns {InlineRun[]} The styled text
+ */
+function parseLines(lines) {
+  /** @type {InlineRun[]} */
+  const runs = [];
+  lines.forEach((line, index) => {
+    if (index > 0) {
+      runs.push({ text: "", lineBreak: true });
+    }
+    runs.push(...parseInline(line));
+  });
+  return runs;
+}
+
+/**
+ * @param {string[]} lines - Lines of a code block
+ * @returns {InlineRun[]} The lines as code runs separated by line breaks
+ */
+function codeRuns(lines) {
+  /** @type {InlineRun[]} */
+  const runs = [];
+  lines.forEach((line, index) => {
+    if (index > 0) {
+      runs.push({ text: "", lineBreak: true });
+    }
+    runs.push({ text: line, code: true });
+  });
+  return runs;
+}
+
+/**
+ * Parses inline markdown into styled runs. Delimiters without a closing
+ * partner are kept as literal text.
+ * @param {string} text - A line of markdown
+ * @param {InlineStyle} [style] - The style inherited from enclosing markup
+ * @returns {InlineRun[]} The styled text
+ */
+export function parseInline(text, style = {}) {
+  /** @type {InlineRun[]} */
+  const runs = [];
+  let buffer = "";
+
+  const flush = () => {
+    if (buffer) {
+      runs.push({ ...style, text: buffer });
+      buffer = "";
+    }
+  };
+
+  let i = 0;
+  while (i < text.length) {
+    const char = text[i];
+    const rest = text.slice(i);
+
+    // Backslash escapes
+    if (
+      char === "\\" &&
+      i + 1 < text.length &&
+      ESCAPABLE.includes(text[i + 1])
+    ) {
+      buffer += text[i + 1];
+      i += 2;
+      continue;
+    }
+
+    // Inline code, which contains no other markup
+    if (char === "`") {
+      const ticks = rest.match(/^`+/)?.[0] || "`";
+      const end = text.indexOf(ticks, i + ticks.length);
+      if (end !== -1) {
+        flush();
+        runs.push({
+          ...style,
+          code: true,
+          text: text.slice(i + ticks.length, end).trim(),
+        });
+        i = end + ticks.length;
+        continue;
+      }
+    }
+
+    // Images show their alt text; links show their text
+    const linkMatch =
+      (char === "[" || char === "!") &&
+      rest.match(
+        /^(!?)\[((?:\\.|[^\]])*)\]\(\s*<?([^)\s>]*)>?(?:\s+"[^"]*")?\s*\)/,
+      );
+    if (linkMatch) {
+      flush();
+      const [whole, image, label, href] = linkMatch;
+      runs.push(
+        ...(image
+          ? parseInline(label, style)
+          : parseInline(label || href, { ...style, link: href })),
+      );
+      i += whole.length;
+      continue;
+    }
+
+    // Autolinks
+    const autolinkMatch =
+      char === "<" && rest.match(/^<((?:https?:\/\/|mailto:)[^>\s]+)>/);
+    if (autolinkMatch) {
+      flush();
+      runs.push({ ...style, link: autolinkMatch[1], text: autolinkMatch[1] });
+      i += autolinkMatch[0].length;
+      continue;
+    }
+
+    // Emphasis and strikethrough
+    if (char === "*" || char === "_" || char === "~") {
+      const delimiter = rest.match(/^(\*{1,3}|_{1,3}|~~)/)?.[0];
+      const end = delimiter ? findClosing(text, i, delimiter) : -1;
+      if (delimiter && end !== -1) {
+        flush();
+        /** @type {InlineStyle} */
+        const inner = { ...style };
+        if (delimiter === "~~") {
+          inner.strike = true;
+        } else {
+          inner.bold = style.bold || delimiter.length >= 2;
+          inner.italic = style.italic || delimiter.length !== 2;
+        }
+        runs.push(...parseInline(text.slice(i + delimiter.length, end), inner));
+        i = end + delimiter.length;
+        continue;
+      }
+    }
+
+    buffer += char;
+    i++;
+  }
+  flush();
+
+  return runs;
+}
+
+/**
+ * Finds the delimiter that closes an emphasis span.
+ * Underscores inside words (snake_case) don't open or close emphasis, and
+ * spans can't start or end with whitespace.
+ * @param {string} text - The line being parsed
+ * @param {number} start - Index of the opening delimiter
+ * @param {string} delimiter - The opening delimiter
+ * @returns {number} Index of the closing delimiter, or -1 if there is none
+ */
+function findClosing(text, start, delimiter) {
+  const isWordChar = (/** @type {string|undefined} */ char) =>
+    char !== undefined && /[\p{L}\p{N}]/u.test(char);
+
+  const contentStart = start + delimiter.length;
+  if (
+    /\s/.test(text[contentStart] || " ") ||
+    (delimiter[0] === "_" && isWordChar(text[start - 1]))
+  ) {
+    return -1;
+  }
+
+  let end = text.indexOf(delimiter, contentStart + 1);
+  while (end !== -1) {
+    const after = text[end + delimiter.length];
+    if (
+      !/\s/.test(text[end - 1]) &&
+      after !== delimiter[0] &&
+      !(delimiter[0] === "_" && isWordChar(after))
+    ) {
+      return end;
+    }
+    end = text.indexOf(delimiter, end + 1);
+  }
+  return -1;
+}
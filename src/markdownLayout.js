@@ -0,0 +1,619 @@
+/**
+ * Lays out parsed markdown for a canvas: wraps styled text into lines,
+ * shrinks the font until everything fits and truncates with an ellipsis when
+ * even the smallest font is too big. Right-to-left paragraphs are aligned and
+ * indented from the right.
+ */
+
+import { splitGraphemes, splitLineUnits } from "./lineBreak.js";
+import { getBaseDirection, reorderRuns, resolveLevels } from "./bidi.js";
+
+/**
+ * @typedef {import('./markdown').MarkdownBlock} MarkdownBlock
+ * @typedef {import('./markdown').InlineRun} InlineRun
+ * @typedef {import('./markdown').InlineStyle} InlineStyle
+ * @typedef {import('./bidi').TextDirection} TextDirection
+ */
+
+/**
+ * @typedef {Object} MarkdownLayoutOptions
+ * @property {number} width - Width available for the text
+ * @property {string} fontFamily - Font family for body text and headings
+ * @property {string} codeFontFamily - Font family for code
+ * @property {number} lineHeight - Line height, relative to the font size
+ * @property {string} color - Text color
+ * @property {string} mutedColor - Color of blockquote text and list markers
+ * @property {string} ruleColor - Color of rules and blockquote bars
+ */
+
+/**
+ * @typedef {Object} MarkdownFitOptions
+ * @property {number} height - Height available for the text
+ * @property {number} maxFontSize - Body font size to use when the text fits
+ * @property {number} minFontSize - Smallest body font size to shrink to
+ */
+
+/**
+ * @typedef {Object} LayoutFragment
+ * @property {string} text - Text to draw
+ * @property {number} x - Left edge
+ * @property {number} y - Top of the text (for textBaseline "top")
+ * @property {number} width - Measured width of the text
+ * @property {number} size - Font size
+ * @property {string} font - CSS font shorthand
+ * @property {string} color - Text color
+ * @property {boolean} [underline] - Whether to underline the text (links)
+ * @property {boolean} [strike] - Whether to strike the text through
+ * @property {number} [level] - Bidi embedding level; odd levels are drawn right to left
+ */
+
+/**
+ * @typedef {Object} LayoutShape
+ * @property {number} x - Left edge
+ * @property {number} y - Top edge
+ * @property {number} width - Width
+ * @property {number} height - Height
+ * @property {string} color - Fill color
+ */
+
+/**
+ * @typedef {Object} LayoutLine
+ * @property {number} top - Top of the line
+ * @property {number} bottom - Bottom of the line
+ * @property {number} left - Left edge available to the line's text
+ * @property {number} right - Right edge available to the line's text
+ * @property {TextDirection} direction - Direction of the line's paragraph
+ * @property {LayoutFragment[]} fragments - The line's text, in reading order
+ * @property {LayoutFragment} [marker] - A list item's bullet or number
+ * @property {LayoutShape[]} shapes - Bars, rules and other decorations
+ */
+
+/**
+ * @typedef {Object} MarkdownLayout
+ * @property {LayoutLine[]} lines - The laid out lines, top to bottom
+ * @property {number} height - Total height of the text
+ * @property {number} fontSize - Body font size used
+ * @property {boolean} truncated - Whether some text was cut off to fit
+ */
+
+/** Heading sizes relative to body text, by level */
+const HEADING_SCALES = [1.6, 1.35, 1.2, 1.1, 1, 1];
+const BLOCK_SPACING = 0.6; // Space between blocks, relative to the body font size
+const LIST_ITEM_SPACING = 0.25;
+const ELLIPSIS = "…";
+
+/**
+ * @typedef {Object} Segment
+ * @property {string} text - Text without whitespace
+ * @property {InlineStyle} style - Style of the text
+ */
+
+/**
+ * A wrapping unit: a word (one or more differently styled segments that
+ * can't be broken between), a space or a hard line break. Ideographs and
+ * emoji are words of their own, since lines can break between them.
+ * @typedef {{type: "word", segments: Segment[]} | {type: "space", style: InlineStyle} | {type: "break"}} Token
+ */
+
+/**
+ * Splits styled runs into words, spaces and line breaks at the text's line
+ * break opportunities.
+ * @param {InlineRun[]} runs - Styled text
+ * @returns {Token[]} The wrapping units
+ */
+function tokenize(runs) {
+  // Break opportunities depend on the text around them, so find them in the
+  // whole text and map them back onto the runs
+  const text = runs.map((run) => (run.lineBreak ? "\n" : run.text)).join("");
+  /** @type {{start: number, end: number, run: InlineRun}[]} */
+  const ranges = [];
+  let offset = 0;
+  for (const run of runs) {
+    const end = offset + (run.lineBreak ? 1 : run.text.length);
+    ranges.push({ start: offset, end, run });
+    offset = end;
+  }
+
+  /** @param {number} index */
+  const styleAt = (index) =>
+    (ranges.find((range) => index < range.end) || ranges[ranges.length - 1])
+      .run;
+
+  /** @type {Token[]} */
+  const tokens = [];
+  for (const unit of splitLineUnits(text)) {
+    const end = unit.start + unit.text.length;
+    /** @type {Segment[]} */
+    const segments = [];
+    for (const range of ranges) {
+      const from = Math.max(range.start, unit.start);
+      const to = Math.min(range.end, end);
+      if (from < to && !range.run.lineBreak) {
+        segments.push({
+          text: text.slice(from, to),
+          style: range.run,
+        });
+      }
+    }
+    if (segments.length > 0) {
+      tokens.push({ type: "word", segments });
+    }
+    if (unit.space) {
+      tokens.push({ type: "space", style: styleAt(end) });
+    }
+    if (unit.mandatory) {
+      tokens.push({ type: "break" });
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Builds the CSS font shorthand for a piece of styled text.
+ * @param {InlineStyle} style - The text style
+ * @param {number} size - Font size
+ * @param {MarkdownLayoutOptions} options - Layout options
+ * @returns {string} The font
+ */
+function fontFor(style, size, options) {
+  return [
+    style.italic ? "italic" : "",
+    style.bold ? "bold" : "",
+    `${size}px`,
+    style.code ? options.codeFontFamily : options.fontFamily,
+  ]
+    .filter(Boolean)
+    .join(" ");
+}
+
+/**
+ * Lays out markdown at one font size, without limiting the height.
+ * @param {MarkdownBlock[]} blocks - Parsed markdown
+ * @param {CanvasRenderingContext2D} ctx - Context used to measure text
+ * @param {number} fontSize - Body font size
+ * @param {MarkdownLayoutOptions} options - Layout options
+ * @returns {MarkdownLayout} The layout
+ */
+export function layoutMarkdown(blocks, ctx, fontSize, options) {
+  /** @type {LayoutLine[]} */
+  const lines = [];
+  let y = 0;
+
+  blocks.forEach((block, index) => {
+    if (index > 0) {
+      // List items sit closer together than other blocks
+      const tight =
+        block.type === "listItem" && blocks[index - 1].type === "listItem";
+      y += fontSize * (tight ? LIST_ITEM_SPACING : BLOCK_SPACING);
+    }
+
+    const scale =
+      block.type === "heading"
+        ? HEADING_SCALES[(block.level || 1) - 1]
+        : block.type === "code"
+          ? 0.9
+          : 1;
+    const size = Math.round(fontSize * scale * 10) / 10;
+    const lineHeight = size * options.lineHeight;
+    /** @type {InlineStyle} */
+    const blockStyle = block.type === "heading" ? { bold: true } : {};
+    const color =
+      block.type === "blockquote" ? options.mutedColor : options.color;
+
+    if (block.type === "rule") {
+      lines.push({
+        top: y,
+        bottom: y + lineHeight,
+        left: 0,
+        right: options.width,
+        direction: "ltr",
+        fragments: [],
+        shapes: [
+          {
+            x: 0,
+            y: y + lineHeight / 2,
+            width: options.width,
+            height: 1,
+            color: options.ruleColor,
+          },
+        ],
+      });
+      y += lineHeight;
+      return;
+    }
+
+    let indent = 0;
+    if (block.type === "listItem") {
+      indent = ((block.depth || 0) + 1) * fontSize * 1.4;
+    } else if (block.type === "blockquote") {
+      indent = fontSize;
+    }
+
+    const blockLines = wrapTokens(
+      tokenize(block.runs),
+      ctx,
+      options.width - indent,
+      (style) => fontFor({ ...blockStyle, ...style }, size, options),
+    );
+    // Code is always left to right; other blocks follow their first letter
+    const direction =
+      block.type === "code"
+        ? "ltr"
+        : getBaseDirection(block.runs.map((run) => run.text).join(""));
+    const rtl = direction === "rtl";
+
+    blockLines.forEach((segments, lineIndex) => {
+      /** @type {LayoutLine} */
+      const line = {
+        top: y,
+        bottom: y + lineHeight,
+        left: rtl ? 0 : indent,
+        right: rtl ? options.width - indent : options.width,
+        direction,
+        fragments: [],
+        shapes: [],
+      };
+      const textY = y + (lineHeight - size) / 2;
+
+      if (lineIndex === 0 && block.type === "listItem" && block.marker) {
+        const font = fontFor({}, size, options);
+        ctx.font = font;
+        const markerWidth = ctx.measureText(block.marker).width;
+        line.marker = {
+          text: block.marker,
+          x: rtl ? line.right + size * 0.4 : indent - markerWidth - size * 0.4,
+          y: textY,
+          width: markerWidth,
+          size,
+          font,
+          color: options.mutedColor,
+          level: rtl ? 1 : 0,
+        };
+      }
+      if (block.type === "blockquote") {
+        const barWidth = Math.max(2, fontSize * 0.2);
+        line.shapes.push({
+          x: rtl ? options.width - barWidth : 0,
+          y,
+          width: barWidth,
+          height: lineHeight,
+          color: options.ruleColor,
+        });
+      }
+
+      // Split the text where its direction changes, so each fragment runs
+      // one way
+      const levels = resolveLevels(
+        segments.map((segment) => segment.text).join(""),
+        direction,
+      );
+      let offset = 0;
+      for (const segment of segments) {
+        let start = 0;
+        while (start < segment.text.length) {
+          const level = levels[offset + start];
+          let end = start + 1;
+          while (end < segment.text.length && levels[offset + end] === level) {
+            end++;
+          }
+          const text = segment.text.slice(start, end);
+          ctx.font = segment.font;
+          const previous = line.fragments[line.fragments.length - 1];
+          const fragment = {
+            text,
+            x: 0,
+            y: textY,
+            width:
+              end - start === segment.text.length
+                ? segment.width
+                : ctx.measureText(text).width,
+            size,
+            font: segment.font,
+            color,
+            underline: Boolean(segment.style.link),
+            strike: Boolean(segment.style.strike),
+            level,
+          };
+          // Merge with the previous fragment when the style matches, so each
+          // line is drawn with as few fillText calls as possible
+          if (
+            previous &&
+            previous.font === fragment.font &&
+            previous.underline === fragment.underline &&
+            previous.strike === fragment.strike &&
+            previous.color === fragment.color &&
+            previous.level === fragment.level
+          ) {
+            previous.text += fragment.text;
+            previous.width += fragment.width;
+          } else {
+            line.fragments.push(fragment);
+          }
+          start = end;
+        }
+        offset += segment.text.length;
+      }
+      positionFragments(line);
+
+      lines.push(line);
+      y += lineHeight;
+    });
+  });
+
+  return { lines, height: y, fontSize, truncated: false };
+}
+
+/**
+ * Places a line's fragments in visual order, from the left edge for
+ * left-to-right paragraphs and from the right edge for right-to-left ones.
+ * @param {LayoutLine} line - The line
+ */
+function positionFragments(line) {
+  const width = line.fragments.reduce(
+    (total, fragment) => total + fragment.width,
+    0,
+  );
+  let x = line.direction === "rtl" ? line.right - width : line.left;
+  const runs = line.fragments.map((fragment) => ({
+    fragment,
+    level: fragment.level ?? 0,
+  }));
+  for (const { fragment } of reorderRuns(runs)) {
+    fragment.x = x;
+    x += fragment.width;
+  }
+}
+
+/**
+ * @typedef {Object} PlacedSegment
+ * @property {string} text - Text, including any space before it
+ * @property {InlineStyle} style - Style of the text
+ * @property {string} font - CSS font shorthand
+ * @property {number} x - Offset from the start of the line
+ * @property {number} width - Measured width
+ */
+
+/**
+ * Greedily wraps tokens into lines. Words that are wider than a whole line
+ * are broken between grapheme clusters.
+ * @param {Token[]} tokens - The wrapping units
+ * @param {CanvasRenderingContext2D} ctx - Context used to measure text
+ * @param {number} maxWidth - Width of a line
+ * @param {(style: InlineStyle) => string} getFont - Font for a text style
+ * @returns {PlacedSegment[][]} The segments on each line
+ */
+function wrapTokens(tokens, ctx, maxWidth, getFont) {
+  /** @type {PlacedSegment[][]} */
+  const lines = [];
+  /** @type {PlacedSegment[]} */
+  let line = [];
+  let x = 0;
+  /** @type {InlineStyle|null} */
+  let pendingSpace = null;
+
+  /**
+   * @param {string} text - Text to measure
+   * @param {InlineStyle} style - Its style
+   */
+  const measure = (text, style) => {
+    ctx.font = getFont(style);
+    return ctx.measureText(text).width;
+  };
+
+  const newLine = () => {
+    lines.push(line);
+    line = [];
+    x = 0;
+    pendingSpace = null;
+  };
+
+  /**
+   * @param {string} text - Text to place on the current line
+   * @param {InlineStyle} style - Its style
+   * @param {number} width - Its measured width
+   */
+  const place = (text, style, width) => {
+    line.push({ text, style, font: getFont(style), x, width });
+    x += width;
+  };
+
+  for (const token of tokens) {
+    if (token.type === "break") {
+      newLine();
+      continue;
+    }
+    if (token.type === "space") {
+      if (line.length > 0) {
+        pendingSpace = token.style;
+      }
+      continue;
+    }
+
+    const widths = token.segments.map((segment) =>
+      measure(segment.text, segment.style),
+    );
+    const wordWidth = widths.reduce((sum, width) => sum + width, 0);
+    const spaceWidth = pendingSpace ? measure(" ", pendingSpace) : 0;
+
+    if (line.length > 0 && x + spaceWidth + wordWidth > maxWidth) {
+      newLine();
+    }
+    if (pendingSpace) {
+      place(" ", pendingSpace, spaceWidth);
+      pendingSpace = null;
+    }
+
+    if (wordWidth <= maxWidth - x) {
+      token.segments.forEach((segment, index) => {
+        place(segment.text, segment.style, widths[index]);
+      });
+      continue;
+    }
+
+    // Too long for a line of its own: break it wherever it runs out of room
+    for (const segment of token.segments) {
+      let chunk = "";
+      for (const character of splitGraphemes(segment.text)) {
+        const width = measure(chunk + character, segment.style);
+        if (x + width > maxWidth && (chunk || line.length > 0)) {
+          if (chunk) {
+            place(chunk, segment.style, measure(chunk, segment.style));
+          }
+          newLine();
+          chunk = "";
+        }
+        chunk += character;
+      }
+      if (chunk) {
+        place(chunk, segment.style, measure(chunk, segment.style));
+      }
+    }
+  }
+  if (line.length > 0) {
+    lines.push(line);
+  }
+
+  return lines;
+}
+
+/**
+ * Lays out markdown at the largest font size that fits in the given height.
+ * If the text doesn't fit even at the smallest size, the lines that don't
+ * fit are dropped and the last line ends in an ellipsis.
+ * @param {MarkdownBlock[]} blocks - Parsed markdown
+ * @param {CanvasRenderingContext2D} ctx - Context used to measure text
+ * @param {MarkdownLayoutOptions & MarkdownFitOptions} options - Layout options
+ * @returns {MarkdownLayout} The layout
+ */
+export function fitMarkdown(blocks, ctx, options) {
+  for (
+    let fontSize = options.maxFontSize;
+    fontSize > options.minFontSize;
+    fontSize--
+  ) {
+    const layout = layoutMarkdown(blocks, ctx, fontSize, options);
+    if (layout.height <= options.height) {
+      return layout;
+    }
+  }
+
+  const layout = layoutMarkdown(blocks, ctx, options.minFontSize, options);
+  if (layout.height <= options.height) {
+    return layout;
+  }
+
+  const lines = layout.lines.filter((line) => line.bottom <= options.height);
+  // Don't end on a rule, which has nowhere to put the ellipsis
+  while (lines.length > 1 && lines[lines.length - 1].fragments.length === 0) {
+    lines.pop();
+  }
+  const last = lines[lines.length - 1];
+  if (last) {
+    addEllipsis(last, ctx, options);
+  }
+  return {
+    lines,
+    height: last ? last.bottom : 0,
+    fontSize: options.minFontSize,
+    truncated: true,
+  };
+}
+
+/**
+ * Ends a line with an ellipsis, removing text from its end (in reading
+ * order) to make room.
+ * @param {LayoutLine} line - The line to end
+ * @param {CanvasRenderingContext2D} ctx - Context used to measure text
+ * @param {MarkdownLayoutOptions} options - Layout options
+ */
+function addEllipsis(line, ctx, options) {
+  const fragments = line.fragments;
+
+  while (fragments.length > 0) {
+    const last = fragments[fragments.length - 1];
+    const before = fragments
+      .slice(0, -1)
+      .reduce((total, fragment) => total + fragment.width, 0);
+    ctx.font = last.font;
+    const characters = splitGraphemes(last.text);
+    while (
+      characters.length > 0 &&
+      before + ctx.measureText(characters.join("").trimEnd() + ELLIPSIS).width >
+        line.right - line.left
+    ) {
+      characters.pop();
+    }
+    const text = characters.join("").trimEnd();
+    if (text || fragments.length === 1) {
+      last.text = text + ELLIPSIS;
+      last.width = ctx.measureText(last.text).width;
+      positionFragments(line);
+      return;
+    }
+    fragments.pop();
+  }
+
+  // A line without text, such as a rule
+  const size = line.bottom - line.top;
+  const font = fontFor({}, size / options.lineHeight, options);
+  ctx.font = font;
+  fragments.push({
+    text: ELLIPSIS,
+    x: line.left,
+    y: line.top,
+    width: ctx.measureText(ELLIPSIS).width,
+    size: size / options.lineHeight,
+    font,
+    color: options.color,
+  });
+}
+
+/**
+ * Draws a markdown layout.
+ * @param {MarkdownLayout} layout - The layout to draw
+ * @param {CanvasRenderingContext2D} ctx - The canvas context
+ * @param {number} x - Left edge of the text
+ * @param {number} y - Top edge of the text
+ */
+export function drawMarkdownLayout(layout, ctx, x, y) {
+  ctx.save();
+  ctx.textBaseline = "top";
+  // Fragments are placed by their left edge, whichever way they run
+  ctx.textAlign = "left";
+
+  for (const line of layout.lines) {
+    for (const shape of line.shapes) {
+      ctx.fillStyle = shape.color;
+      ctx.fillRect(x + shape.x, y + shape.y, shape.width, shape.height);
+    }
+
+    const fragments = line.marker
+      ? [line.marker, ...line.fragments]
+      : line.fragments;
+    for (const fragment of fragments) {
+      ctx.font = fragment.font;
+      ctx.fillStyle = fragment.color;
+      ctx.direction = (fragment.level ?? 0) % 2 === 1 ? "rtl" : "ltr";
+      ctx.fillText(fragment.text, x + fragment.x, y + fragment.y);
+
+      const thickness = Math.max(1, fragment.size / 14);
+      if (fragment.underline) {
+        ctx.fillRect(
+          x + fragment.x,
+          y + fragment.y + fragment.size * 1.05,
+          fragment.width,
+          thickness,
+        );
+      }
+      if (fragment.strike) {
+        ctx.fillRect(
+          x + fragment.x,
+          y + fragment.y + fragment.size * 0.55,
+          fragment.width,
+          thickness,
+        );
+      }
+    }
+  }
+  ctx.restore();
+}
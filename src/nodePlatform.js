@@ -0,0 +1,99 @@
+import { readFile } from "node:fs/promises";
+import { fileURLToPath } from "node:url";
+
+/**
+ * @typedef {import('./platform').RenderPlatform} RenderPlatform
+ */
+
+/**
+ * Creates a render platform for Node, backed by @napi-rs/canvas.
+ * The canvas package is an optional dependency, so it is loaded on demand.
+ * @returns {Promise<RenderPlatform>} The Node platform
+ * @throws {Error} If @napi-rs/canvas isn't installed
+ */
+export async function createNodePlatform() {
+  /** @type {typeof import('@napi-rs/canvas')} */
+  let canvasModule;
+  try {
+    canvasModule = await import("@napi-rs/canvas");
+  } catch (error) {
+    throw new Error(
+      "Rendering under Node needs the @napi-rs/canvas package. Install it with `npm install @napi-rs/canvas`.",
+    );
+  }
+  const { createCanvas, loadImage, GlobalFonts } = canvasModule;
+
+  // @napi-rs/canvas implements the parts of the canvas and image APIs the
+  // renderer uses, so its objects stand in for the DOM types
+  return {
+    createCanvas(width, height) {
+      return /** @type {HTMLCanvasElement} */ (
+        /** @type {unknown} */ (createCanvas(width, height))
+      );
+    },
+
+    // Like browsers, @napi-rs/canvas draws JPEGs upright from their EXIF orientation
+    async loadImage(src) {
+      try {
+        const image = await loadImage(await readImageSource(src));
+        return /** @type {HTMLImageElement} */ (/** @type {unknown} */ (image));
+      } catch (error) {
+        throw new Error(
+          "Failed to load image" +
+            (error instanceof Error ? `: ${error.message}` : ""),
+        );
+      }
+    },
+
+    async loadImageBytes(src) {
+      const source = await readImageSource(src);
+      return new Uint8Array(
+        typeof source === "string" ? await readFile(source) : source,
+      );
+    },
+
+    logoUrl: new URL("../public/arena.png", import.meta.url).href,
+    fontsUrl: new URL("../public/fonts/", import.meta.url).href,
+
+    // Skia picks weight and style from the font file itself
+    async loadFont(family, source) {
+      const key =
+        typeof source === "string"
+          ? GlobalFonts.registerFromPath(fileURLToPath(source), family)
+          : GlobalFonts.register(Buffer.from(source), family);
+      if (!key) {
+        throw new Error("Not a supported font file");
+      }
+    },
+
+    // Registered fonts can be drawn with straight away
+    async waitForFonts() {},
+  };
+}
+
+/**
+ * Reads an image from a URL, a file URL or a data URL. Anything else is
+ * taken as a file path, for @napi-rs/canvas to read itself.
+ * @param {string} src - Where the image is
+ * @returns {Promise<string|Buffer>} The image file's contents, or its path
+ * @throws {Error} If the image can't be fetched or read
+ */
+async function readImageSource(src) {
+  if (/^https?:\/\//.test(src)) {
+    const response = await fetch(src);
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    return Buffer.from(await response.arrayBuffer());
+  }
+  if (src.startsWith("file:")) {
+    return await readFile(fileURLToPath(src));
+  }
+  const dataUrl = src.match(/^data:[^,]*?(;base64)?,(.*)$/s);
+  if (dataUrl) {
+    return dataUrl[1]
+      ? Buffer.from(dataUrl[2], "base64")
+      : Buffer.from(decodeURIComponent(dataUrl[2]));
+  }
+  return src;
+}
@@ -0,0 +1,366 @@
+import {
+  createPdfDocument,
+  dataURLToBytes,
+  pdfNumber,
+  readJpegInfo,
+} from "./pdfWriter.js";
+
+/**
+ * @typedef {Object} PrintSheetOptions
+ * @property {"a4"|"letter"} paperSize - Paper size of the PDF pages
+ * @property {number} cardWidth - Trimmed card width in millimetres (height follows the card's aspect ratio)
+ * @property {number} margin - Page margin in millimetres
+ * @property {number} gutter - Space between cards in millimetres
+ * @property {number} bleed - How far each card extends past its trim line, in millimetres; its edge pixels are continued into it
+ * @property {boolean} cropMarks - Whether to draw crop marks at the trim lines
+ * @property {"long"|"short"} duplex - Which edge the printer flips sheets on, for double-sided cards
+ */
+
+/**
+ * @typedef {Object} SheetLayout
+ * @property {number} pageWidth - Page width in millimetres
+ * @property {number} pageHeight - Page height in millimetres
+ * @property {number} columns - Cards per row
+ * @property {number} rows - Cards per column
+ * @property {number} originX - Left trim edge of the first column, in millimetres
+ * @property {number} originY - Top trim edge of the first row, in millimetres
+ * @property {number} pitchX - Distance between the left edges of neighbouring cards
+ * @property {number} pitchY - Distance between the top edges of neighbouring cards
+ */
+
+/** Paper sizes in millimetres, portrait orientation */
+export const PAPER_SIZES = {
+  a4: { width: 210, height: 297 },
+  letter: { width: 215.9, height: 279.4 },
+};
+
+/** @type {PrintSheetOptions} */
+export const DEFAULT_PRINT_SHEET_OPTIONS = {
+  paperSize: "a4",
+  cardWidth: 127, // 5in, which keeps the 800px card at 160 DPI
+  margin: 10,
+  gutter: 6,
+  bleed: 0,
+  cropMarks: true,
+  duplex: "long",
+};
+
+const MM_TO_PT = 72 / 25.4;
+const CROP_MARK_LENGTH = 5; // mm
+const CROP_MARK_OFFSET = 2; // mm, gap between the bleed edge and a mark
+const CROP_MARK_WIDTH = 0.25; // pt
+
+/**
+ * Works out how many cards fit on a page and where the grid starts.
+ * Picks portrait or landscape, whichever fits more cards.
+ * @param {number} cardWidth - Trimmed card width in millimetres
+ * @param {number} cardHeight - Trimmed card height in millimetres
+ * @param {PrintSheetOptions} options - The sheet options
+ * @returns {SheetLayout} The grid layout
+ * @throws {Error} If a card doesn't fit on the page
+ */
+export function computeSheetLayout(cardWidth, cardHeight, options) {
+  const paper = PAPER_SIZES[options.paperSize];
+  if (!paper) {
+    throw new Error(`Unknown paper size: ${options.paperSize}`);
+  }
+
+  // Neighbouring bleeds must not overlap, and crop marks need room in the margin
+  const gap = Math.max(options.gutter, options.bleed * 2);
+  const markSpace = options.cropMarks
+    ? options.bleed + CROP_MARK_OFFSET + CROP_MARK_LENGTH
+    : options.bleed;
+  const inset = Math.max(options.margin, markSpace);
+
+  /**
+   * @param {number} pageWidth
+   * @param {number} pageHeight
+   * @returns {SheetLayout}
+   */
+  const fit = (pageWidth, pageHeight) => {
+    const columns = Math.floor(
+      (pageWidth - inset * 2 + gap) / (cardWidth + gap),
+    );
+    const rows = Math.floor(
+      (pageHeight - inset * 2 + gap) / (cardHeight + gap),
+    );
+    const gridWidth = columns * cardWidth + (columns - 1) * gap;
+    const gridHeight = rows * cardHeight + (rows - 1) * gap;
+    return {
+      pageWidth,
+      pageHeight,
+      columns,
+      rows,
+      originX: (pageWidth - gridWidth) / 2,
+      originY: (pageHeight - gridHeight) / 2,
+      pitchX: cardWidth + gap,
+      pitchY: cardHeight + gap,
+    };
+  };
+
+  const portrait = fit(paper.width, paper.height);
+  const landscape = fit(paper.height, paper.width);
+  const layout =
+    landscape.columns * landscape.rows > portrait.columns * portrait.rows
+      ? landscape
+      : portrait;
+
+  if (layout.columns < 1 || layout.rows < 1) {
+    throw new Error("Card is too large for the page with these margins");
+  }
+  return layout;
+}
+
+/**
+ * Builds the content stream for the crop marks of a page. Marks sit in the
+ * page margin, one pair per trim line, so they never overlap a card.
+ * @param {SheetLayout} layout - The grid layout
+ * @param {number} cardWidth - Trimmed card width in millimetres
+ * @param {number} cardHeight - Trimmed card height in millimetres
+ * @param {PrintSheetOptions} options - The sheet options
+ * @returns {string} PDF drawing operators for the marks
+ */
+function cropMarkOperators(layout, cardWidth, cardHeight, options) {
+  /** @type {string[]} */
+  const ops = [`${CROP_MARK_WIDTH} w 0 G`];
+
+  /**
+   * Adds a line, converting from top-left millimetres to PDF points
+   * @param {number} x1
+   * @param {number} y1
+   * @param {number} x2
+   * @param {number} y2
+   */
+  const line = (x1, y1, x2, y2) => {
+    const toX = (/** @type {number} */ x) => pdfNumber(x * MM_TO_PT);
+    const toY = (/** @type {number} */ y) =>
+      pdfNumber((layout.pageHeight - y) * MM_TO_PT);
+    ops.push(`${toX(x1)} ${toY(y1)} m ${toX(x2)} ${toY(y2)} l S`);
+  };
+
+  const start = options.bleed + CROP_MARK_OFFSET;
+  const end = start + CROP_MARK_LENGTH;
+  const gridTop = layout.originY;
+  const gridBottom =
+    layout.originY + (layout.rows - 1) * layout.pitchY + cardHeight;
+  const gridLeft = layout.originX;
+  const gridRight =
+    layout.originX + (layout.columns - 1) * layout.pitchX + cardWidth;
+
+  for (let column = 0; column < layout.columns; column++) {
+    const left = layout.originX + column * layout.pitchX;
+    for (const x of [left, left + cardWidth]) {
+      line(x, gridTop - start, x, gridTop - end);
+      line(x, gridBottom + start, x, gridBottom + end);
+    }
+  }
+
+  for (let row = 0; row < layout.rows; row++) {
+    const top = layout.originY + row * layout.pitchY;
+    for (const y of [top, top + cardHeight]) {
+      line(gridLeft - start, y, gridLeft - end, y);
+      line(gridRight + start, y, gridRight + end, y);
+    }
+  }
+
+  return ops.join("\n");
+}
+
+/**
+ * Works out which way the backs of a sheet are mirrored so each back lands
+ * behind its front. Flipping a sheet over a vertical edge swaps left and
+ * right; flipping it over a horizontal edge swaps top and bottom.
+ * @param {SheetLayout} layout - The grid layout
+ * @param {"long"|"short"} duplex - The edge the printer flips sheets on
+ * @returns {{mirrorX: boolean, mirrorY: boolean}} Which axes the backs are mirrored in
+ */
+function getDuplexMirror(layout, duplex) {
+  const landscape = layout.pageWidth > layout.pageHeight;
+  const verticalEdge = (duplex === "long") !== landscape;
+  return { mirrorX: verticalEdge, mirrorY: !verticalEdge };
+}
+
+/**
+ * Builds the operators that draw one card. The card is drawn at its trim
+ * size, undistorted. A bleed is filled by continuing the card's outermost
+ * pixels past the trim line: each edge strip shows the image scaled so its
+ * first or last row or column of pixels covers the strip.
+ * @param {string} name - The card's image name
+ * @param {{width: number, height: number}} image - The image's size in pixels
+ * @param {{x: number, top: number, width: number, height: number}} trim - The trim box, in top-left millimetres
+ * @param {number} bleed - Bleed in millimetres
+ * @param {number} pageHeight - Page height in millimetres
+ * @returns {string} PDF drawing operators for the card
+ */
+function cardOperators(name, image, trim, bleed, pageHeight) {
+  /**
+   * Works out one axis of an edge strip and the image drawn into it.
+   * @param {-1|0|1} side - Before the trim box, across it or after it
+   * @param {number} start - Trim box start
+   * @param {number} size - Trim box size
+   * @param {number} pixels - Image size in pixels along the axis
+   * @returns {{clip: number, clipSize: number, at: number, length: number}}
+   */
+  const axis = (side, start, size, pixels) => {
+    if (side === 0) {
+      return { clip: start, clipSize: size, at: start, length: size };
+    }
+    // One pixel covers the whole bleed
+    const length = pixels * bleed;
+    return side < 0
+      ? { clip: start - bleed, clipSize: bleed, at: start - bleed, length }
+      : {
+          clip: start + size,
+          clipSize: bleed,
+          at: start + size + bleed - length,
+          length,
+        };
+  };
+  const pt = (/** @type {number} */ mm) => pdfNumber(mm * MM_TO_PT);
+
+  /** @type {string[]} */
+  const ops = [];
+  /** @type {(-1|0|1)[]} */
+  const sides = bleed > 0 ? [-1, 0, 1] : [0];
+  for (const sideY of sides) {
+    for (const sideX of sides) {
+      const h = axis(sideX, trim.x, trim.width, image.width);
+      const v = axis(sideY, trim.top, trim.height, image.height);
+      ops.push(
+        `q ${pt(h.clip)} ${pt(pageHeight - v.clip - v.clipSize)} ` +
+          `${pt(h.clipSize)} ${pt(v.clipSize)} re W n ` +
+          `${pt(h.length)} 0 0 ${pt(v.length)} ` +
+          `${pt(h.at)} ${pt(pageHeight - v.at - v.length)} cm /${name} Do Q`,
+      );
+    }
+  }
+  return ops.join("\n");
+}
+
+/**
+ * Lays out card images on print sheets at their physical size.
+ * @param {string[]} imageDataURLs - JPEG data URLs of the cards, all the same size
+ * @param {Partial<PrintSheetOptions>} [options] - Overrides for the default sheet options
+ * @returns {Uint8Array} The PDF file bytes
+ * @throws {Error} If there are no cards or they don't fit on the page
+ */
+export function createCardSheetPdf(imageDataURLs, options = {}) {
+  return buildCardSheetPdf(imageDataURLs, null, options);
+}
+
+/**
+ * Lays out double-sided cards for duplex printing: each sheet of fronts is
+ * followed by a sheet of backs, mirrored for the duplex edge so the faces
+ * line up after cutting. Print with the same duplex setting.
+ * @param {string[]} frontDataURLs - JPEG data URLs of the card fronts, all the same size
+ * @param {string[]} backDataURLs - JPEG data URLs of the card backs, in the same order
+ * @param {Partial<PrintSheetOptions>} [options] - Overrides for the default sheet options
+ * @returns {Uint8Array} The PDF file bytes
+ * @throws {Error} If there are no cards, a card has no back, or they don't fit on the page
+ */
+export function createDoubleSidedSheetPdf(
+  frontDataURLs,
+  backDataURLs,
+  options = {},
+) {
+  return buildCardSheetPdf(frontDataURLs, backDataURLs, options);
+}
+
+/**
+ * @param {string[]} imageDataURLs - JPEG data URLs of the cards (the fronts, for double-sided cards)
+ * @param {string[]|null} backDataURLs - JPEG data URLs of the backs, or null for one-sided cards
+ * @param {Partial<PrintSheetOptions>} options - Overrides for the default sheet options
+ * @returns {Uint8Array} The PDF file bytes
+ * @throws {Error} If there are no cards or they don't fit on the page
+ */
+function buildCardSheetPdf(imageDataURLs, backDataURLs, options) {
+  try {
+    /** @type {PrintSheetOptions} */
+    const settings = { ...DEFAULT_PRINT_SHEET_OPTIONS, ...options };
+
+    if (imageDataURLs.length === 0) {
+      throw new Error("No cards to export");
+    }
+    if (backDataURLs && backDataURLs.length !== imageDataURLs.length) {
+      throw new Error("Every card needs a back");
+    }
+
+    const pdf = createPdfDocument();
+    /**
+     * @param {string} url - A card's JPEG data URL
+     * @returns {{name: string, width: number, height: number}} The added image and its size in pixels
+     */
+    const addCard = (url) => {
+      const jpeg = dataURLToBytes(url);
+      const { width, height } = readJpegInfo(jpeg);
+      return { name: pdf.addJpeg(jpeg), width, height };
+    };
+    const images = imageDataURLs.map(addCard);
+    const backs = backDataURLs?.map(addCard);
+
+    // Card height follows the aspect ratio of the first card
+    const { width, height } = images[0];
+    const cardWidth = settings.cardWidth;
+    const cardHeight = (cardWidth * height) / width;
+    const layout = computeSheetLayout(cardWidth, cardHeight, settings);
+    const perPage = layout.columns * layout.rows;
+    const { mirrorX, mirrorY } = getDuplexMirror(layout, settings.duplex);
+
+    /**
+     * Adds a page of cards.
+     * @param {{name: string, width: number, height: number}[]} cards - The cards' images
+     * @param {boolean} back - Whether these are backs, placed mirrored
+     */
+    const addSheet = (cards, back) => {
+      /** @type {string[]} */
+      const ops = [];
+
+      cards.forEach((card, index) => {
+        const column = index % layout.columns;
+        const row = Math.floor(index / layout.columns);
+        let x = layout.originX + column * layout.pitchX;
+        let top = layout.originY + row * layout.pitchY;
+        if (back && mirrorX) {
+          x = layout.pageWidth - x - cardWidth;
+        }
+        if (back && mirrorY) {
+          top = layout.pageHeight - top - cardHeight;
+        }
+        ops.push(
+          cardOperators(
+            card.name,
+            card,
+            { x, top, width: cardWidth, height: cardHeight },
+            settings.bleed,
+            layout.pageHeight,
+          ),
+        );
+      });
+
+      // Cards are cut from the front, so backs don't need marks
+      if (settings.cropMarks && !back) {
+        ops.push(cropMarkOperators(layout, cardWidth, cardHeight, settings));
+      }
+
+      pdf.addPage(
+        layout.pageWidth * MM_TO_PT,
+        layout.pageHeight * MM_TO_PT,
+        ops.join("\n"),
+      );
+    };
+
+    for (let first = 0; first < images.length; first += perPage) {
+      addSheet(images.slice(first, first + perPage), false);
+      if (backs) {
+        addSheet(backs.slice(first, first + perPage), true);
+      }
+    }
+
+    return pdf.toBytes();
+  } catch (error) {
+    if (error instanceof Error) {
+      throw new Error(`Failed to create PDF: ${error.message}`);
+    }
+    throw new Error("Failed to create PDF: Unknown error");
+  }
+}
@@ -0,0 +1,218 @@
+/**
+ * A minimal PDF writer: enough to place JPEG images and draw lines on pages,
+ * with no dependencies so exports work offline.
+ */
+
+/**
+ * @typedef {Object} JpegInfo
+ * @property {number} width - Image width in pixels
+ * @property {number} height - Image height in pixels
+ * @property {number} components - Number of color components (1 gray, 3 RGB, 4 CMYK)
+ */
+
+/**
+ * @typedef {Object} PdfDocument
+ * @property {(jpeg: Uint8Array) => string} addJpeg - Registers a JPEG image and returns its resource name
+ * @property {(width: number, height: number, content: string) => void} addPage - Adds a page (size in points) with a content stream
+ * @property {() => Uint8Array} toBytes - Serializes the document
+ */
+
+const encoder = new TextEncoder();
+
+/**
+ * Reads the dimensions and color components from a JPEG's frame header.
+ * @param {Uint8Array} bytes - The JPEG file bytes
+ * @returns {JpegInfo} The JPEG's dimensions
+ * @throws {Error} If the data is not a JPEG
+ */
+export function readJpegInfo(bytes) {
+  if (bytes[0] !== 0xff || bytes[1] !== 0xd8) {
+    throw new Error("Image is not a JPEG");
+  }
+
+  let offset = 2;
+  while (offset + 4 < bytes.length) {
+    if (bytes[offset] !== 0xff) {
+      offset++;
+      continue;
+    }
+    const marker = bytes[offset + 1];
+    const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+
+    // SOF0-SOF15, excluding DHT (C4), JPG (C8) and DAC (CC)
+    if (
+      marker >= 0xc0 &&
+      marker <= 0xcf &&
+      marker !== 0xc4 &&
+      marker !== 0xc8 &&
+      marker !== 0xcc
+    ) {
+      return {
+        height: (bytes[offset + 5] << 8) | bytes[offset + 6],
+        width: (bytes[offset + 7] << 8) | bytes[offset + 8],
+        components: bytes[offset + 9],
+      };
+    }
+    offset += 2 + length;
+  }
+
+  throw new Error("Couldn't find JPEG frame header");
+}
+
+/**
+ * Decodes a base64 data URL into bytes.
+ * @param {string} dataURL - The data URL to decode
+ * @returns {Uint8Array} The decoded bytes
+ */
+export function dataURLToBytes(dataURL) {
+  const binary = atob(dataURL.slice(dataURL.indexOf(",") + 1));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Formats a number for a PDF content stream.
+ * @param {number} value - The number to format
+ * @returns {string} The number with at most 3 decimals
+ */
+export function pdfNumber(value) {
+  return String(Math.round(value * 1000) / 1000);
+}
+
+/**
+ * Creates an empty PDF document.
+ * @returns {PdfDocument} The document
+ */
+export function createPdfDocument() {
+  /** @type {(string|Uint8Array)[][]} Object bodies, index + 1 is the object number */
+  const objects = [];
+  /** @type {number[]} */
+  const pageIds = [];
+  /** @type {Map<string, number>} Image resource name to object number */
+  const images = new Map();
+
+  // Reserve the catalog and page tree objects
+  const catalogId = reserveObject();
+  const pagesId = reserveObject();
+
+  /**
+   * @returns {number} The new object's number
+   */
+  function reserveObject() {
+    objects.push([]);
+    return objects.length;
+  }
+
+  /**
+   * @param {number} id - Object number
+   * @param {(string|Uint8Array)[]} parts - Object body
+   */
+  function setObject(id, parts) {
+    objects[id - 1] = parts;
+  }
+
+  /**
+   * @param {(string|Uint8Array)[]} parts - Object body
+   * @returns {number} The new object's number
+   */
+  function addObject(parts) {
+    const id = reserveObject();
+    setObject(id, parts);
+    return id;
+  }
+
+  return {
+    addJpeg(jpeg) {
+      const info = readJpegInfo(jpeg);
+      const colorSpace =
+        info.components === 1
+          ? "/DeviceGray"
+          : info.components === 4
+            ? "/DeviceCMYK"
+            : "/DeviceRGB";
+      const id = addObject([
+        `<< /Type /XObject /Subtype /Image /Width ${info.width} /Height ${info.height} ` +
+          `/ColorSpace ${colorSpace} /BitsPerComponent 8 /Filter /DCTDecode ` +
+          `/Length ${jpeg.length} >>\nstream\n`,
+        jpeg,
+        "\nendstream",
+      ]);
+      const name = `Im${images.size + 1}`;
+      images.set(name, id);
+      return name;
+    },
+
+    addPage(width, height, content) {
+      const contentBytes = encoder.encode(content);
+      const contentId = addObject([
+        `<< /Length ${contentBytes.length} >>\nstream\n`,
+        contentBytes,
+        "\nendstream",
+      ]);
+      const xObjects = [...images]
+        .map(([name, id]) => `/${name} ${id} 0 R`)
+        .join(" ");
+      pageIds.push(
+        addObject([
+          `<< /Type /Page /Parent ${pagesId} 0 R ` +
+            `/MediaBox [0 0 ${pdfNumber(width)} ${pdfNumber(height)}] ` +
+            `/Resources << /XObject << ${xObjects} >> >> ` +
+            `/Contents ${contentId} 0 R >>`,
+        ]),
+      );
+    },
+
+    toBytes() {
+      setObject(catalogId, [`<< /Type /Catalog /Pages ${pagesId} 0 R >>`]);
+      setObject(pagesId, [
+        `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(" ")}] ` +
+          `/Count ${pageIds.length} >>`,
+      ]);
+
+      /** @type {Uint8Array[]} */
+      const chunks = [];
+      let length = 0;
+      /**
+       * @param {string|Uint8Array} part
+       */
+      const write = (part) => {
+        const bytes = typeof part === "string" ? encoder.encode(part) : part;
+        chunks.push(bytes);
+        length += bytes.length;
+      };
+
+      // The binary comment marks the file as containing binary data
+      write("%PDF-1.4\n%\xe2\xe3\xcf\xd3\n");
+
+      /** @type {number[]} */
+      const offsets = [];
+      objects.forEach((parts, index) => {
+        offsets.push(length);
+        write(`${index + 1} 0 obj\n`);
+        parts.forEach(write);
+        write("\nendobj\n");
+      });
+
+      const xrefOffset = length;
+      write(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`);
+      offsets.forEach((offset) => {
+        write(`${String(offset).padStart(10, "0")} 00000 n \n`);
+      });
+      write(
+        `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>\n` +
+          `startxref\n${xrefOffset}\n%%EOF\n`,
+      );
+
+      const output = new Uint8Array(length);
+      let position = 0;
+      for (const chunk of chunks) {
+        output.set(chunk, position);
+        position += chunk.length;
+      }
+      return output;
+    },
+  };
+}
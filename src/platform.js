@@ -0,0 +1,148 @@
+/**
+ * The environment-specific pieces the renderer needs: canvases, image and
+ * font loading and where the logo and bundled fonts live. Browsers use the DOM; the CLI swaps in a
+ * Node implementation with setRenderPlatform.
+ */
+
+import { fetchImageBlob } from "./cache.js";
+
+/**
+ * @typedef {Object} RenderPlatform
+ * @property {(width: number, height: number) => HTMLCanvasElement} createCanvas - Creates a canvas of the given size
+ * @property {(src: string) => Promise<HTMLImageElement>} loadImage - Loads an image that can be read back from a canvas, upright whatever its EXIF orientation
+ * @property {(src: string) => Promise<Uint8Array>} loadImageBytes - Loads an image file's contents, e.g. to decode it by hand
+ * @property {string} logoUrl - Location of the Are.na logo image
+ * @property {string} fontsUrl - Location of the bundled fonts directory, ending in /
+ * @property {(family: string, source: string|ArrayBuffer, descriptors: FontFaceDescriptors) => Promise<void>} loadFont - Registers a font file (a URL or its contents) under a family name
+ * @property {(fonts: string[]) => Promise<void>} waitForFonts - Waits until fonts (as CSS font shorthands) are ready to draw with
+ */
+
+/** @type {RenderPlatform} */
+const browserPlatform = {
+  createCanvas(width, height) {
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+  },
+
+  async loadImage(src) {
+    if (!/^https?:\/\//.test(src)) {
+      return await loadImageElement(src);
+    }
+
+    // Remote images go through the offline cache
+    let blob;
+    try {
+      blob = await fetchImageBlob(src);
+    } catch (error) {
+      // Not fetchable (and not cached), so let the image element try
+      return await loadImageElement(src);
+    }
+    const objectUrl = URL.createObjectURL(blob);
+    try {
+      return await loadImageElement(objectUrl);
+    } finally {
+      URL.revokeObjectURL(objectUrl);
+    }
+  },
+
+  async loadImageBytes(src) {
+    const blob = /^https?:\/\//.test(src)
+      ? await fetchImageBlob(src)
+      : await (await fetch(src)).blob();
+    return new Uint8Array(await blob.arrayBuffer());
+  },
+
+  logoUrl: "/arena.png",
+  fontsUrl: "/fonts/",
+
+  async loadFont(family, source, descriptors) {
+    const font = new FontFace(
+      family,
+      typeof source === "string" ? `url(${JSON.stringify(source)})` : source,
+      descriptors,
+    );
+    await font.load();
+    document.fonts.add(font);
+  },
+
+  async waitForFonts(fonts) {
+    // A font that isn't available loads nothing, and the canvas falls back
+    await Promise.all(fonts.map((font) => document.fonts.load(font)));
+    await document.fonts.ready;
+  },
+};
+
+/**
+ * Loads an image element that can be read back from a canvas. Browsers draw
+ * image elements upright (CSS image-orientation defaults to from-image), so
+ * EXIF orientation needs no handling here.
+ * @param {string} src - The image URL
+ * @returns {Promise<HTMLImageElement>} The loaded image
+ * @throws {Error} If the image can't be loaded, saying so when its server doesn't allow CORS
+ */
+function loadImageElement(src) {
+  const img = new Image();
+  img.crossOrigin = "Anonymous";
+
+  return new Promise((resolve, reject) => {
+    img.onload = () => resolve(img);
+    img.onerror = async () => {
+      // An image that loads without CORS is there, but would taint the canvas
+      reject(
+        new Error(
+          (await canLoadWithoutCors(src))
+            ? `Failed to load image: ${getHost(src)} doesn't allow other sites to use its images (CORS)`
+            : "Failed to load image",
+        ),
+      );
+    };
+    img.src = src;
+  });
+}
+
+/**
+ * @param {string} src - An image URL
+ * @returns {Promise<boolean>} Whether the image loads when it isn't going to be read back
+ */
+function canLoadWithoutCors(src) {
+  if (!/^https?:\/\//.test(src)) {
+    return Promise.resolve(false);
+  }
+  const img = new Image();
+  return new Promise((resolve) => {
+    img.onload = () => resolve(true);
+    img.onerror = () => resolve(false);
+    img.src = src;
+  });
+}
+
+/**
+ * @param {string} url - A URL
+ * @returns {string} Its host, or the URL if it can't be parsed
+ */
+function getHost(url) {
+  try {
+    return new URL(url).host;
+  } catch (error) {
+    return url;
+  }
+}
+
+let platform = browserPlatform;
+
+/**
+ * @returns {RenderPlatform} The platform the renderer currently uses
+ */
+export function getRenderPlatform() {
+  return platform;
+}
+
+/**
+ * Replaces the platform the renderer uses, e.g. to render under Node.
+ * @param {RenderPlatform} renderPlatform - The platform to use
+ */
+export function setRenderPlatform(renderPlatform) {
+  platform = renderPlatform;
+}
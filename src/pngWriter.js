@@ -0,0 +1,94 @@
+import { crc32 } from "./zipWriter.js";
+
+/**
+ * A minimal writer for 1-bit black and white PNGs, which canvases can't
+ * produce: toDataURL always writes 8-bit color. One bit per pixel keeps
+ * monochrome cards small and tells print drivers not to halftone them.
+ */
+
+const SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+const BIT_DEPTH = 1;
+const GRAYSCALE = 0; // PNG color type
+const DPI_PER_METER = 39.3701; // Inches per meter, for the pHYs chunk
+
+const encoder = new TextEncoder();
+
+/**
+ * Builds a PNG chunk: length, type, data and checksum.
+ * @param {string} type - Four-letter chunk type
+ * @param {Uint8Array} data - Chunk contents
+ * @returns {Uint8Array} The chunk
+ */
+function chunk(type, data) {
+  const bytes = new Uint8Array(12 + data.length);
+  const view = new DataView(bytes.buffer);
+  view.setUint32(0, data.length);
+  bytes.set(encoder.encode(type), 4);
+  bytes.set(data, 8);
+  view.setUint32(8 + data.length, crc32(bytes.subarray(4, 8 + data.length)));
+  return bytes;
+}
+
+/**
+ * Compresses data in the zlib format PNG image data uses.
+ * @param {Uint8Array} data - The data
+ * @returns {Promise<Uint8Array>} The compressed data
+ */
+async function deflate(data) {
+  const stream = new Blob([/** @type {BlobPart} */ (data)])
+    .stream()
+    .pipeThrough(new CompressionStream("deflate"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Encodes black and white pixels as a 1-bit grayscale PNG.
+ * @param {Uint8ClampedArray} pixels - RGBA pixels; those with a red value under 128 are black
+ * @param {number} width - Width of the image in pixels
+ * @param {number} height - Height of the image in pixels
+ * @param {number} [dpi] - Resolution to record in the file, so it prints at its physical size
+ * @returns {Promise<Uint8Array>} The PNG file
+ */
+export async function encodeBilevelPng(pixels, width, height, dpi) {
+  // Each row starts with a filter type byte (0, none), then 8 pixels per byte
+  const rowLength = 1 + Math.ceil(width / 8);
+  const raw = new Uint8Array(rowLength * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      // Set bits are white
+      if (pixels[(y * width + x) * 4] >= 128) {
+        raw[y * rowLength + 1 + (x >> 3)] |= 0x80 >> (x & 7);
+      }
+    }
+  }
+
+  const header = new Uint8Array(13);
+  const headerView = new DataView(header.buffer);
+  headerView.setUint32(0, width);
+  headerView.setUint32(4, height);
+  header[8] = BIT_DEPTH;
+  header[9] = GRAYSCALE;
+
+  const chunks = [chunk("IHDR", header)];
+  if (dpi) {
+    const physical = new Uint8Array(9);
+    const physicalView = new DataView(physical.buffer);
+    const perMeter = Math.round(dpi * DPI_PER_METER);
+    physicalView.setUint32(0, perMeter);
+    physicalView.setUint32(4, perMeter);
+    physical[8] = 1; // Units are meters
+    chunks.push(chunk("pHYs", physical));
+  }
+  chunks.push(chunk("IDAT", await deflate(raw)));
+  chunks.push(chunk("IEND", new Uint8Array(0)));
+
+  const size = chunks.reduce((total, part) => total + part.length, 0);
+  const png = new Uint8Array(SIGNATURE.length + size);
+  png.set(SIGNATURE, 0);
+  let offset = SIGNATURE.length;
+  for (const part of chunks) {
+    png.set(part, offset);
+    offset += part.length;
+  }
+  return png;
+}
@@ -0,0 +1,989 @@
+/**
+ * A QR code reader for checking rendered cards. It finds the three finder
+ * patterns, samples the module grid, corrects errors with Reed-Solomon and
+ * decodes numeric, alphanumeric and byte segments. Cards are rendered flat,
+ * so the grid is mapped with an affine transform and no perspective
+ * correction.
+ */
+
+/**
+ * Pixel data in the shape of the canvas ImageData.
+ * @typedef {Object} QRImage
+ * @property {Uint8ClampedArray} data - RGBA pixels, row by row
+ * @property {number} width - Width in pixels
+ * @property {number} height - Height in pixels
+ */
+
+/**
+ * @typedef {Object} QRDecodeResult
+ * @property {string} text - The decoded data
+ * @property {number} version - Symbol version (1-40)
+ * @property {"L"|"M"|"Q"|"H"} errorCorrectionLevel - Error correction level
+ * @property {number} correctedErrors - Codewords that had to be corrected
+ * @property {number} contrast - Contrast ratio between the dark and light modules
+ */
+
+/**
+ * @typedef {Object} FinderPattern
+ * @property {number} x - Center, in pixels
+ * @property {number} y - Center, in pixels
+ * @property {number} moduleSize - Module size, in pixels
+ * @property {number} count - How many scan lines found it
+ */
+
+/**
+ * @typedef {Object} Point
+ * @property {number} x
+ * @property {number} y
+ */
+
+// Error correction blocks and codewords per version, in L, M, Q, H order
+const EC_BLOCKS = [
+  1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 2, 2, 1, 2, 2, 4, 1, 2, 4, 4, 2, 4, 4, 4, 2, 4,
+  6, 5, 2, 4, 6, 6, 2, 5, 8, 8, 4, 5, 8, 8, 4, 5, 8, 11, 4, 8, 10, 11, 4, 9, 12,
+  16, 4, 9, 16, 16, 6, 10, 12, 18, 6, 10, 17, 16, 6, 11, 16, 19, 6, 13, 18, 21,
+  7, 14, 21, 25, 8, 16, 20, 25, 8, 17, 23, 25, 9, 17, 23, 34, 9, 18, 25, 30, 10,
+  20, 27, 32, 12, 21, 29, 35, 12, 23, 34, 37, 12, 25, 34, 40, 13, 26, 35, 42,
+  14, 28, 38, 45, 15, 29, 40, 48, 16, 31, 43, 51, 17, 33, 45, 54, 18, 35, 48,
+  57, 19, 37, 51, 60, 19, 38, 53, 63, 20, 40, 56, 66, 21, 43, 59, 70, 22, 45,
+  62, 74, 24, 47, 65, 77, 25, 49, 68, 81,
+];
+const EC_CODEWORDS = [
+  7, 10, 13, 17, 10, 16, 22, 28, 15, 26, 36, 44, 20, 36, 52, 64, 26, 48, 72, 88,
+  36, 64, 96, 112, 40, 72, 108, 130, 48, 88, 132, 156, 60, 110, 160, 192, 72,
+  130, 192, 224, 80, 150, 224, 264, 96, 176, 260, 308, 104, 198, 288, 352, 120,
+  216, 320, 384, 132, 240, 360, 432, 144, 280, 408, 480, 168, 308, 448, 532,
+  180, 338, 504, 588, 196, 364, 546, 650, 224, 416, 600, 700, 224, 442, 644,
+  750, 252, 476, 690, 816, 270, 504, 750, 900, 300, 560, 810, 960, 312, 588,
+  870, 1050, 336, 644, 952, 1110, 360, 700, 1020, 1200, 390, 728, 1050, 1260,
+  420, 784, 1140, 1350, 450, 812, 1200, 1440, 480, 868, 1290, 1530, 510, 924,
+  1350, 1620, 540, 980, 1440, 1710, 570, 1036, 1530, 1800, 570, 1064, 1590,
+  1890, 600, 1120, 1680, 1980, 630, 1204, 1770, 2100, 660, 1260, 1860, 2220,
+  720, 1316, 1950, 2310, 750, 1372, 2040, 2430,
+];
+
+/** Error correction levels in the order of their format bits, 00 to 11 */
+/** @type {QRDecodeResult["errorCorrectionLevel"][]} */
+const FORMAT_LEVELS = ["M", "L", "H", "Q"];
+const LEVEL_INDEX = { L: 0, M: 1, Q: 2, H: 3 };
+
+const ALPHANUMERIC_CHARS = "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:";
+
+// Bounds on the finder pattern search, so busy images can't stall a check.
+// A finder pattern is at least 7 of a code's 185 modules (with its quiet
+// zone), so it still crosses about 15 of the scanned rows.
+const MAX_SCAN_ROWS = 400;
+const MAX_FINDER_CANDIDATES = 32;
+
+/**
+ * Decodes the QR code in an image.
+ * @param {QRImage} image - The image to read
+ * @returns {QRDecodeResult|null} The decoded code, or null if none could be read
+ */
+export function decodeQR(image) {
+  const { bits, luminance } = binarize(image);
+  const finders = findFinderPatterns(bits, image.width, image.height);
+  if (!finders) {
+    return null;
+  }
+
+  const [topLeft, topRight, bottomLeft] = finders;
+  const moduleSize =
+    (topLeft.moduleSize + topRight.moduleSize + bottomLeft.moduleSize) / 3;
+  const estimate =
+    Math.round(
+      (distance(topLeft, topRight) + distance(topLeft, bottomLeft)) /
+        2 /
+        moduleSize,
+    ) + 7;
+
+  // The estimate can be off by a module or two; try the nearest valid sizes
+  const nearest = Math.round((estimate - 17) / 4) * 4 + 17;
+  for (const size of [nearest, nearest - 4, nearest + 4]) {
+    if (size < 21 || size > 177) {
+      continue;
+    }
+    const grid = sampleGrid(bits, image.width, finders, size);
+    const result = decodeGrid(grid.modules, size);
+    if (result) {
+      return {
+        ...result,
+        contrast: measureContrast(luminance, grid.samples),
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Converts an image to dark/light pixels, splitting at the midpoint between
+ * its darkest and lightest pixels. Transparent pixels count as white.
+ * @param {QRImage} image - The image to convert
+ * @returns {{bits: Uint8Array, luminance: Float64Array}} 1 for each dark pixel, and each pixel's relative luminance
+ */
+function binarize(image) {
+  const count = image.width * image.height;
+  const luminance = new Float64Array(count);
+  let min = Infinity;
+  let max = -Infinity;
+  for (let i = 0; i < count; i++) {
+    const alpha = image.data[i * 4 + 3] / 255;
+    const channel = (/** @type {number} */ offset) =>
+      toLinear((image.data[i * 4 + offset] / 255) * alpha + (1 - alpha));
+    luminance[i] =
+      0.2126 * channel(0) + 0.7152 * channel(1) + 0.0722 * channel(2);
+    min = Math.min(min, luminance[i]);
+    max = Math.max(max, luminance[i]);
+  }
+
+  // Split in perceptual (gamma) space, where anti-aliased edges fall evenly
+  const threshold = (Math.sqrt(min) + Math.sqrt(max)) / 2;
+  const bits = new Uint8Array(count);
+  for (let i = 0; i < count; i++) {
+    bits[i] = Math.sqrt(luminance[i]) < threshold ? 1 : 0;
+  }
+  return { bits, luminance };
+}
+
+/**
+ * @param {number} value - An sRGB channel, 0-1
+ * @returns {number} The linear channel value
+ */
+function toLinear(value) {
+  return value <= 0.04045 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+}
+
+/**
+ * Works out the contrast ratio between the dark and light modules, as the
+ * WCAG contrast ratio of their average luminances.
+ * @param {Float64Array} luminance - Relative luminance of each pixel
+ * @param {{index: number, dark: boolean}[]} samples - The sampled module centers
+ * @returns {number} The contrast ratio, from 1 to 21
+ */
+function measureContrast(luminance, samples) {
+  let dark = 0;
+  let darkCount = 0;
+  let light = 0;
+  let lightCount = 0;
+  for (const sample of samples) {
+    if (sample.dark) {
+      dark += luminance[sample.index];
+      darkCount++;
+    } else {
+      light += luminance[sample.index];
+      lightCount++;
+    }
+  }
+  if (darkCount === 0 || lightCount === 0) {
+    return 1;
+  }
+  return (light / lightCount + 0.05) / (dark / darkCount + 0.05);
+}
+
+/**
+ * @param {Point} a
+ * @param {Point} b
+ * @returns {number} The distance between the points
+ */
+function distance(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+/**
+ * Checks run lengths against the 1:1:3:1:1 proportions of a finder pattern.
+ * @param {number[]} runs - Five run lengths, dark first
+ * @returns {boolean} Whether the runs look like a finder pattern
+ */
+function isFinderRatio(runs) {
+  const total = runs.reduce((sum, run) => sum + run, 0);
+  if (total < 7 || runs.some((run) => run === 0)) {
+    return false;
+  }
+  const module = total / 7;
+  const tolerance = module / 2;
+  return (
+    Math.abs(runs[0] - module) < tolerance &&
+    Math.abs(runs[1] - module) < tolerance &&
+    Math.abs(runs[2] - module * 3) < tolerance * 3 &&
+    Math.abs(runs[3] - module) < tolerance &&
+    Math.abs(runs[4] - module) < tolerance
+  );
+}
+
+/**
+ * Scans along a line through a point and measures the five runs of a finder
+ * pattern centered there.
+ * @param {(offset: number) => number} pixelAt - Reads the line: 1 for dark, 0 for light, -1 outside the image
+ * @returns {{runs: number[], center: number}|null} The runs and the center offset, or null if there is no pattern
+ */
+function measureRuns(pixelAt) {
+  if (pixelAt(0) !== 1) {
+    return null;
+  }
+  // Walk out from the center: dark core, then light, then dark ring
+  const runs = [0, 0, 0, 0, 0];
+  let start = 0;
+  while (pixelAt(start - 1) === 1) {
+    start--;
+  }
+  let end = 0;
+  while (pixelAt(end + 1) === 1) {
+    end++;
+  }
+  runs[2] = end - start + 1;
+
+  let offset = start - 1;
+  for (const [index, value] of [
+    [1, 0],
+    [0, 1],
+  ]) {
+    while (pixelAt(offset) === value) {
+      runs[index]++;
+      offset--;
+    }
+  }
+  offset = end + 1;
+  for (const [index, value] of [
+    [3, 0],
+    [4, 1],
+  ]) {
+    while (pixelAt(offset) === value) {
+      runs[index]++;
+      offset++;
+    }
+  }
+
+  return isFinderRatio(runs) ? { runs, center: (start + end) / 2 } : null;
+}
+
+/**
+ * Finds the three finder patterns of a QR code.
+ * @param {Uint8Array} bits - Dark/light pixels
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {[FinderPattern, FinderPattern, FinderPattern]|null} The top-left, top-right and bottom-left patterns, or null if they weren't found
+ */
+function findFinderPatterns(bits, width, height) {
+  /** @type {FinderPattern[]} */
+  const candidates = [];
+  const pixel = (/** @type {number} */ x, /** @type {number} */ y) =>
+    x < 0 || y < 0 || x >= width || y >= height ? -1 : bits[y * width + x];
+
+  const rowStep = Math.max(1, Math.floor(height / MAX_SCAN_ROWS));
+  for (let y = 0; y < height; y += rowStep) {
+    // Run-length encode the row, then look for 1:1:3:1:1 sequences
+    /** @type {number[]} */
+    const runs = [];
+    /** @type {number[]} */
+    const values = [];
+    let x = 0;
+    while (x < width) {
+      const value = bits[y * width + x];
+      let length = 0;
+      while (x < width && bits[y * width + x] === value) {
+        length++;
+        x++;
+      }
+      runs.push(length);
+      values.push(value);
+    }
+
+    let runEnd = 0;
+    for (let i = 0; i < runs.length; i++) {
+      runEnd += runs[i];
+      if (
+        i < 4 ||
+        values[i] !== 1 ||
+        !isFinderRatio(runs.slice(i - 4, i + 1))
+      ) {
+        continue;
+      }
+      const centerX = Math.floor(
+        runEnd - runs[i] - runs[i - 1] - runs[i - 2] / 2,
+      );
+
+      // Confirm vertically, then horizontally through the refined center
+      const vertical = measureRuns((offset) => pixel(centerX, y + offset));
+      if (!vertical) {
+        continue;
+      }
+      const centerY = Math.round(y + vertical.center);
+      const horizontal = measureRuns((offset) =>
+        pixel(centerX + offset, centerY),
+      );
+      if (!horizontal) {
+        continue;
+      }
+
+      const found = {
+        x: centerX + horizontal.center,
+        y: centerY,
+        moduleSize:
+          (vertical.runs.reduce((sum, run) => sum + run, 0) +
+            horizontal.runs.reduce((sum, run) => sum + run, 0)) /
+          14,
+      };
+      const match = candidates.find(
+        (candidate) =>
+          distance(candidate, found) < candidate.moduleSize * 2 &&
+          Math.abs(candidate.moduleSize - found.moduleSize) <
+            candidate.moduleSize,
+      );
+      if (match) {
+        // Keep a running average of every hit on the same pattern
+        match.x = (match.x * match.count + found.x) / (match.count + 1);
+        match.y = (match.y * match.count + found.y) / (match.count + 1);
+        match.moduleSize =
+          (match.moduleSize * match.count + found.moduleSize) /
+          (match.count + 1);
+        match.count++;
+        continue;
+      }
+
+      if (candidates.length >= MAX_FINDER_CANDIDATES) {
+        // Make room by dropping a candidate only one line has found
+        const weakest = candidates.findIndex(
+          (candidate) => candidate.count === 1,
+        );
+        if (weakest === -1) {
+          continue;
+        }
+        candidates.splice(weakest, 1);
+      }
+      candidates.push({ ...found, count: 1 });
+    }
+  }
+
+  return chooseFinderPatterns(candidates);
+}
+
+/**
+ * Picks the three candidates that best form the corners of a QR code: a
+ * right isosceles triangle of patterns with the same module size.
+ * @param {FinderPattern[]} candidates - The finder pattern candidates
+ * @returns {[FinderPattern, FinderPattern, FinderPattern]|null} The top-left, top-right and bottom-left patterns, or null if no three fit
+ */
+function chooseFinderPatterns(candidates) {
+  const likely = candidates
+    .filter((candidate) => candidate.count >= 2)
+    .sort((a, b) => b.count - a.count)
+    .slice(0, 8);
+
+  /** @type {[FinderPattern, FinderPattern, FinderPattern]|null} */
+  let best = null;
+  let bestScore = Infinity;
+  for (let i = 0; i < likely.length; i++) {
+    for (let j = i + 1; j < likely.length; j++) {
+      for (let k = j + 1; k < likely.length; k++) {
+        const corners = orderFinderPatterns(likely[i], likely[j], likely[k]);
+        const [topLeft, topRight, bottomLeft] = corners;
+        const sizes = corners.map((corner) => corner.moduleSize);
+        const legA = distance(topLeft, topRight);
+        const legB = distance(topLeft, bottomLeft);
+        const hypotenuse = distance(topRight, bottomLeft);
+        const score =
+          (Math.max(...sizes) - Math.min(...sizes)) / Math.min(...sizes) +
+          Math.abs(legA - legB) / Math.max(legA, legB) +
+          Math.abs(hypotenuse - Math.hypot(legA, legB)) / hypotenuse;
+        if (score < bestScore && score < 0.5) {
+          best = corners;
+          bestScore = score;
+        }
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * Works out which finder pattern is which corner.
+ * @param {FinderPattern} a
+ * @param {FinderPattern} b
+ * @param {FinderPattern} c
+ * @returns {[FinderPattern, FinderPattern, FinderPattern]} The top-left, top-right and bottom-left patterns
+ */
+function orderFinderPatterns(a, b, c) {
+  // The top-left corner is opposite the longest side
+  const sides = [
+    { corner: c, ends: [a, b], length: distance(a, b) },
+    { corner: a, ends: [b, c], length: distance(b, c) },
+    { corner: b, ends: [a, c], length: distance(a, c) },
+  ].sort((x, y) => y.length - x.length);
+  const topLeft = sides[0].corner;
+  let [topRight, bottomLeft] = sides[0].ends;
+
+  // Going clockwise (in image coordinates, y down): top-left, top-right, bottom-left
+  const cross =
+    (topRight.x - topLeft.x) * (bottomLeft.y - topLeft.y) -
+    (topRight.y - topLeft.y) * (bottomLeft.x - topLeft.x);
+  if (cross < 0) {
+    [topRight, bottomLeft] = [bottomLeft, topRight];
+  }
+  return [topLeft, topRight, bottomLeft];
+}
+
+/**
+ * Reads the module grid, sampling the middle of each module.
+ * @param {Uint8Array} bits - Dark/light pixels
+ * @param {number} width - Image width
+ * @param {[FinderPattern, FinderPattern, FinderPattern]} finders - Top-left, top-right and bottom-left patterns
+ * @param {number} size - Modules per side
+ * @returns {{modules: Uint8Array, samples: {index: number, dark: boolean}[]}} 1 for each dark module, row by row, and the pixels sampled
+ */
+function sampleGrid(bits, width, finders, size) {
+  const [topLeft, topRight, bottomLeft] = finders;
+  const height = bits.length / width;
+  // Finder centers sit 3.5 modules in from the corners
+  const span = size - 7;
+  const across = {
+    x: (topRight.x - topLeft.x) / span,
+    y: (topRight.y - topLeft.y) / span,
+  };
+  const down = {
+    x: (bottomLeft.x - topLeft.x) / span,
+    y: (bottomLeft.y - topLeft.y) / span,
+  };
+
+  const modules = new Uint8Array(size * size);
+  /** @type {{index: number, dark: boolean}[]} */
+  const samples = [];
+  for (let row = 0; row < size; row++) {
+    for (let col = 0; col < size; col++) {
+      const u = col - 3;
+      const v = row - 3;
+      const x = Math.floor(topLeft.x + u * across.x + v * down.x);
+      const y = Math.floor(topLeft.y + u * across.y + v * down.y);
+      if (x < 0 || y < 0 || x >= width || y >= height) {
+        continue;
+      }
+      const index = y * width + x;
+      modules[row * size + col] = bits[index];
+      samples.push({ index, dark: bits[index] === 1 });
+    }
+  }
+  return { modules, samples };
+}
+
+/**
+ * Decodes a sampled module grid.
+ * @param {Uint8Array} modules - 1 for each dark module, row by row
+ * @param {number} size - Modules per side
+ * @returns {Omit<QRDecodeResult, "contrast">|null} The decoded code, or null if it can't be read
+ */
+function decodeGrid(modules, size) {
+  const version = (size - 17) / 4;
+  const format = readFormat(modules, size);
+  if (!format) {
+    return null;
+  }
+
+  const reserved = getFunctionModules(version, size);
+  const codewords = readCodewords(modules, reserved, size, format.mask);
+  const corrected = correctCodewords(
+    codewords,
+    version,
+    format.errorCorrectionLevel,
+  );
+  if (!corrected) {
+    return null;
+  }
+
+  const text = decodeSegments(corrected.data, version);
+  if (text === null) {
+    return null;
+  }
+  return {
+    text,
+    version,
+    errorCorrectionLevel: format.errorCorrectionLevel,
+    correctedErrors: corrected.errors,
+  };
+}
+
+/**
+ * Encodes format information: 5 data bits plus 10 BCH bits, masked.
+ * @param {number} data - Error correction level bits and mask pattern
+ * @returns {number} The 15-bit format information
+ */
+function encodeFormat(data) {
+  let remainder = data << 10;
+  for (let bit = 14; bit >= 10; bit--) {
+    if (remainder & (1 << bit)) {
+      remainder ^= 0x537 << (bit - 10);
+    }
+  }
+  return ((data << 10) | remainder) ^ 0x5412;
+}
+
+/**
+ * Reads the format information from either of its two copies, correcting
+ * up to three bit errors.
+ * @param {Uint8Array} modules - 1 for each dark module, row by row
+ * @param {number} size - Modules per side
+ * @returns {{errorCorrectionLevel: QRDecodeResult["errorCorrectionLevel"], mask: number}|null} The format, or null if it can't be read
+ */
+function readFormat(modules, size) {
+  const at = (/** @type {number} */ row, /** @type {number} */ col) =>
+    modules[row * size + col];
+  let first = 0;
+  let second = 0;
+  for (let i = 0; i < 15; i++) {
+    // Bit i of the copy around the top-left finder...
+    const row = i < 6 ? i : i < 8 ? i + 1 : size - 15 + i;
+    first |= at(row, 8) << i;
+    // ...and of the copy split between the other two finders
+    const col = i < 8 ? size - i - 1 : i < 9 ? 15 - i : 14 - i;
+    second |= at(8, col) << i;
+  }
+
+  let best = null;
+  let bestDistance = 4;
+  for (let data = 0; data < 32; data++) {
+    const expected = encodeFormat(data);
+    for (const read of [first, second]) {
+      const bitDistance = countBits(read ^ expected);
+      if (bitDistance < bestDistance) {
+        best = data;
+        bestDistance = bitDistance;
+      }
+    }
+  }
+  if (best === null) {
+    return null;
+  }
+  return { errorCorrectionLevel: FORMAT_LEVELS[best >> 3], mask: best & 7 };
+}
+
+/**
+ * @param {number} value
+ * @returns {number} The number of set bits
+ */
+function countBits(value) {
+  let count = 0;
+  for (let rest = value; rest; rest &= rest - 1) {
+    count++;
+  }
+  return count;
+}
+
+/**
+ * Marks the modules that hold finder, timing, alignment, format and version
+ * patterns rather than data.
+ * @param {number} version - Symbol version
+ * @param {number} size - Modules per side
+ * @returns {Uint8Array} 1 for each function module, row by row
+ */
+function getFunctionModules(version, size) {
+  const reserved = new Uint8Array(size * size);
+  const fill = (
+    /** @type {number} */ top,
+    /** @type {number} */ left,
+    /** @type {number} */ height,
+    /** @type {number} */ width,
+  ) => {
+    for (let row = top; row < top + height; row++) {
+      for (let col = left; col < left + width; col++) {
+        reserved[row * size + col] = 1;
+      }
+    }
+  };
+
+  // Finders with their separators and format information
+  fill(0, 0, 9, 9);
+  fill(0, size - 8, 9, 8);
+  fill(size - 8, 0, 8, 9);
+  // Timing patterns
+  fill(6, 0, 1, size);
+  fill(0, 6, size, 1);
+
+  const positions = getAlignmentPositions(version, size);
+  for (const row of positions) {
+    for (const col of positions) {
+      const overlapsFinder =
+        (row === 6 && col === 6) ||
+        (row === 6 && col === size - 7) ||
+        (row === size - 7 && col === 6);
+      if (!overlapsFinder) {
+        fill(row - 2, col - 2, 5, 5);
+      }
+    }
+  }
+
+  if (version >= 7) {
+    fill(0, size - 11, 6, 3);
+    fill(size - 11, 0, 3, 6);
+  }
+  return reserved;
+}
+
+/**
+ * @param {number} version - Symbol version
+ * @param {number} size - Modules per side
+ * @returns {number[]} Row and column coordinates of alignment pattern centers
+ */
+function getAlignmentPositions(version, size) {
+  if (version === 1) {
+    return [];
+  }
+  const count = Math.floor(version / 7) + 2;
+  const interval =
+    size === 145 ? 26 : Math.ceil((size - 13) / (2 * count - 2)) * 2;
+  const positions = [size - 7];
+  for (let i = 1; i < count - 1; i++) {
+    positions.push(positions[i - 1] - interval);
+  }
+  positions.push(6);
+  return positions.reverse();
+}
+
+/**
+ * Reads the data codewords in placement order, undoing the mask.
+ * @param {Uint8Array} modules - 1 for each dark module, row by row
+ * @param {Uint8Array} reserved - 1 for each function module
+ * @param {number} size - Modules per side
+ * @param {number} mask - Mask pattern (0-7)
+ * @returns {number[]} The codewords, interleaved as stored
+ */
+function readCodewords(modules, reserved, size, mask) {
+  /** @type {number[]} */
+  const codewords = [];
+  let current = 0;
+  let bitCount = 0;
+  let direction = -1;
+  let row = size - 1;
+
+  // Columns are read in pairs, right to left, zigzagging up and down
+  for (let col = size - 1; col > 0; col -= 2) {
+    if (col === 6) {
+      col--;
+    }
+    for (;;) {
+      for (let c = 0; c < 2; c++) {
+        const x = col - c;
+        if (reserved[row * size + x]) {
+          continue;
+        }
+        const bit = modules[row * size + x] ^ (isMasked(mask, row, x) ? 1 : 0);
+        current = (current << 1) | bit;
+        if (++bitCount === 8) {
+          codewords.push(current);
+          current = 0;
+          bitCount = 0;
+        }
+      }
+      row += direction;
+      if (row < 0 || row >= size) {
+        row -= direction;
+        direction = -direction;
+        break;
+      }
+    }
+  }
+  return codewords;
+}
+
+/**
+ * @param {number} mask - Mask pattern (0-7)
+ * @param {number} i - Row
+ * @param {number} j - Column
+ * @returns {boolean} Whether the mask flips this module
+ */
+function isMasked(mask, i, j) {
+  switch (mask) {
+    case 0:
+      return (i + j) % 2 === 0;
+    case 1:
+      return i % 2 === 0;
+    case 2:
+      return j % 3 === 0;
+    case 3:
+      return (i + j) % 3 === 0;
+    case 4:
+      return (Math.floor(i / 2) + Math.floor(j / 3)) % 2 === 0;
+    case 5:
+      return ((i * j) % 2) + ((i * j) % 3) === 0;
+    case 6:
+      return (((i * j) % 2) + ((i * j) % 3)) % 2 === 0;
+    default:
+      return (((i * j) % 3) + ((i + j) % 2)) % 2 === 0;
+  }
+}
+
+/**
+ * Splits the codewords into their error correction blocks and corrects each.
+ * @param {number[]} codewords - The codewords, interleaved as stored
+ * @param {number} version - Symbol version
+ * @param {QRDecodeResult["errorCorrectionLevel"]} level - Error correction level
+ * @returns {{data: number[], errors: number}|null} The data codewords and the number corrected, or null if there were too many errors
+ */
+function correctCodewords(codewords, version, level) {
+  const index = (version - 1) * 4 + LEVEL_INDEX[level];
+  const blockCount = EC_BLOCKS[index];
+  const ecPerBlock = EC_CODEWORDS[index] / blockCount;
+  const total = codewords.length;
+  const shortBlocks = blockCount - (total % blockCount);
+  const shortDataLength = Math.floor(total / blockCount) - ecPerBlock;
+
+  // Data codewords are interleaved first, then error correction codewords;
+  // the last blocks have one more data codeword than the first
+  /** @type {number[][]} */
+  const blocks = Array.from({ length: blockCount }, () => []);
+  let offset = 0;
+  for (let i = 0; i < shortDataLength + 1; i++) {
+    for (let block = 0; block < blockCount; block++) {
+      if (i < shortDataLength || block >= shortBlocks) {
+        blocks[block].push(codewords[offset++]);
+      }
+    }
+  }
+  for (let i = 0; i < ecPerBlock; i++) {
+    for (let block = 0; block < blockCount; block++) {
+      blocks[block].push(codewords[offset++]);
+    }
+  }
+
+  /** @type {number[]} */
+  const data = [];
+  let errors = 0;
+  for (const block of blocks) {
+    const corrected = correctBlock(block, ecPerBlock);
+    if (corrected === null) {
+      return null;
+    }
+    errors += corrected;
+    data.push(...block.slice(0, block.length - ecPerBlock));
+  }
+  return { data, errors };
+}
+
+// Arithmetic in GF(256) with the QR code polynomial x^8 + x^4 + x^3 + x^2 + 1
+const GF_EXP = new Uint8Array(512);
+const GF_LOG = new Uint8Array(256);
+for (let i = 0, value = 1; i < 255; i++) {
+  GF_EXP[i] = value;
+  GF_LOG[value] = i;
+  value <<= 1;
+  if (value & 0x100) {
+    value ^= 0x11d;
+  }
+}
+for (let i = 255; i < 512; i++) {
+  GF_EXP[i] = GF_EXP[i - 255];
+}
+
+/**
+ * @param {number} a
+ * @param {number} b
+ * @returns {number} a × b in GF(256)
+ */
+function gfMultiply(a, b) {
+  return a === 0 || b === 0 ? 0 : GF_EXP[GF_LOG[a] + GF_LOG[b]];
+}
+
+/**
+ * @param {number} a
+ * @param {number} b - Not zero
+ * @returns {number} a ÷ b in GF(256)
+ */
+function gfDivide(a, b) {
+  return a === 0 ? 0 : GF_EXP[GF_LOG[a] + 255 - GF_LOG[b]];
+}
+
+/**
+ * Evaluates a polynomial whose coefficients are lowest power first.
+ * @param {number[]} poly - The coefficients
+ * @param {number} x - Where to evaluate it
+ * @returns {number} The value
+ */
+function gfEvaluate(poly, x) {
+  let result = 0;
+  for (let i = poly.length - 1; i >= 0; i--) {
+    result = gfMultiply(result, x) ^ poly[i];
+  }
+  return result;
+}
+
+/**
+ * Corrects a Reed-Solomon block in place, using Berlekamp-Massey to find the
+ * error locator and Forney's formula for the error values.
+ * @param {number[]} block - Data then error correction codewords, highest power first
+ * @param {number} ecCount - Number of error correction codewords
+ * @returns {number|null} The number of corrected codewords, or null if the block can't be corrected
+ */
+function correctBlock(block, ecCount) {
+  const n = block.length;
+  // Syndromes: the received polynomial evaluated at the generator's roots
+  const syndromes = Array.from({ length: ecCount }, (_, j) => {
+    let value = 0;
+    for (const codeword of block) {
+      value = gfMultiply(value, GF_EXP[j]) ^ codeword;
+    }
+    return value;
+  });
+  if (syndromes.every((value) => value === 0)) {
+    return 0;
+  }
+
+  // Berlekamp-Massey
+  let locator = [1];
+  let previous = [1];
+  let errorCount = 0;
+  let shift = 1;
+  let previousDiscrepancy = 1;
+  for (let step = 0; step < ecCount; step++) {
+    let discrepancy = syndromes[step];
+    for (let i = 1; i <= errorCount; i++) {
+      discrepancy ^= gfMultiply(locator[i] || 0, syndromes[step - i]);
+    }
+    if (discrepancy === 0) {
+      shift++;
+      continue;
+    }
+    const factor = gfDivide(discrepancy, previousDiscrepancy);
+    const next = locator.slice();
+    for (let i = 0; i < previous.length; i++) {
+      next[i + shift] =
+        (next[i + shift] || 0) ^ gfMultiply(factor, previous[i]);
+    }
+    if (2 * errorCount <= step) {
+      previous = locator;
+      errorCount = step + 1 - errorCount;
+      previousDiscrepancy = discrepancy;
+      shift = 1;
+    } else {
+      shift++;
+    }
+    locator = next;
+  }
+  if (errorCount * 2 > ecCount) {
+    return null;
+  }
+
+  // Chien search: a codeword at power k is wrong if 1/α^k is a root
+  /** @type {number[]} */
+  const positions = [];
+  for (let k = 0; k < n; k++) {
+    if (gfEvaluate(locator, GF_EXP[(255 - k) % 255]) === 0) {
+      positions.push(k);
+    }
+  }
+  if (positions.length !== errorCount) {
+    return null;
+  }
+
+  // Forney: the error evaluator is S(x)Λ(x) mod x^ecCount
+  /** @type {number[]} */
+  const evaluator = new Array(ecCount).fill(0);
+  for (let i = 0; i < ecCount; i++) {
+    for (let j = 0; j <= i && j < locator.length; j++) {
+      evaluator[i] ^= gfMultiply(syndromes[i - j], locator[j] || 0);
+    }
+  }
+  // The formal derivative keeps the odd powers
+  const derivative = locator
+    .slice(1)
+    .map((value, i) => (i % 2 === 0 ? value : 0));
+  for (const k of positions) {
+    const x = GF_EXP[k];
+    const xInverse = GF_EXP[(255 - k) % 255];
+    const denominator = gfEvaluate(derivative, xInverse);
+    if (denominator === 0) {
+      return null;
+    }
+    const magnitude = gfMultiply(
+      x,
+      gfDivide(gfEvaluate(evaluator, xInverse), denominator),
+    );
+    block[n - 1 - k] ^= magnitude;
+  }
+  return positions.length;
+}
+
+/**
+ * Reads the data segments from the data codewords.
+ * @param {number[]} data - The data codewords
+ * @param {number} version - Symbol version
+ * @returns {string|null} The decoded text, or null if the data is invalid
+ */
+function decodeSegments(data, version) {
+  let position = 0;
+  const totalBits = data.length * 8;
+  const read = (/** @type {number} */ count) => {
+    let value = 0;
+    for (let i = 0; i < count; i++) {
+      const bit = (data[position >> 3] >> (7 - (position & 7))) & 1;
+      value = (value << 1) | bit;
+      position++;
+    }
+    return value;
+  };
+  // Character count bits for versions 1-9, 10-26 and 27-40
+  const sizeClass = version < 10 ? 0 : version < 27 ? 1 : 2;
+
+  let text = "";
+  /** @type {number[]} */
+  let bytes = [];
+  const flushBytes = () => {
+    text += new TextDecoder().decode(new Uint8Array(bytes));
+    bytes = [];
+  };
+
+  while (position + 4 <= totalBits) {
+    const mode = read(4);
+    if (mode === 0) {
+      break;
+    }
+    if (mode === 0b0111) {
+      // ECI designator: byte data here is read as UTF-8 either way
+      const first = read(8);
+      if ((first & 0xc0) === 0x80) {
+        read(8);
+      } else if ((first & 0xe0) === 0xc0) {
+        read(16);
+      }
+      continue;
+    }
+    if (mode === 0b0100) {
+      const count = read([8, 16, 16][sizeClass]);
+      if (position + count * 8 > totalBits) {
+        return null;
+      }
+      for (let i = 0; i < count; i++) {
+        bytes.push(read(8));
+      }
+      continue;
+    }
+
+    flushBytes();
+    if (mode === 0b0001) {
+      let count = read([10, 12, 14][sizeClass]);
+      for (; count >= 3; count -= 3) {
+        text += String(read(10)).padStart(3, "0");
+      }
+      if (count === 2) {
+        text += String(read(7)).padStart(2, "0");
+      } else if (count === 1) {
+        text += String(read(4));
+      }
+    } else if (mode === 0b0010) {
+      let count = read([9, 11, 13][sizeClass]);
+      for (; count >= 2; count -= 2) {
+        const value = read(11);
+        text +=
+          ALPHANUMERIC_CHARS[Math.floor(value / 45)] +
+          ALPHANUMERIC_CHARS[value % 45];
+      }
+      if (count === 1) {
+        text += ALPHANUMERIC_CHARS[read(6)];
+      }
+    } else {
+      // Kanji and structured append aren't used by the cards
+      return null;
+    }
+    if (position > totalBits) {
+      return null;
+    }
+  }
+  flushBytes();
+  return text;
+}
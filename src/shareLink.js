@@ -0,0 +1,144 @@
+import { DEFAULT_CONTENT_OPTIONS } from "./contentOptions.js";
+
+/**
+ * @typedef {import('./arenaProcessor').ArenaQrTarget} ArenaQrTarget
+ * @typedef {import('./contentOptions').ContentOptionsOverrides} ContentOptionsOverrides
+ */
+
+/**
+ * What a share link reproduces: the block or channel, where its QR codes
+ * point and the card settings.
+ * @typedef {Object} ShareState
+ * @property {string} [url] - The block or channel URL or ID
+ * @property {Pick<ArenaQrTarget, "type"|"template">} qrTarget - Where QR codes point
+ * @property {ContentOptionsOverrides} options - Card settings that differ from the defaults
+ */
+
+// Link parameters that aren't card settings
+const URL_PARAM = "url";
+const QR_PARAM = "qr";
+const QR_TEMPLATE_PARAM = "qrTemplate";
+
+/**
+ * Settings are looked up with Object.hasOwn and this check, so names such as
+ * __proto__ or constructor never reach Object.prototype.
+ * @param {unknown} value - A default
+ * @returns {boolean} Whether it's a plain object of nested settings
+ */
+function isPlainObject(value) {
+  return (
+    typeof value === "object" &&
+    value !== null &&
+    Object.getPrototypeOf(value) === Object.prototype
+  );
+}
+
+/**
+ * Builds the query parameters of a share link. Card settings are written
+ * as one parameter each, by dotted name (e.g. qrCodeColor.dark), and only
+ * when they differ from the defaults, to keep links short.
+ * @param {ShareState} state - What the link should reproduce
+ * @returns {URLSearchParams} The parameters
+ */
+export function buildShareParams(state) {
+  const params = new URLSearchParams();
+  if (state.url) {
+    params.set(URL_PARAM, state.url);
+  }
+  if (state.qrTarget.type !== "block") {
+    params.set(QR_PARAM, state.qrTarget.type);
+  }
+  if (state.qrTarget.type === "custom" && state.qrTarget.template) {
+    params.set(QR_TEMPLATE_PARAM, state.qrTarget.template);
+  }
+
+  /**
+   * @param {Record<string, any>} overrides - Settings to write
+   * @param {Record<string, any>} defaults - Their defaults
+   * @param {string} prefix - Dotted path of the objects
+   */
+  const addOptions = (overrides, defaults, prefix) => {
+    for (const [key, value] of Object.entries(overrides)) {
+      if (value === undefined || !Object.hasOwn(defaults, key)) {
+        continue;
+      }
+      if (typeof value === "object" && value !== null) {
+        if (!isPlainObject(defaults[key])) {
+          continue;
+        }
+        addOptions(value, defaults[key], `${prefix}${key}.`);
+      } else if (value !== defaults[key]) {
+        params.set(prefix + key, String(value));
+      }
+    }
+  };
+  addOptions(state.options, DEFAULT_CONTENT_OPTIONS, "");
+
+  return params;
+}
+
+/**
+ * Reads a share link's query parameters. Parameters that aren't part of a
+ * share link (e.g. tracking parameters) are ignored; card settings aren't
+ * validated here, so pass them through resolveContentOptions.
+ * @param {URLSearchParams} params - The parameters
+ * @returns {ShareState} What the link reproduces
+ */
+export function parseShareParams(params) {
+  const type = params.get(QR_PARAM);
+  /** @type {ShareState} */
+  const state = {
+    url: params.get(URL_PARAM)?.trim() || undefined,
+    qrTarget: {
+      type:
+        type === "source" || type === "channel" || type === "custom"
+          ? type
+          : "block",
+      template: params.get(QR_TEMPLATE_PARAM) || undefined,
+    },
+    options: {},
+  };
+
+  for (const [name, value] of params) {
+    const path = name.split(".");
+    const key = path.pop() || "";
+    /** @type {Record<string, any>|null} */
+    let defaults = DEFAULT_CONTENT_OPTIONS;
+    for (const part of path) {
+      defaults =
+        defaults &&
+        Object.hasOwn(defaults, part) &&
+        isPlainObject(defaults[part])
+          ? defaults[part]
+          : null;
+    }
+    if (
+      !defaults ||
+      !Object.hasOwn(defaults, key) ||
+      typeof defaults[key] === "object"
+    ) {
+      continue;
+    }
+
+    // Only known settings get this far, so the path never names __proto__
+    /** @type {Record<string, any>} */
+    let target = state.options;
+    for (const part of path) {
+      if (!Object.hasOwn(target, part)) {
+        target[part] = Object.create(null);
+      }
+      target = target[part];
+    }
+
+    // Settings take the type of their default
+    const fallback = defaults[key];
+    target[key] =
+      typeof fallback === "number"
+        ? Number(value)
+        : typeof fallback === "boolean"
+          ? value === "true"
+          : value;
+  }
+
+  return state;
+}
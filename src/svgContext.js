@@ -0,0 +1,531 @@
+/**
+ * An SVG drawing context that implements the subset of CanvasRenderingContext2D
+ * used by the card renderer, so the same drawing code can produce either a
+ * raster canvas or a vector SVG document.
+ */
+
+/**
+ * @typedef {[number, number, number, number, number, number]} Matrix
+ * A 2D affine transform in canvas order (a, b, c, d, e, f)
+ */
+
+/**
+ * @typedef {Object} SvgContextOptions
+ * @property {number} width - Width of the drawing in canvas units
+ * @property {number} height - Height of the drawing in canvas units
+ * @property {CanvasRenderingContext2D} measureContext - A real 2D context used to measure text
+ * @property {(image: CanvasImageSource) => string} imageToDataURL - Encodes an image so it can be embedded
+ * @property {string} [outputWidth] - Width attribute of the document (defaults to width)
+ * @property {string} [outputHeight] - Height attribute of the document (defaults to height)
+ */
+
+/**
+ * @typedef {Object} SvgDrawingState
+ * @property {string} fillStyle
+ * @property {string} strokeStyle
+ * @property {number} lineWidth
+ * @property {string} font
+ * @property {CanvasTextBaseline} textBaseline
+ * @property {CanvasTextAlign} textAlign
+ * @property {CanvasDirection} direction
+ * @property {number} globalAlpha
+ * @property {Matrix} matrix
+ * @property {string|null} clipId
+ */
+
+/** @type {Matrix} */
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+/**
+ * Escapes text for use in SVG markup.
+ * @param {string} value - The text to escape
+ * @returns {string} The escaped text
+ */
+export function escapeXml(value) {
+  return value
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Formats a number for SVG output.
+ * @param {number} value - The number to format
+ * @returns {string} The number with at most 3 decimals
+ */
+function num(value) {
+  return String(Math.round(value * 1000) / 1000);
+}
+
+/**
+ * Converts a canvas font shorthand (e.g. "bold 18px Arial, sans-serif") into
+ * SVG presentation attributes, which more renderers support than the CSS shorthand.
+ * @param {string} font - The canvas font string
+ * @returns {string} The font attributes
+ */
+function fontAttributes(font) {
+  const match = font.match(/^\s*((?:\S+\s+)*?)(\d*\.?\d+)px(?:\/\S+)?\s+(.+)$/);
+  if (!match) {
+    return ` style="font: ${escapeXml(font)}"`;
+  }
+  const [, modifiers, size, family] = match;
+  let attributes = ` font-family="${escapeXml(family)}" font-size="${size}"`;
+  for (const modifier of modifiers.trim().split(/\s+/)) {
+    if (/^(bold|bolder|lighter|\d{3})$/.test(modifier)) {
+      attributes += ` font-weight="${modifier}"`;
+    } else if (/^(italic|oblique)$/.test(modifier)) {
+      attributes += ` font-style="${modifier}"`;
+    } else if (modifier === "small-caps") {
+      attributes += ` font-variant="small-caps"`;
+    }
+  }
+  return attributes;
+}
+
+/**
+ * Multiplies two transforms.
+ * @param {Matrix} m - The current transform
+ * @param {Matrix} n - The transform to apply
+ * @returns {Matrix} m × n
+ */
+function multiply(m, n) {
+  return [
+    m[0] * n[0] + m[2] * n[1],
+    m[1] * n[0] + m[3] * n[1],
+    m[0] * n[2] + m[2] * n[3],
+    m[1] * n[2] + m[3] * n[3],
+    m[0] * n[4] + m[2] * n[5] + m[4],
+    m[1] * n[4] + m[3] * n[5] + m[5],
+  ];
+}
+
+/**
+ * Creates an SVG drawing context.
+ * Paths are transformed when they are built, as on a canvas; arcs assume the
+ * transform has no skew or non-uniform scale.
+ * @param {SvgContextOptions} options - The context options
+ */
+export function createSvgContext(options) {
+  const { width, height, measureContext, imageToDataURL } = options;
+
+  /** @type {string[]} */
+  const elements = [];
+  /** @type {string[]} */
+  const defs = [];
+  /** @type {Map<CanvasImageSource, string>} Encoded images, so each is only encoded once */
+  const imageDataURLs = new Map();
+  /** @type {SvgDrawingState[]} */
+  const stack = [];
+  /** @type {string[]} */
+  let path = [];
+
+  /** @type {SvgDrawingState} */
+  let state = {
+    fillStyle: "#000",
+    strokeStyle: "#000",
+    lineWidth: 1,
+    font: "10px sans-serif",
+    textBaseline: "alphabetic",
+    textAlign: "start",
+    direction: "inherit",
+    globalAlpha: 1,
+    matrix: IDENTITY,
+    clipId: null,
+  };
+
+  /**
+   * @param {number} x
+   * @param {number} y
+   * @returns {[number, number]} The point in document coordinates
+   */
+  const transformPoint = (x, y) => {
+    const m = state.matrix;
+    return [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]];
+  };
+
+  /**
+   * Elements drawn under a transform are wrapped in a group so that the
+   * clip path, which is in document coordinates, isn't transformed too.
+   * @param {string} tag - Element name
+   * @param {string} attributes - Element-specific attributes
+   * @param {string} [children] - Element content
+   */
+  const emit = (tag, attributes, children) => {
+    const clip = state.clipId ? ` clip-path="url(#${state.clipId})"` : "";
+    const transformed = state.matrix.some((value, i) => value !== IDENTITY[i]);
+    const opacity =
+      state.globalAlpha !== 1 ? ` opacity="${num(state.globalAlpha)}"` : "";
+    const close = children === undefined ? "/>" : `>${children}</${tag}>`;
+    if (transformed) {
+      const transform = ` transform="matrix(${state.matrix.map(num).join(" ")})"`;
+      elements.push(
+        `<g${clip}${opacity}><${tag}${attributes}${transform}${close}</g>`,
+      );
+    } else {
+      elements.push(`<${tag}${attributes}${clip}${opacity}${close}`);
+    }
+  };
+
+  /**
+   * @param {CanvasImageSource} image
+   * @returns {string} The image encoded as a data URL
+   */
+  const encodeImage = (image) => {
+    let dataURL = imageDataURLs.get(image);
+    if (!dataURL) {
+      dataURL = imageToDataURL(image);
+      imageDataURLs.set(image, dataURL);
+    }
+    return dataURL;
+  };
+
+  const context = {
+    get fillStyle() {
+      return state.fillStyle;
+    },
+    set fillStyle(value) {
+      state.fillStyle = String(value);
+    },
+    get strokeStyle() {
+      return state.strokeStyle;
+    },
+    set strokeStyle(value) {
+      state.strokeStyle = String(value);
+    },
+    get lineWidth() {
+      return state.lineWidth;
+    },
+    set lineWidth(value) {
+      state.lineWidth = value;
+    },
+    get font() {
+      return state.font;
+    },
+    set font(value) {
+      state.font = value;
+    },
+    get textBaseline() {
+      return state.textBaseline;
+    },
+    set textBaseline(value) {
+      state.textBaseline = value;
+    },
+    get textAlign() {
+      return state.textAlign;
+    },
+    set textAlign(value) {
+      state.textAlign = value;
+    },
+    get direction() {
+      return state.direction;
+    },
+    set direction(value) {
+      state.direction = value;
+    },
+    get globalAlpha() {
+      return state.globalAlpha;
+    },
+    set globalAlpha(value) {
+      state.globalAlpha = value;
+    },
+
+    save() {
+      stack.push({ ...state });
+    },
+    restore() {
+      const previous = stack.pop();
+      if (previous) {
+        state = previous;
+      }
+    },
+    /**
+     * @param {number} x
+     * @param {number} y
+     */
+    translate(x, y) {
+      state.matrix = multiply(state.matrix, [1, 0, 0, 1, x, y]);
+    },
+    /**
+     * @param {number} x
+     * @param {number} y
+     */
+    scale(x, y) {
+      state.matrix = multiply(state.matrix, [x, 0, 0, y, 0, 0]);
+    },
+    /**
+     * @param {number} angle
+     */
+    rotate(angle) {
+      const cos = Math.cos(angle);
+      const sin = Math.sin(angle);
+      state.matrix = multiply(state.matrix, [cos, sin, -sin, cos, 0, 0]);
+    },
+
+    /**
+     * @param {number} x
+     * @param {number} y
+     * @param {number} w
+     * @param {number} h
+     */
+    fillRect(x, y, w, h) {
+      emit(
+        "rect",
+        ` x="${num(x)}" y="${num(y)}" width="${num(w)}" height="${num(h)}" ` +
+          `fill="${escapeXml(state.fillStyle)}"`,
+      );
+    },
+    /**
+     * @param {number} x
+     * @param {number} y
+     * @param {number} w
+     * @param {number} h
+     */
+    strokeRect(x, y, w, h) {
+      emit(
+        "rect",
+        ` x="${num(x)}" y="${num(y)}" width="${num(w)}" height="${num(h)}" ` +
+          `fill="none" stroke="${escapeXml(state.strokeStyle)}" ` +
+          `stroke-width="${num(state.lineWidth)}"`,
+      );
+    },
+
+    beginPath() {
+      path = [];
+    },
+    /**
+     * @param {number} x
+     * @param {number} y
+     */
+    moveTo(x, y) {
+      const [px, py] = transformPoint(x, y);
+      path.push(`M${num(px)} ${num(py)}`);
+    },
+    /**
+     * @param {number} x
+     * @param {number} y
+     */
+    lineTo(x, y) {
+      const [px, py] = transformPoint(x, y);
+      path.push(`L${num(px)} ${num(py)}`);
+    },
+    closePath() {
+      path.push("Z");
+    },
+    /**
+     * @param {number} x
+     * @param {number} y
+     * @param {number} w
+     * @param {number} h
+     */
+    rect(x, y, w, h) {
+      context.moveTo(x, y);
+      context.lineTo(x + w, y);
+      context.lineTo(x + w, y + h);
+      context.lineTo(x, y + h);
+      context.closePath();
+    },
+    /**
+     * @param {number} x
+     * @param {number} y
+     * @param {number} radius
+     * @param {number} startAngle
+     * @param {number} endAngle
+     * @param {boolean} [counterclockwise]
+     */
+    arc(x, y, radius, startAngle, endAngle, counterclockwise = false) {
+      const m = state.matrix;
+      const r = radius * Math.sqrt(Math.abs(m[0] * m[3] - m[1] * m[2]));
+      let sweep = endAngle - startAngle;
+      if (counterclockwise) {
+        sweep = -sweep;
+      }
+      const full = Math.abs(sweep) >= Math.PI * 2;
+      const pointAt = (/** @type {number} */ angle) =>
+        transformPoint(
+          x + radius * Math.cos(angle),
+          y + radius * Math.sin(angle),
+        );
+
+      const [sx, sy] = pointAt(startAngle);
+      path.push(`${path.length > 0 ? "L" : "M"}${num(sx)} ${num(sy)}`);
+
+      const sweepFlag = counterclockwise ? 0 : 1;
+      if (full) {
+        // A full circle has to be drawn as two half arcs
+        const [mx, my] = pointAt(
+          startAngle + (counterclockwise ? -Math.PI : Math.PI),
+        );
+        path.push(
+          `A${num(r)} ${num(r)} 0 0 ${sweepFlag} ${num(mx)} ${num(my)}`,
+        );
+        path.push(
+          `A${num(r)} ${num(r)} 0 0 ${sweepFlag} ${num(sx)} ${num(sy)}`,
+        );
+      } else {
+        const normalized =
+          ((sweep % (Math.PI * 2)) + Math.PI * 2) % (Math.PI * 2);
+        const largeArc = normalized > Math.PI ? 1 : 0;
+        const [ex, ey] = pointAt(endAngle);
+        path.push(
+          `A${num(r)} ${num(r)} 0 ${largeArc} ${sweepFlag} ${num(ex)} ${num(ey)}`,
+        );
+      }
+    },
+    fill() {
+      if (path.length > 0) {
+        const { matrix } = state;
+        state.matrix = IDENTITY;
+        emit(
+          "path",
+          ` d="${path.join("")}" fill="${escapeXml(state.fillStyle)}"`,
+        );
+        state.matrix = matrix;
+      }
+    },
+    stroke() {
+      if (path.length > 0) {
+        const { matrix } = state;
+        const scale = Math.sqrt(
+          Math.abs(matrix[0] * matrix[3] - matrix[1] * matrix[2]),
+        );
+        state.matrix = IDENTITY;
+        emit(
+          "path",
+          ` d="${path.join("")}" fill="none" stroke="${escapeXml(state.strokeStyle)}" ` +
+            `stroke-width="${num(state.lineWidth * scale)}"`,
+        );
+        state.matrix = matrix;
+      }
+    },
+    clip() {
+      const id = `clip${defs.length + 1}`;
+      // Nested clips are applied through the parent clip's own clip-path
+      const parent = state.clipId ? ` clip-path="url(#${state.clipId})"` : "";
+      defs.push(
+        `<clipPath id="${id}"${parent}><path d="${path.join("")}"/></clipPath>`,
+      );
+      state.clipId = id;
+    },
+
+    /**
+     * @param {string} text
+     */
+    measureText(text) {
+      measureContext.font = state.font;
+      return measureContext.measureText(text);
+    },
+    /**
+     * @param {string} text
+     * @param {number} x
+     * @param {number} y
+     */
+    fillText(text, x, y) {
+      measureContext.font = state.font;
+      const metrics = measureContext.measureText(text);
+      const ascent =
+        metrics.fontBoundingBoxAscent ?? metrics.actualBoundingBoxAscent;
+      const descent =
+        metrics.fontBoundingBoxDescent ?? metrics.actualBoundingBoxDescent;
+
+      // SVG baseline support is inconsistent, so always position on the alphabetic baseline
+      let baselineY = y;
+      if (state.textBaseline === "top" || state.textBaseline === "hanging") {
+        baselineY = y + ascent;
+      } else if (state.textBaseline === "middle") {
+        baselineY = y + (ascent - descent) / 2;
+      } else if (
+        state.textBaseline === "bottom" ||
+        state.textBaseline === "ideographic"
+      ) {
+        baselineY = y - descent;
+      }
+
+      // SVG anchors are relative to the text's direction, canvas alignment
+      // is relative to the page (left/right) or the direction (start/end)
+      const rtl = state.direction === "rtl";
+      const alignRight =
+        state.textAlign === "right" ||
+        (state.textAlign === "end" && !rtl) ||
+        (state.textAlign === "start" && rtl);
+      const anchor =
+        state.textAlign === "center"
+          ? "middle"
+          : alignRight !== rtl
+            ? "end"
+            : "start";
+
+      emit(
+        "text",
+        ` x="${num(x)}" y="${num(baselineY)}" fill="${escapeXml(state.fillStyle)}" ` +
+          `xml:space="preserve"${fontAttributes(state.font)}` +
+          (anchor !== "start" ? ` text-anchor="${anchor}"` : "") +
+          (rtl ? ` direction="rtl"` : ""),
+        escapeXml(text),
+      );
+    },
+
+    /**
+     * Draws an image, with either (dx, dy), (dx, dy, dw, dh) or
+     * (sx, sy, sw, sh, dx, dy, dw, dh) arguments like CanvasRenderingContext2D.
+     * @param {CanvasImageSource} image
+     * @param {...number} args
+     */
+    drawImage(image, ...args) {
+      const size = imageSize(image);
+      let [sx, sy, sw, sh] = [0, 0, size.width, size.height];
+      let [dx, dy, dw, dh] = [args[0], args[1], size.width, size.height];
+      if (args.length === 4) {
+        [dx, dy, dw, dh] = args;
+      } else if (args.length === 8) {
+        [sx, sy, sw, sh, dx, dy, dw, dh] = args;
+      }
+
+      emit(
+        "svg",
+        ` x="${num(dx)}" y="${num(dy)}" width="${num(dw)}" height="${num(dh)}" ` +
+          `viewBox="${num(sx)} ${num(sy)} ${num(sw)} ${num(sh)}" preserveAspectRatio="none"`,
+        `<image width="${num(size.width)}" height="${num(size.height)}" ` +
+          `preserveAspectRatio="none" xlink:href="${escapeXml(encodeImage(image))}"/>`,
+      );
+    },
+
+    /**
+     * Serializes the drawing.
+     * @returns {string} The SVG document
+     */
+    toString() {
+      return (
+        `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" ` +
+        `width="${options.outputWidth ?? num(width)}" height="${options.outputHeight ?? num(height)}" ` +
+        `viewBox="0 0 ${num(width)} ${num(height)}">` +
+        (defs.length > 0 ? `<defs>${defs.join("")}</defs>` : "") +
+        elements.join("") +
+        `</svg>`
+      );
+    },
+  };
+
+  return context;
+}
+
+/**
+ * @param {CanvasImageSource} image
+ * @returns {{width: number, height: number}} The intrinsic size of the image
+ */
+function imageSize(image) {
+  if ("naturalWidth" in image && image.naturalWidth) {
+    return { width: image.naturalWidth, height: image.naturalHeight };
+  }
+  if ("displayWidth" in image) {
+    return { width: image.displayWidth, height: image.displayHeight };
+  }
+  const { width, height } =
+    /** @type {{width: number|SVGAnimatedLength, height: number|SVGAnimatedLength}} */ (
+      image
+    );
+  return {
+    width: typeof width === "number" ? width : width.baseVal.value,
+    height: typeof height === "number" ? height : height.baseVal.value,
+  };
+}
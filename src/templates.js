@@ -0,0 +1,328 @@
+/**
+ * Card templates: where a card's content, text fields and QR code go, as
+ * data the renderer interprets. Regions are placed like absolutely
+ * positioned boxes inside the card's frame, so they stretch with the card
+ * when a physical card size changes its width.
+ */
+
+/**
+ * A length in layout units: a number, the name of a numeric setting such as
+ * "metadataWidth", or a list of those to add up.
+ * @typedef {number|string|(number|string)[]} TemplateLength
+ */
+
+/**
+ * A box measured from the edges inside the card's frame. Give two of left,
+ * right and width, and two of top, bottom and height; missing edges are 0.
+ * @typedef {Object} TemplateRegion
+ * @property {TemplateLength} [left] - Distance from the left edge
+ * @property {TemplateLength} [right] - Distance from the right edge
+ * @property {TemplateLength} [width] - Width
+ * @property {TemplateLength} [top] - Distance from the top edge
+ * @property {TemplateLength} [bottom] - Distance from the bottom edge
+ * @property {TemplateLength} [height] - Height
+ */
+
+/**
+ * A line in the frame color that runs across the whole card, at a distance
+ * from one edge inside the frame: vertical for left or right, horizontal for
+ * top or bottom.
+ * @typedef {{left: TemplateLength}|{right: TemplateLength}|{top: TemplateLength}|{bottom: TemplateLength}} TemplateDivider
+ */
+
+/**
+ * @typedef {"title"|"description"|"date"|"author"|"body"} TemplateFieldName
+ */
+
+/**
+ * A text field in the metadata region. "body" is the block's own text: a
+ * Text block's text, a link's URL or an attachment's file name.
+ * @typedef {Object} TemplateField
+ * @property {TemplateFieldName} name - Which field to show
+ * @property {number} [scale] - Multiplies the field's font size setting (default 1)
+ * @property {number} [maxLines] - Line limit, instead of the titleMaxLines/descriptionMaxLines settings
+ */
+
+/**
+ * @typedef {Object} TemplateQr
+ * @property {"bottom"|"left"|"right"} position - Side of the metadata region the QR code sits on; fields fill the rest
+ * @property {"start"|"center"|"end"} align - Where along that side it sits
+ * @property {number} scale - Multiplies the qrCodeSize setting
+ */
+
+/**
+ * @typedef {Object} CardTemplate
+ * @property {string} label - Name shown in the template picker
+ * @property {"landscape"|"portrait"|"square"} orientation - How physical card sizes are turned for this template
+ * @property {number} width - Layout width, unless canvasWidth is set
+ * @property {number} height - Layout height, unless canvasHeight is set
+ * @property {TemplateRegion|null} content - Where the block's image or text goes, or null for text-only cards
+ * @property {TemplateRegion|null} metadata - Where the logo, text fields and QR code go, or null for a card without them
+ * @property {boolean} [fullBleed] - Whether the content covers the whole card, with no frame
+ * @property {TemplateDivider[]} dividers - Lines between regions
+ * @property {boolean} logo - Whether the Are.na logo heads the metadata
+ * @property {TemplateField[]} fields - Text fields in the metadata region, top to bottom
+ * @property {TemplateQr} qr - QR code placement
+ */
+
+/** @type {Record<string, CardTemplate>} */
+export const TEMPLATES = {
+  default: {
+    label: "Default (content left, details right)",
+    orientation: "landscape",
+    width: 800,
+    height: 500,
+    content: { left: 0, top: 0, bottom: 0, width: "contentWidth" },
+    metadata: {
+      left: ["contentWidth", "frameWidth"],
+      top: 0,
+      bottom: 0,
+      width: "metadataWidth",
+    },
+    dividers: [{ left: "contentWidth" }],
+    logo: true,
+    fields: [
+      { name: "title" },
+      { name: "description" },
+      { name: "date" },
+      { name: "author" },
+    ],
+    qr: { position: "bottom", align: "center", scale: 1 },
+  },
+  portrait: {
+    label: "Portrait (content above details)",
+    orientation: "portrait",
+    width: 500,
+    height: 800,
+    content: { left: 0, right: 0, top: 0, height: 520 },
+    metadata: { left: 0, right: 0, top: 521, bottom: 0 },
+    dividers: [{ top: 520 }],
+    logo: true,
+    fields: [
+      { name: "title", maxLines: 2 },
+      { name: "description", maxLines: 3 },
+      { name: "date" },
+      { name: "author" },
+    ],
+    qr: { position: "right", align: "end", scale: 1 },
+  },
+  sticker: {
+    label: "Square sticker",
+    orientation: "square",
+    width: 500,
+    height: 500,
+    content: { left: 0, right: 0, top: 0, bottom: 160 },
+    metadata: { left: 0, right: 0, bottom: 0, height: 159 },
+    dividers: [{ bottom: 160 }],
+    logo: false,
+    fields: [{ name: "title", maxLines: 2 }, { name: "author" }],
+    qr: { position: "right", align: "end", scale: 0.7 },
+  },
+  label: {
+    label: "Label (large QR code)",
+    orientation: "landscape",
+    width: 800,
+    height: 500,
+    content: null,
+    metadata: { left: 0, right: 0, top: 0, bottom: 0 },
+    dividers: [],
+    logo: true,
+    fields: [
+      { name: "title", scale: 1.6, maxLines: 3 },
+      { name: "description", maxLines: 4 },
+      { name: "date" },
+      { name: "author" },
+    ],
+    qr: { position: "left", align: "center", scale: 2.4 },
+  },
+  index: {
+    label: "Index card (text only)",
+    orientation: "landscape",
+    width: 800,
+    height: 480,
+    content: null,
+    metadata: { left: 0, right: 0, top: 0, bottom: 0 },
+    dividers: [],
+    logo: true,
+    fields: [
+      { name: "title", scale: 1.4, maxLines: 2 },
+      { name: "body", maxLines: 12 },
+      { name: "description", maxLines: 3 },
+      { name: "date" },
+      { name: "author" },
+    ],
+    qr: { position: "right", align: "end", scale: 0.8 },
+  },
+  receipt: {
+    label: "Receipt (narrow, for thermal rolls)",
+    orientation: "portrait",
+    width: 384,
+    height: 720,
+    content: { left: 0, right: 0, top: 0, height: 320 },
+    metadata: { left: 0, right: 0, top: 321, bottom: 0 },
+    dividers: [{ top: 320 }],
+    logo: true,
+    fields: [
+      { name: "title", maxLines: 3 },
+      { name: "description", maxLines: 3 },
+      { name: "date" },
+      { name: "author" },
+    ],
+    // Along the bottom, so the printer's own QR command can replace it
+    qr: { position: "bottom", align: "center", scale: 1.2 },
+  },
+};
+
+/**
+ * @typedef {Object} Rect
+ * @property {number} x - Left edge
+ * @property {number} y - Top edge
+ * @property {number} width - Width
+ * @property {number} height - Height
+ */
+
+/** The whole area inside the frame */
+const FULL_REGION = { left: 0, right: 0, top: 0, bottom: 0 };
+
+/**
+ * @param {{template: string, doubleSided: boolean, face: "front"|"back"}} settings - The render settings
+ * @returns {CardTemplate} The template the settings use, or its face for double-sided cards
+ * @throws {Error} If there is no such template
+ */
+export function getTemplate(settings) {
+  const template = TEMPLATES[settings.template];
+  if (!template) {
+    throw new Error(`Unknown template "${settings.template}"`);
+  }
+  return settings.doubleSided
+    ? getFaceTemplate(template, settings.face)
+    : template;
+}
+
+/**
+ * Splits a template into the faces of a double-sided card: the content
+ * covers the front, and the template's fields and QR code fill the back.
+ * @param {CardTemplate} template - The template
+ * @param {"front"|"back"} face - Which face
+ * @returns {CardTemplate} The face's template
+ */
+export function getFaceTemplate(template, face) {
+  if (face === "front") {
+    return {
+      ...template,
+      content: FULL_REGION,
+      metadata: null,
+      dividers: [],
+      fullBleed: true,
+    };
+  }
+  return { ...template, content: null, metadata: FULL_REGION, dividers: [] };
+}
+
+/**
+ * Works out a template length.
+ * @param {TemplateLength|undefined} length - The length
+ * @param {Record<string, any>} settings - The render settings, for named lengths
+ * @returns {number|undefined} The length in layout units, or undefined if it isn't given
+ * @throws {Error} If a named setting isn't a number
+ */
+export function resolveLength(length, settings) {
+  if (length === undefined) {
+    return undefined;
+  }
+  if (Array.isArray(length)) {
+    return length.reduce(
+      (/** @type {number} */ total, part) =>
+        total + (resolveLength(part, settings) ?? 0),
+      0,
+    );
+  }
+  if (typeof length === "number") {
+    return length;
+  }
+  const value = settings[length];
+  if (typeof value !== "number") {
+    throw new Error(`Template length "${length}" isn't a numeric setting`);
+  }
+  return value;
+}
+
+/**
+ * Works out where a template region is on the card.
+ * @param {TemplateRegion} region - The region
+ * @param {Record<string, any> & {canvasWidth: number, canvasHeight: number, frameWidth: number}} settings - The render settings
+ * @returns {Rect} The region in layout units
+ */
+export function resolveRegion(region, settings) {
+  // Regions are measured inside the border and frame
+  const inset = settings.frameWidth * 2;
+  const [x, width] = resolveSpan(
+    resolveLength(region.left, settings),
+    resolveLength(region.width, settings),
+    resolveLength(region.right, settings),
+    settings.canvasWidth - inset * 2,
+  );
+  const [y, height] = resolveSpan(
+    resolveLength(region.top, settings),
+    resolveLength(region.height, settings),
+    resolveLength(region.bottom, settings),
+    settings.canvasHeight - inset * 2,
+  );
+  return { x: inset + x, y: inset + y, width, height };
+}
+
+/**
+ * Works out where a divider is on the card. Dividers run into the frame, so
+ * they join it.
+ * @param {TemplateDivider} divider - The divider
+ * @param {Record<string, any> & {canvasWidth: number, canvasHeight: number, frameWidth: number}} settings - The render settings
+ * @returns {Rect} The line in layout units
+ */
+export function resolveDivider(divider, settings) {
+  const { canvasWidth, canvasHeight, frameWidth } = settings;
+  const inset = frameWidth * 2;
+  const across = (/** @type {number} */ size) => ({
+    start: frameWidth,
+    length: size - frameWidth * 2,
+  });
+
+  if ("left" in divider || "right" in divider) {
+    const x =
+      "left" in divider
+        ? inset + (resolveLength(divider.left, settings) ?? 0)
+        : canvasWidth -
+          inset -
+          (resolveLength(divider.right, settings) ?? 0) -
+          frameWidth;
+    const { start, length } = across(canvasHeight);
+    return { x, y: start, width: frameWidth, height: length };
+  }
+  const y =
+    "top" in divider
+      ? inset + (resolveLength(divider.top, settings) ?? 0)
+      : canvasHeight -
+        inset -
+        (resolveLength(divider.bottom, settings) ?? 0) -
+        frameWidth;
+  const { start, length } = across(canvasWidth);
+  return { x: start, y, width: length, height: frameWidth };
+}
+
+/**
+ * Works out one axis of a region from its start, size and end.
+ * @param {number|undefined} start - Distance from the start edge
+ * @param {number|undefined} size - Size
+ * @param {number|undefined} end - Distance from the end edge
+ * @param {number} total - Space available
+ * @returns {[number, number]} The start position and size
+ */
+function resolveSpan(start, size, end, total) {
+  if (size === undefined) {
+    const from = start ?? 0;
+    return [from, total - from - (end ?? 0)];
+  }
+  if (start === undefined && end !== undefined) {
+    return [total - end - size, size];
+  }
+  return [start ?? 0, size];
+}
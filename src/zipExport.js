@@ -0,0 +1,175 @@
+import { createZip } from "./zipWriter.js";
+import { dataURLToBytes } from "./pdfWriter.js";
+
+/**
+ * @typedef {import('./arenaProcessor').ArenaBlock} ArenaBlock
+ * @typedef {import('./arenaProcessor').ArenaqrCard} ArenaqrCard
+ * @typedef {import('./zipWriter').ZipEntry} ZipEntry
+ * @typedef {Pick<ArenaqrCard, "block"|"qrData"|"dataURL"|"backDataURL">} ZipCard
+ */
+
+/**
+ * One card's row in a batch manifest.
+ * @typedef {Object} ManifestEntry
+ * @property {number|null} blockId - The block's ID
+ * @property {string} title - The block's title
+ * @property {string} author - Username of the block's owner
+ * @property {string} qrData - The data encoded in the card's QR code
+ * @property {string} filename - The card image, relative to the manifest
+ * @property {string|null} backFilename - The back image, for double-sided cards
+ */
+
+const MAX_SLUG_LENGTH = 60;
+const CSV_COLUMNS = /** @type {const} */ ([
+  ["blockId", "block_id"],
+  ["title", "title"],
+  ["author", "author"],
+  ["qrData", "qr_data"],
+  ["filename", "filename"],
+  ["backFilename", "back_filename"],
+]);
+
+/**
+ * Turns text into a file-name-safe slug: lowercase ASCII letters and digits
+ * joined by hyphens, with accents dropped (e.g. "Café Menu!" → "cafe-menu").
+ * @param {string} text - The text
+ * @returns {string} The slug, which may be empty
+ */
+export function slugify(text) {
+  return text
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "") // Accents split off by NFKD
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .slice(0, MAX_SLUG_LENGTH)
+    .replace(/^-+|-+$/g, "");
+}
+
+/**
+ * Names a card's file from its block's ID and title, without an extension,
+ * e.g. "12345-morning-light".
+ * @param {ArenaBlock} block - The block
+ * @returns {string} The name
+ */
+export function getCardFileName(block) {
+  const slug = slugify(getBlockTitle(block));
+  const id = block.id === undefined ? "" : String(block.id);
+  return [id, slug].filter(Boolean).join("-") || "card";
+}
+
+/**
+ * @param {ArenaBlock} block - The block
+ * @returns {string} The block's title, or the one Are.na generated
+ */
+function getBlockTitle(block) {
+  return block.title || block.generated_title || "";
+}
+
+/**
+ * Works out a file extension from an image data URL's type.
+ * @param {string} dataURL - The image
+ * @returns {string} The extension, without the dot
+ */
+function getDataURLExtension(dataURL) {
+  const type = dataURL.slice(5, dataURL.search(/[;,]/));
+  return type === "image/png" ? "png" : "jpg";
+}
+
+/**
+ * Quotes a CSV cell when it needs it. Text a spreadsheet would run as a
+ * formula (starting with =, +, -, an at sign, a tab or a carriage return)
+ * gets a leading apostrophe, so a block title can't run one.
+ * @param {string|number|null} value - The cell
+ * @returns {string} The cell as CSV
+ */
+function toCsvCell(value) {
+  let text = value === null ? "" : String(value);
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(value)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Writes a manifest as CSV, one row per card.
+ * @param {ManifestEntry[]} manifest - The manifest
+ * @returns {string} The CSV
+ */
+export function manifestToCsv(manifest) {
+  const rows = [
+    CSV_COLUMNS.map(([, header]) => header),
+    ...manifest.map((entry) =>
+      CSV_COLUMNS.map(([key]) => toCsvCell(entry[key])),
+    ),
+  ];
+  return rows.map((row) => row.join(",")).join("\r\n") + "\r\n";
+}
+
+/**
+ * Packages cards into one ZIP: each card's image (and back) named from its
+ * block, plus manifest.json and manifest.csv listing every card. Names that
+ * would clash get a number added.
+ * @param {ZipCard[]} cards - The cards, e.g. generated or from the history
+ * @returns {Uint8Array} The ZIP file
+ * @throws {Error} If the archive can't be written
+ */
+export function createCardsZip(cards) {
+  try {
+    /** @type {ZipEntry[]} */
+    const files = [];
+    /** @type {ManifestEntry[]} */
+    const manifest = [];
+    const used = new Set();
+    const modified = new Date();
+
+    for (const card of cards) {
+      const base = getCardFileName(card.block);
+      let name = base;
+      for (let n = 2; used.has(name); n++) {
+        name = `${base}-${n}`;
+      }
+      used.add(name);
+
+      const filename = `${name}.${getDataURLExtension(card.dataURL)}`;
+      files.push({
+        name: filename,
+        data: dataURLToBytes(card.dataURL),
+        modified,
+      });
+
+      let backFilename = null;
+      if (card.backDataURL) {
+        backFilename = `${name}-back.${getDataURLExtension(card.backDataURL)}`;
+        files.push({
+          name: backFilename,
+          data: dataURLToBytes(card.backDataURL),
+          modified,
+        });
+      }
+
+      manifest.push({
+        blockId: card.block.id ?? null,
+        title: getBlockTitle(card.block),
+        author: card.block.user?.username || "",
+        qrData: card.qrData,
+        filename,
+        backFilename,
+      });
+    }
+
+    files.push(
+      {
+        name: "manifest.json",
+        data: JSON.stringify(manifest, null, 2) + "\n",
+        modified,
+      },
+      { name: "manifest.csv", data: manifestToCsv(manifest), modified },
+    );
+    return createZip(files);
+  } catch (error) {
+    throw new Error(
+      "Failed to create ZIP: " +
+        (error instanceof Error ? error.message : "Unknown error"),
+    );
+  }
+}
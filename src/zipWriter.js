@@ -0,0 +1,156 @@
+/**
+ * A minimal ZIP writer, with no dependencies so exports work offline.
+ * Files are stored uncompressed: card images are JPEGs or PNGs, which don't
+ * compress further, and the rest is small.
+ */
+
+/**
+ * @typedef {Object} ZipEntry
+ * @property {string} name - Path of the file in the archive, with / separators
+ * @property {Uint8Array|string} data - The file contents; strings are written as UTF-8
+ * @property {Date} [modified] - Modification time (default: now)
+ */
+
+const encoder = new TextEncoder();
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const ZIP_VERSION = 20; // 2.0, the lowest version that has folders
+const UTF8_FLAG = 0x0800; // File names are UTF-8
+const MAX_ENTRIES = 0xffff; // More needs ZIP64
+const MAX_SIZE = 0xffffffff;
+
+/** @type {Uint32Array|undefined} */
+let crcTable;
+
+/**
+ * Computes the CRC-32 checksum a ZIP entry records.
+ * @param {Uint8Array} bytes - The data
+ * @returns {number} The checksum
+ */
+export function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Converts a date to the MS-DOS time and date fields ZIP uses, which count
+ * in local time with two-second steps from 1980.
+ * @param {Date} date - The date
+ * @returns {{time: number, date: number}} The packed fields
+ */
+function toDosDateTime(date) {
+  const year = Math.min(Math.max(date.getFullYear(), 1980), 2107);
+  return {
+    time:
+      (date.getHours() << 11) |
+      (date.getMinutes() << 5) |
+      Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+/**
+ * Writes files into a ZIP archive.
+ * @param {ZipEntry[]} entries - The files, in archive order
+ * @returns {Uint8Array} The archive
+ * @throws {Error} If there are too many files or the archive is too large
+ */
+export function createZip(entries) {
+  if (entries.length > MAX_ENTRIES) {
+    throw new Error(`A ZIP can hold at most ${MAX_ENTRIES} files`);
+  }
+
+  /** @type {Uint8Array[]} */
+  const chunks = [];
+  /** @type {Uint8Array[]} */
+  const centralDirectory = [];
+  let length = 0;
+
+  for (const entry of entries) {
+    const name = encoder.encode(entry.name);
+    const data =
+      typeof entry.data === "string" ? encoder.encode(entry.data) : entry.data;
+    const crc = crc32(data);
+    const { time, date } = toDosDateTime(entry.modified || new Date());
+    const offset = length;
+
+    const local = new Uint8Array(30 + name.length);
+    const localView = new DataView(local.buffer);
+    localView.setUint32(0, LOCAL_HEADER, true);
+    localView.setUint16(4, ZIP_VERSION, true);
+    localView.setUint16(6, UTF8_FLAG, true);
+    localView.setUint16(8, 0, true); // Stored, no compression
+    localView.setUint16(10, time, true);
+    localView.setUint16(12, date, true);
+    localView.setUint32(14, crc, true);
+    localView.setUint32(18, data.length, true);
+    localView.setUint32(22, data.length, true);
+    localView.setUint16(26, name.length, true);
+    localView.setUint16(28, 0, true);
+    local.set(name, 30);
+    chunks.push(local, data);
+    length += local.length + data.length;
+    if (length > MAX_SIZE) {
+      throw new Error("The ZIP is too large; export fewer cards at once");
+    }
+
+    const central = new Uint8Array(46 + name.length);
+    const centralView = new DataView(central.buffer);
+    centralView.setUint32(0, CENTRAL_HEADER, true);
+    centralView.setUint16(4, ZIP_VERSION, true);
+    centralView.setUint16(6, ZIP_VERSION, true);
+    centralView.setUint16(8, UTF8_FLAG, true);
+    centralView.setUint16(10, 0, true);
+    centralView.setUint16(12, time, true);
+    centralView.setUint16(14, date, true);
+    centralView.setUint32(16, crc, true);
+    centralView.setUint32(20, data.length, true);
+    centralView.setUint32(24, data.length, true);
+    centralView.setUint16(28, name.length, true);
+    // Extra field, comment, disk number and attributes are all zero
+    centralView.setUint32(42, offset, true);
+    central.set(name, 46);
+    centralDirectory.push(central);
+  }
+
+  const directoryOffset = length;
+  let directoryLength = 0;
+  for (const central of centralDirectory) {
+    chunks.push(central);
+    directoryLength += central.length;
+  }
+  length += directoryLength;
+
+  const end = new Uint8Array(22);
+  const endView = new DataView(end.buffer);
+  endView.setUint32(0, END_OF_CENTRAL_DIRECTORY, true);
+  endView.setUint16(8, entries.length, true);
+  endView.setUint16(10, entries.length, true);
+  endView.setUint32(12, directoryLength, true);
+  endView.setUint32(16, directoryOffset, true);
+  chunks.push(end);
+  length += end.length;
+
+  const output = new Uint8Array(length);
+  let position = 0;
+  for (const chunk of chunks) {
+    output.set(chunk, position);
+    position += chunk.length;
+  }
+  return output;
+}
@@ -0,0 +1,254 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  RECEIPT_DPI,
+  RECEIPT_PAPERS,
+  createEscPosJob,
+  decodeEscPos,
+} from "../src/escposWriter.js";
+import {
+  createEscPosFromCanvas,
+  generateCardCanvas,
+  generateEscPos,
+} from "../src/imageProcessor.js";
+import { createNodePlatform } from "../src/nodePlatform.js";
+import { setRenderPlatform } from "../src/platform.js";
+import { decodeQR } from "../src/qrDecoder.js";
+
+/**
+ * @typedef {import('../src/escposWriter').EscPosCommand} EscPosCommand
+ * @typedef {import('../src/imageProcessor').TextContent} TextContent
+ */
+
+/**
+ * @template {EscPosCommand["type"]} T
+ * @param {EscPosCommand[]} commands - Decoded commands
+ * @param {T} type - The command type to keep
+ * @returns {Extract<EscPosCommand, {type: T}>[]} The commands of that type
+ */
+function commandsOfType(commands, type) {
+  return /** @type {Extract<EscPosCommand, {type: T}>[]} */ (
+    commands.filter((command) => command.type === type)
+  );
+}
+
+/**
+ * @param {Extract<EscPosCommand, {type: "raster"}>} raster - A decoded raster image
+ * @param {number} x - Column in dots
+ * @param {number} y - Row in dots
+ * @returns {boolean} Whether the dot prints black
+ */
+function isBlack(raster, x, y) {
+  const byte = raster.bits[y * (raster.width / 8) + (x >> 3)];
+  return (byte & (0x80 >> (x & 7))) !== 0;
+}
+
+/**
+ * Turns a decoded raster back into pixels the QR decoder can read.
+ * @param {Extract<EscPosCommand, {type: "raster"}>} raster - A decoded raster image
+ * @returns {import('../src/qrDecoder').QRImage} The image
+ */
+function rasterToImage(raster) {
+  const data = new Uint8ClampedArray(raster.width * raster.height * 4);
+  for (let y = 0; y < raster.height; y++) {
+    for (let x = 0; x < raster.width; x++) {
+      const value = isBlack(raster, x, y) ? 0 : 255;
+      data.set([value, value, value, 255], (y * raster.width + x) * 4);
+    }
+  }
+  return { data, width: raster.width, height: raster.height };
+}
+
+/**
+ * Builds white pixels with one black pixel per row, on a diagonal that
+ * wraps around: black where x === y % width.
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {Uint8ClampedArray} RGBA pixels
+ */
+function diagonalPixels(width, height) {
+  const pixels = new Uint8ClampedArray(width * height * 4).fill(255);
+  for (let y = 0; y < height; y++) {
+    const i = y * width + (y % width);
+    pixels.fill(0, i * 4, i * 4 + 3);
+  }
+  return pixels;
+}
+
+test("createEscPosJob joins raster bands back into one centered image", () => {
+  const width = 300;
+  const height = 600; // Sent as bands of 256, 256 and 88 rows
+  const job = createEscPosJob(
+    [{ type: "image", pixels: diagonalPixels(width, height), width, height }],
+    { dots: 384, cut: true },
+  );
+  const commands = decodeEscPos(job);
+
+  assert.deepEqual(
+    commands.map((command) => command.type),
+    ["init", "align", "raster", "feed", "cut"],
+  );
+  const [raster] = commandsOfType(commands, "raster");
+  assert.equal(raster.width, 384);
+  assert.equal(raster.height, height);
+
+  // Centered: (384 - 300) / 2 dots of margin on the left
+  const left = 42;
+  for (const y of [0, 255, 256, 511, 512, 599]) {
+    assert.ok(isBlack(raster, left + (y % width), y), `row ${y} is drawn`);
+    assert.ok(!isBlack(raster, left + ((y + 1) % width), y));
+  }
+});
+
+test("createEscPosJob writes the printer's QR command", () => {
+  const job = createEscPosJob(
+    [
+      {
+        type: "qrCode",
+        data: "https://are.na/ü",
+        moduleSize: 20,
+        errorCorrection: "Q",
+      },
+      { type: "qrCode", data: "second", moduleSize: 0.4, errorCorrection: "L" },
+    ],
+    { dots: 576, cut: false },
+  );
+  const commands = decodeEscPos(job);
+
+  assert.deepEqual(commandsOfType(commands, "qrCode"), [
+    // Module sizes are kept within the 1–16 dots printers take
+    {
+      type: "qrCode",
+      data: "https://are.na/ü",
+      moduleSize: 16,
+      errorCorrection: "Q",
+    },
+    { type: "qrCode", data: "second", moduleSize: 1, errorCorrection: "L" },
+  ]);
+  assert.deepEqual(commandsOfType(commands, "align"), [
+    { type: "align", align: "center" },
+    { type: "align", align: "center" },
+  ]);
+  assert.equal(commandsOfType(commands, "cut").length, 0);
+});
+
+test("createEscPosJob rejects images wider than the paper", () => {
+  assert.throws(
+    () =>
+      createEscPosJob(
+        [
+          {
+            type: "image",
+            pixels: diagonalPixels(400, 1),
+            width: 400,
+            height: 1,
+          },
+        ],
+        { dots: 384, cut: true },
+      ),
+    /400 dots wide, but the paper only takes 384/,
+  );
+});
+
+test("decodeEscPos rejects cut off and unknown commands", () => {
+  const job = createEscPosJob(
+    [{ type: "image", pixels: diagonalPixels(8, 8), width: 8, height: 8 }],
+    { dots: 384, cut: true },
+  );
+  assert.throws(() => decodeEscPos(job.subarray(0, 20)), /cut off/);
+  assert.throws(
+    () => decodeEscPos(new Uint8Array([0x1b, 0x40, 0x1b, 0x21, 0])),
+    /Unknown ESC\/POS command at byte 2/,
+  );
+});
+
+test("generateEscPos", async (t) => {
+  try {
+    setRenderPlatform(await createNodePlatform());
+  } catch (error) {
+    t.skip(error instanceof Error ? error.message : String(error));
+    return;
+  }
+
+  /** @type {TextContent} */
+  const content = {
+    type: "text",
+    text: "A block of text on a receipt",
+    title: "Receipt card",
+    username: "someone",
+  };
+  const qrData = "https://www.are.na/block/35251863";
+
+  await t.test("prints the whole card as a raster image", async () => {
+    const job = await generateEscPos(content, qrData, { template: "receipt" });
+    const commands = decodeEscPos(job);
+    const rasters = commandsOfType(commands, "raster");
+
+    assert.equal(rasters.length, 1);
+    const [raster] = rasters;
+    // The receipt template is 384×720, printed 48 mm wide at 203 dpi
+    const height = Math.round((RECEIPT_PAPERS["58mm"].dots * 720) / 384);
+    assert.equal(raster.width, RECEIPT_PAPERS["58mm"].dots);
+    assert.ok(Math.abs(raster.height - height) <= 1, `${raster.height} rows`);
+    assert.equal(commandsOfType(commands, "qrCode").length, 0);
+    assert.equal(decodeQR(rasterToImage(raster))?.text, qrData);
+  });
+
+  await t.test("leaves the QR code to the printer", async () => {
+    const job = await generateEscPos(
+      content,
+      qrData,
+      { template: "receipt", qrErrorCorrection: "H" },
+      { paper: "80mm", qrCode: "native", cut: false },
+    );
+    const commands = decodeEscPos(job);
+    const [raster] = commandsOfType(commands, "raster");
+    const [qrCode] = commandsOfType(commands, "qrCode");
+
+    assert.equal(raster.width, RECEIPT_PAPERS["80mm"].dots);
+    // Cut off above the QR code, which the template puts at the bottom
+    assert.ok(raster.height < (RECEIPT_PAPERS["80mm"].dots * 720) / 384);
+    assert.equal(decodeQR(rasterToImage(raster)), null);
+    assert.equal(qrCode.data, qrData);
+    assert.equal(qrCode.errorCorrection, "H");
+    assert.ok(qrCode.moduleSize >= 1 && qrCode.moduleSize <= 16);
+    assert.equal(commandsOfType(commands, "cut").length, 0);
+    assert.deepEqual(commands.slice(-2), [
+      { type: "feed", lines: 1 },
+      { type: "feed", lines: 4 },
+    ]);
+  });
+
+  await t.test("rejects the printer's QR code on other templates", async () => {
+    await assert.rejects(
+      generateEscPos(
+        content,
+        qrData,
+        { template: "portrait" },
+        {
+          qrCode: "native",
+        },
+      ),
+      /Failed to generate receipt: The printer's QR code needs a template/,
+    );
+  });
+
+  await t.test("encodes a card that was already rendered", async () => {
+    // The default layout's QR code is too small to scan on a 58 mm roll
+    const options = { cardSize: "58mm", dpi: RECEIPT_DPI, monochrome: true };
+    await assert.rejects(
+      generateEscPos(content, qrData, {}),
+      /At the printer's resolution/,
+    );
+    const canvas = await generateCardCanvas(content, qrData, options);
+    assert.throws(
+      () => createEscPosFromCanvas(canvas, qrData, options),
+      /At the printer's resolution/,
+    );
+
+    const job = createEscPosFromCanvas(canvas, qrData, options, {}, false);
+    const [raster] = commandsOfType(decodeEscPos(job), "raster");
+    assert.equal(raster.width, RECEIPT_PAPERS["58mm"].dots);
+    assert.equal(raster.height, canvas.height);
+  });
+});
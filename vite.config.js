@@ -0,0 +1,34 @@
+import { readdirSync } from "node:fs";
+import { defineConfig } from "vite";
+
+/**
+ * Writes precache.json, the files the service worker (public/sw.js) caches
+ * when it installs so the app loads offline after one visit: the built
+ * scripts and styles, whose names change with every build, and the bundled
+ * fonts.
+ * @returns {import('vite').Plugin} The plugin
+ */
+function precacheList() {
+  return {
+    name: "arenaqr-precache-list",
+    apply: "build",
+    generateBundle(_options, bundle) {
+      const fonts = readdirSync(new URL("./public/fonts", import.meta.url));
+      const files = [
+        ...Object.values(bundle)
+          .map((file) => `/${file.fileName}`)
+          .filter((file) => !file.endsWith(".html")),
+        ...fonts.map((file) => `/fonts/${file}`),
+      ];
+      this.emitFile({
+        type: "asset",
+        fileName: "precache.json",
+        source: JSON.stringify(files, null, 2),
+      });
+    },
+  };
+}
+
+export default defineConfig({
+  plugins: [precacheList()],
+});